@@ -9,40 +9,367 @@
 //
 //     let { controller } = Components.utils.import("path/to/controlPort.jsm");
 //
-// See the last function defined in this file, controller(host, port, password, onError)
+// or, under Node.js,
+//
+//     let { controller } = require("path/to/controlPort.js");
+//
+// See the last function defined in this file, controller(host, port, options, onError)
 // for usage of the controller function.
 
 /* jshint moz: true */
 /* jshint -W097 */
-/* global Components, console */
+/* global Components, require, module, global, Buffer */
 "use strict";
 
+// ### Host environment
+// This module runs either as a Mozilla JavaScript module, with XPCOM available
+// through Components, or as a Node.js module. Only the transport and the
+// file and crypto helpers depend on which.
+let isMozilla = typeof(Components) !== "undefined";
+
 // ### Mozilla Abbreviations
-let {classes: Cc, interfaces: Ci, results: Cr, Constructor: CC, utils: Cu } = Components;
+let {classes: Cc, interfaces: Ci, results: Cr, Constructor: CC, utils: Cu } =
+      isMozilla ? Components : {};
+
+// ### Node.js modules
+let nodeModules = isMozilla ? null : { net : require("net"),
+                                       fs : require("fs"),
+                                       crypto : require("crypto") };
+
+// ### Timers
+// JavaScript modules don't have a window, so import the timer functions.
+let { setTimeout, clearTimeout } = isMozilla ?
+      Cu.import("resource://gre/modules/Timer.jsm", {}) : global;
+
+// ## utils
+// A namespace for utility functions
+var utils = utils || {};
+
+// __utils.identity(x)__.
+// Returns its argument unchanged.
+utils.identity = function (x) { return x; };
+
+// __utils.isString(x)__.
+// Returns true iff x is a string.
+utils.isString = function (x) {
+  return typeof(x) === 'string' || x instanceof String;
+};
+
+// __utils.capture(string, regex)__.
+// Takes a string and returns an array of capture items, where regex must have a single
+// capturing group and use the suffix /.../g to specify a global search.
+utils.capture = function (string, regex) {
+  let matches = [];
+  // Special trick to use string.replace for capturing multiple matches.
+  string.replace(regex, function (a, captured) {
+    matches.push(captured);
+  });
+  return matches;
+};
+
+// __utils.splitLines(string)__.
+// Splits a string into an array of strings, each corresponding to a line.
+utils.splitLines = function (string) { return string.split(/\r?\n/); };
+
+// __utils.splitAtSpaces(string)__.
+// Splits a string into chunks between spaces. Does not split at spaces
+// inside pairs of quotation marks, where a backslash escapes the following
+// character (so `KEY="a \"b\" c"` stays a single chunk).
+utils.splitAtSpaces = function (string) {
+  let chunks = [],
+      chunk = "",
+      quoted = false;
+  for (let i = 0; i < string.length; ++i) {
+    let character = string.charAt(i);
+    if (quoted && character === "\\") {
+      // Keep the escape sequence intact; utils.dequote will interpret it.
+      chunk += character + string.charAt(++i);
+    } else if (!quoted && character.match(/\s/)) {
+      if (chunk !== "") {
+        chunks.push(chunk);
+      }
+      chunk = "";
+    } else {
+      if (character === "\"") {
+        quoted = !quoted;
+      }
+      chunk += character;
+    }
+  }
+  if (chunk !== "") {
+    chunks.push(chunk);
+  }
+  return chunks;
+};
+
+// __utils.keywordArgument(chunk)__.
+// Takes a chunk from utils.splitAtSpaces and, if it has the form `KEY=VALUE`,
+// returns `[key, value]`, where a quoted value has been unquoted. Otherwise
+// returns null.
+utils.keywordArgument = function (chunk) {
+  let match = chunk.match(/^([^\s"=]+)=([\s\S]*)$/);
+  return match ? [match[1], utils.dequote(match[2])] : null;
+};
+
+// __utils.mergeObjects(arrayOfObjects)__.
+// Takes an array of objects like [{"a":"b"},{"c":"d"}] and merges to a single object.
+// Pure function.
+utils.mergeObjects = function (arrayOfObjects) {
+  let result = {};
+  for (let obj of arrayOfObjects) {
+    for (var key in obj) {
+      result[key] = obj[key];
+    }
+  }    
+  return result;
+};
+
+// __utils.dequote(string)__.
+// Takes a control-spec QuotedString such as `"C:\\tor\\cookie"` and returns
+// the unquoted, unescaped contents (`C:\tor\cookie`). Besides `\\`, `\"`
+// and `\'`, the C escapes `\n`, `\r`, `\t` and octal `\NNN` are understood.
+// Strings without surrounding quotation marks are returned unchanged.
+utils.dequote = function (string) {
+  let match = string.match(/^"([\s\S]*)"$/),
+      escapes = { "n" : "\n", "r" : "\r", "t" : "\t" };
+  return match ? match[1].replace(/\\([0-7]{1,3}|[\s\S])/g, function (all, escaped) {
+                   return escaped.match(/^[0-7]/) ?
+                          String.fromCharCode(parseInt(escaped, 8)) :
+                          (escapes[escaped] || escaped);
+                 }) : string;
+};
+
+// __utils.quote(string)__.
+// The inverse of utils.dequote: returns string as a control-spec QuotedString,
+// surrounded by quotation marks and with quotes, backslashes, and line breaks
+// escaped.
+utils.quote = function (string) {
+  let escapes = { "\n" : "\\n", "\r" : "\\r", "\t" : "\\t" };
+  return "\"" + string.replace(/[\\"\n\r\t]/g, function (character) {
+    return escapes[character] || "\\" + character;
+  }) + "\"";
+};
+
+// __utils.listMapData(parameterString, listNames, optionalNames)__.
+// Takes a list of parameters separated by spaces, of which the first several are
+// unnamed, and the remainder are named, in the form `NAME=VALUE`. Apply listNames
+// to the unnamed parameters, and combine them in a map with the named parameters.
+// Quoted values of named parameters are unquoted. The optional optionalNames
+// are applied to any further unnamed parameters that tor may omit, such as the
+// path of a CIRC event for a circuit that has only just been launched.
+// Example: `40 FAILED 0 95.78.59.36:80 REASON=CANT_ATTACH`
+//
+//     utils.listMapData("40 FAILED 0 95.78.59.36:80 REASON=CANT_ATTACH",
+//                       ["streamID", "event", "circuitID", "IP"])
+//     // --> {"streamID" : "40", "event" : "FAILED", "circuitID" : "0",
+//     //      "address" : "95.78.59.36:80", "REASON" : "CANT_ATTACH"}"
+utils.listMapData = function (parameterString, listNames, optionalNames) {
+  // Split out the space-delimited parameters.
+  let parameters = utils.splitAtSpaces(parameterString),
+      dataMap = {},
+      i = 0;
+  // Assign listNames to the first n = listNames.length parameters.
+  for (; i < listNames.length; ++i) {
+    dataMap[listNames[i]] = parameters[i];
+  }
+  // Assign optionalNames to following parameters until we reach a named one.
+  for (let name of (optionalNames || [])) {
+    if (i < parameters.length && !parameters[i].match(/^[A-Za-z_][A-Za-z0-9_]*=/)) {
+      dataMap[name] = parameters[i++];
+    }
+  }
+  // Read key-value pairs and copy these to the dataMap.
+  for (; i < parameters.length; ++i) {
+    let keyValue = utils.keywordArgument(parameters[i]);
+    if (keyValue) {
+      dataMap[keyValue[0]] = keyValue[1];
+    }
+  }
+  return dataMap;
+};
+
+// __utils.bytesToHex(bytes)__.
+// Converts an array of byte values (0-255) to a string of hex digits.
+utils.bytesToHex = function (bytes) {
+  return bytes.map(function (b) { return ("0" + b.toString(16)).slice(-2); })
+              .join("").toUpperCase();
+};
+
+// __utils.hexToBytes(hex)__.
+// Converts a string of hex digits to an array of byte values.
+utils.hexToBytes = function (hex) {
+  return utils.capture(hex, /(..)/g).map(function (pair) { return parseInt(pair, 16); });
+};
+
+// __utils.stringToBytes(string)__.
+// Converts a string of 8-bit characters (such as "binary" strings returned by
+// XPCOM) to an array of byte values.
+utils.stringToBytes = function (string) {
+  let bytes = [];
+  for (let i = 0; i < string.length; ++i) {
+    bytes.push(string.charCodeAt(i) & 0xff);
+  }
+  return bytes;
+};
+
+// __utils.thenCallbacks(promise, onSuccess, onFailure)__.
+// Supports the traditional callback style on top of a promise-returning API.
+// If onSuccess is given, onSuccess and onFailure are attached to the promise
+// and the resulting promise is returned. Otherwise the promise is returned
+// unchanged.
+utils.thenCallbacks = function (promise, onSuccess, onFailure) {
+  return onSuccess ? promise.then(onSuccess, onFailure) : promise;
+};
+
+// __utils.tryPromise(f)__.
+// Calls f() immediately and returns its result as a promise. If f throws,
+// returns a rejected promise instead.
+utils.tryPromise = function (f) {
+  return new Promise(function (resolve) { resolve(f()); });
+};
+
+// ## commands
+// Building controller commands safely: keywords are checked, arguments that
+// could break the command line are refused or quoted, and multi-line
+// commands are dot-stuffed.
+var commands = commands || {};
+
+// __commands.quoted(string)__.
+// Marks a command argument to be sent as a QuotedString (see utils.quote),
+// which may contain spaces, quotes and line breaks.
+commands.quoted = function (string) {
+  return { quoted : String(string) };
+};
+
+// __commands.pair(key, value)__.
+// A `key=value` command argument. value is a plain string or a
+// commands.quoted argument.
+commands.pair = function (key, value) {
+  return { key : key, value : value };
+};
+
+// __commands.checkKeyword(keyword)__.
+// Checks that a command keyword (or the key of a key=value argument) is a
+// plain word, and returns it.
+commands.checkKeyword = function (keyword) {
+  if (!utils.isString(keyword) || !keyword.match(/^[A-Za-z0-9_]+$/)) {
+    throw new Error("invalid command keyword: " + keyword);
+  }
+  return keyword;
+};
+
+// __commands.encodeArgument(argument)__.
+// Converts a command argument to text. A plain string may not contain spaces,
+// quotes, backslashes or line breaks, which would break the command or start
+// another one; such values must be sent with commands.quoted.
+commands.encodeArgument = function (argument) {
+  if (argument !== null && typeof(argument) === "object") {
+    return argument.quoted !== undefined ? utils.quote(argument.quoted) :
+           commands.checkKeyword(argument.key) + "=" +
+           commands.encodeArgument(argument.value);
+  }
+  let string = String(argument);
+  if (string.match(/[\r\n]/)) {
+    throw new Error("line break in command argument: " + JSON.stringify(string));
+  }
+  if (!string.match(/^[^\s"\\]+$/)) {
+    throw new Error("invalid command argument: " + JSON.stringify(string));
+  }
+  return string;
+};
+
+// __commands.build(keyword, args)__.
+// Returns the text of a one-line command, with the arguments (see
+// commands.encodeArgument) separated by spaces. null and undefined
+// arguments are left out. Throws an error if the keyword or an argument is
+// unsafe. Example:
+//
+//     commands.build("setconf", [commands.pair("ExitNodes", "{de}"),
+//                                commands.pair("Nickname", commands.quoted("my relay"))])
+//     // --> 'setconf ExitNodes={de} Nickname="my relay"'
+commands.build = function (keyword, args) {
+  return [commands.checkKeyword(keyword)].concat((args || []).filter(function (argument) {
+    return argument !== null && argument !== undefined;
+  }).map(commands.encodeArgument)).join(" ");
+};
+
+// __commands.buildMultiLine(keyword, args, body)__.
+// Returns the text of a multi-line command, such as LOADCONF or
+// POSTDESCRIPTOR: `+keyword args`, then the lines of body, where lines
+// starting with "." get another ".", and a final ".". Lines in the returned
+// text are separated by CRLF.
+commands.buildMultiLine = function (keyword, args, body) {
+  let lines = utils.splitLines(String(body)).map(function (line) {
+    if (line.includes("\r")) {
+      throw new Error("carriage return in command body");
+    }
+    return line.startsWith(".") ? "." + line : line;
+  });
+  return ["+" + commands.build(keyword, args)].concat(lines, ["."]).join("\r\n");
+};
+
+// __commands.isSafe(text)__.
+// True if command text can be sent as is: one line, or a multi-line command
+// (starting with "+") whose body ends with a "." line.
+commands.isSafe = function (text) {
+  if (!utils.isString(text)) {
+    return false;
+  }
+  if (text.startsWith("+")) {
+    let lines = text.split("\r\n");
+    return lines[lines.length - 1] === "." && !lines.some(function (line) {
+      return line.match(/[\r\n]/);
+    });
+  }
+  return !text.match(/[\r\n]/);
+};
 
 // ## io
 // I/O utilities namespace
-let io = io || {};
+var io = io || {};
 
-// __io.asyncSocketStreams(host, port)__.
+// __io.endpoint(host, port)__.
+// Describes where to find tor's control port: `{ host, port }` for a TCP
+// ControlPort, or `{ path }` for a ControlSocket (a Unix domain socket, tor's
+// preferred setup), which is given as the host `"unix:/path/to/socket"`. The
+// port is then ignored.
+io.endpoint = function (host, port) {
+  return host.startsWith("unix:") ? { path : host.substring(5) } :
+                                    { host : host, port : port };
+};
+
+// ### io.xpcomTransport
+// Sockets for Mozilla JavaScript modules.
+
+// __io.asyncSocketStreams(endpoint)__.
 // Creates a pair of asynchronous input and output streams for a socket at the
-// given host and port.
-io.asyncSocketStreams = function (host, port) {
+// given endpoint (see io.endpoint).
+io.asyncSocketStreams = function (endpoint) {
   let socketTransportService = Cc["@mozilla.org/network/socket-transport-service;1"]
            .getService(Components.interfaces.nsISocketTransportService),
-       // Create an instance of a socket transport.
-      socketTransport = socketTransportService.createTransport(null, 0, host, port, null),
-      // Open asynchronous outputStream and inputStream.
-      outputStream = socketTransport.openOutputStream(2, 1, 1),
+      socketTransport;
+  // Create an instance of a socket transport.
+  if (endpoint.path) {
+    let file = Cc["@mozilla.org/file/local;1"].createInstance(Ci.nsIFile);
+    file.initWithPath(endpoint.path);
+    socketTransport = socketTransportService.createUnixDomainTransport(file);
+  } else {
+    socketTransport = socketTransportService.createTransport(null, 0, endpoint.host,
+                                                             endpoint.port, null);
+  }
+  // Open asynchronous outputStream and inputStream.
+  let outputStream = socketTransport.openOutputStream(2, 1, 1),
       inputStream = socketTransport.openInputStream(2, 1, 1)
                       .QueryInterface(Ci.nsIAsyncInputStream);
   return [inputStream, outputStream];  
 };
 
-// __io.pumpInputStream(scriptableInputStream, onInputData, onError)__.
+// __io.pumpInputStream(scriptableInputStream, onInputData, onError, onClose)__.
 // Run an "input stream pump" that takes an input stream and
 // asynchronously pumps incoming data to the onInputData callback.
-io.pumpInputStream = function (inputStream, onInputData, onError) {
+// onClose is called with a status code when the stream ends, whether
+// because it was closed or because the connection failed.
+io.pumpInputStream = function (inputStream, onInputData, onError, onClose) {
   // Wrap raw inputStream with a "ScriptableInputStream" so we can read incoming data.
   let ScriptableInputStream = CC("@mozilla.org/scriptableinputstream;1",
            "nsIScriptableInputStream", "init"),
@@ -59,7 +386,9 @@ io.pumpInputStream = function (inputStream, onInputData, onError) {
   // to the onInputData callback. The first argument to asyncRead implements
   // nsIStreamListener. 
   pump.asyncRead({ onStartRequest: function (request, context) { },
-                   onStopRequest: function (request, context, code) { },
+                   onStopRequest: function (request, context, code) {
+                     onClose(code);
+                   },
                    onDataAvailable : function (request, context, stream, offset, count) {
                      try {
                        onInputData(readAll());
@@ -71,37 +400,109 @@ io.pumpInputStream = function (inputStream, onInputData, onError) {
                    } }, null);
 };
 
-// __io.asyncSocket(host, port, onInputData, onError)__.
-// Creates an asynchronous, text-oriented TCP socket at host:port.
+// __io.xpcomTransport__.
+// A transport (see io.asyncSocket) built on XPCOM socket streams.
+io.xpcomTransport = {
+  connect : function (endpoint, { onData, onError, onClose }) {
+    let [inputStream, outputStream] = io.asyncSocketStreams(endpoint);
+    // Run an input stream pump to send incoming data to the onData callback.
+    io.pumpInputStream(inputStream, onData, onError, onClose);
+    return { 
+             // Write a message to the socket.
+             write : function(aString) {
+               try {
+                 outputStream.write(aString, aString.length);
+               } catch (err) {
+                 // This write() method is not necessarily called by a callback,
+                 // but we pass any thrown errors to onError to ensure the socket
+                 // error handling uses a consistent single path.
+                 onError(err);
+               }
+             },
+             // Close the socket.
+             close : function () {
+               // Close stream objects.
+               inputStream.close();
+               outputStream.close();
+             }
+           };
+  }
+};
+
+// ### io.nodeTransport
+// Sockets for Node.js.
+
+// __io.nodeTransport__.
+// A transport (see io.asyncSocket) built on Node's net module. Socket errors,
+// including a refused connection, end the connection: the 'close' event that
+// follows them calls onClose with the error's code.
+io.nodeTransport = {
+  connect : function (endpoint, { onData, onError, onClose }) {
+    let socket = endpoint.path ? nodeModules.net.connect(endpoint.path) :
+                 nodeModules.net.connect(endpoint.port, endpoint.host),
+        lastError = null;
+    socket.setEncoding("utf8");
+    socket.on("data", function (data) {
+      try {
+        onData(data);
+      } catch (error) {
+        // Same as for io.pumpInputStream: report errors thrown by onData.
+        onError(error);
+      }
+    });
+    socket.on("error", function (error) { lastError = error; });
+    socket.on("close", function () { onClose(lastError ? lastError.code : 0); });
+    return { write : function (aString) { socket.write(aString); },
+             close : function () { socket.destroy(); } };
+  }
+};
+
+// __io.transport__.
+// The transport for the host we are running in.
+io.transport = isMozilla ? io.xpcomTransport : io.nodeTransport;
+
+// __io.asyncSocket(host, port, onInputData, onError, onClose)__.
+// Creates an asynchronous, text-oriented socket to host:port, or to a Unix
+// domain socket if host is `"unix:/path/to/socket"` (see io.endpoint).
 // The onInputData callback should accept a single argument, which will be called
 // repeatedly, whenever incoming text arrives. Returns a socket object with two methods:
 // socket.write(text) and socket.close(). onError will be passed the error object
-// whenever a write fails.
-io.asyncSocket = function (host, port, onInputData, onError) {
-  let [inputStream, outputStream] = io.asyncSocketStreams(host, port);
-  // Run an input stream pump to send incoming data to the onInputData callback.
-  io.pumpInputStream(inputStream, onInputData, onError);
-  return { 
-           // Write a message to the socket.
-           write : function(aString) {
-             try {
-               outputStream.write(aString, aString.length);
-             } catch (err) {
-               // This write() method is not necessarily called by a callback,
-               // but we pass any thrown errors to onError to ensure the socket
-               // error handling uses a consistent single path.
-               onError(err);
-             }
-           },
-           // Close the socket.
-           close : function () {
-             // Close stream objects.
-             inputStream.close();
-             outputStream.close();
-           }
-         };
+// whenever a write fails. onClose is called once the connection has ended
+// or failed to open.
+//
+// The socket comes from io.transport, an object with a single method
+// `connect(endpoint, { onData, onError, onClose })` returning `{ write, close }`.
+// Everything above the transport is independent of the host.
+io.asyncSocket = function (host, port, onInputData, onError, onClose) {
+  return io.transport.connect(io.endpoint(host, port),
+                              { onData : onInputData, onError : onError,
+                                onClose : onClose });
 };
            
+// __io.readBytesFromFile(path)__.
+// Synchronously reads the entire file at path and returns its contents as an
+// array of byte values. Throws an error if the file cannot be read.
+io.readBytesFromFile = function (path) {
+  if (!isMozilla) {
+    return Array.from(nodeModules.fs.readFileSync(path));
+  }
+  let file = Cc["@mozilla.org/file/local;1"].createInstance(Ci.nsIFile);
+  file.initWithPath(path);
+  let fileStream = Cc["@mozilla.org/network/file-input-stream;1"]
+                     .createInstance(Ci.nsIFileInputStream),
+      binaryStream = Cc["@mozilla.org/binaryinputstream;1"]
+                       .createInstance(Ci.nsIBinaryInputStream);
+  // Open read-only (0x01).
+  fileStream.init(file, 0x01, 0, 0);
+  binaryStream.setInputStream(fileStream);
+  try {
+    return binaryStream.readByteArray(binaryStream.available());
+  } finally {
+    binaryStream.close();
+    fileStream.close();
+  }
+};
+
 // __io.onDataFromOnLine(onLine)__.
 // Converts a callback that expects incoming individual lines of text to a callback that
 // expects incoming raw socket string data.
@@ -123,36 +524,132 @@ io.onDataFromOnLine = function (onLine) {
   };
 };
 
-// __io.onLineFromOnMessage(onMessage)__.
-// Converts a callback that expects incoming control port multiline message strings to a
-// callback that expects individual lines.
-io.onLineFromOnMessage = function (onMessage) {
-  // A private variable that stores the last unfinished line.
-  let pendingLines = [];
+// __io.onLineFromOnReply(onReply)__.
+// Converts a callback that expects incoming control port replies to a callback
+// that expects individual lines. Following the control-spec grammar, each
+// reply is a series of lines `StatusCode "-" Text` (mid-reply lines) and
+// `StatusCode "+" Text` (data lines, each followed by a dot-stuffed data block
+// that ends with a lone `.`), ending with `StatusCode SP Text`. For example
+//
+//     250+config-text=
+//     ControlPort 9151
+//     .
+//     250 OK
+//
+// is passed to onReply as
+//
+//     { status : 250,
+//       lines : [{ type : "+", text : "config-text=", data : "ControlPort 9151" },
+//                { type : " ", text : "OK", data : null }] }
+//
+// Lines inside a data block are never mistaken for the end of the reply, and
+// the block's lines are joined with "\n". Throws an error on a malformed line.
+io.onLineFromOnReply = function (onReply) {
+  // The lines of the reply we are reading, and the data block (if any)
+  // we are in the middle of.
+  let pendingLines = [],
+      dataLine = null,
+      dataLines = [];
   // Return a callback that expects individual lines.
   return function (line) {
-    // Add to the list of pending lines.
-    pendingLines.push(line);
-    // If line is the last in a message, then pass on the full multiline message.
-    if (line.match(/^\d\d\d /) && (pendingLines.length == 1 ||
-                                   pendingLines[0].startsWith(line.substring(0,3)))) {
-      // Combine pending lines to form message.
-      let message = pendingLines.join("\r\n");
-      // Wipe pendingLines before we call onMessage, in case onMessage throws an error.
+    if (dataLine) {
+      if (line === ".") {
+        // The data block is complete.
+        dataLine.data = dataLines.join("\n");
+        dataLine = null;
+        dataLines = [];
+      } else {
+        // Undo dot-stuffing.
+        dataLines.push(line.startsWith(".") ? line.substring(1) : line);
+      }
+      return;
+    }
+    let match = line.match(/^(\d\d\d)([ +-])([\s\S]*)$/);
+    if (!match) {
+      throw new Error("malformed reply line: " + line);
+    }
+    let [, status, type, text] = match,
+        replyLine = { type : type, text : text, data : null };
+    pendingLines.push(replyLine);
+    if (type === "+") {
+      dataLine = replyLine;
+    } else if (type === " ") {
+      // Wipe pendingLines before we call onReply, in case onReply throws an error.
+      let reply = { status : parseInt(status, 10), lines : pendingLines };
       pendingLines = [];
-      // Pass multiline message to onMessage.
-      onMessage(message);
+      onReply(reply);
+    }
+  };
+};
+
+// __io.replyFirstLine(reply)__.
+// Returns the first line of a reply as it was sent, such as `650 CIRC 5 BUILT ...`
+// or `650+NEWCONSENSUS`.
+io.replyFirstLine = function (reply) {
+  return reply.status + reply.lines[0].type + reply.lines[0].text;
+};
+
+// __io.replyText(reply)__.
+// Returns the text of all lines of a reply, without data blocks, joined by "\n".
+io.replyText = function (reply) {
+  return reply.lines.map(function (line) { return line.text; }).join("\n");
+};
+
+// __io.dataLines(text)__.
+// Converts text to the lines of a control-spec data block: dot-stuffed and
+// terminated by a lone ".".
+io.dataLines = function (text) {
+  return utils.splitLines(text).map(function (line) {
+    return line.startsWith(".") ? "." + line : line;
+  }).concat(["."]);
+};
+
+// __io.linesFromReply(reply)__.
+// The inverse of io.onLineFromOnReply: converts a reply object
+// `{ status, lines : [{ type, text, data }] }` back to the lines that tor
+// sent, for passing a reply on.
+io.linesFromReply = function (reply) {
+  let lines = [];
+  for (let { type, text, data } of reply.lines) {
+    lines.push(reply.status + type + text);
+    if (type === "+") {
+      lines = lines.concat(io.dataLines(data));
+    }
+  }
+  return lines;
+};
+
+// __io.onCommandFromOnLine(onCommand)__.
+// The server side of the protocol: converts a callback expecting complete
+// controller commands into a callback expecting lines. Multi-line commands
+// (starting with "+") are gathered up to the terminating "." and passed on
+// joined by "\r\n".
+io.onCommandFromOnLine = function (onCommand) {
+  let pendingLines = null;
+  return function (line) {
+    if (pendingLines) {
+      pendingLines.push(line);
+      if (line === ".") {
+        let command = pendingLines.join("\r\n");
+        pendingLines = null;
+        onCommand(command);
+      }
+    } else if (line.startsWith("+")) {
+      pendingLines = [line];
+    } else {
+      onCommand(line);
     }
   };
 };
 
-// __io.callbackDispatcher()__.
-// Returns [onString, dispatcher] where the latter is an object with two member functions:
+// __io.callbackDispatcher(toString)__.
+// Returns [onMessage, dispatcher] where the latter is an object with two member functions:
 // dispatcher.addCallback(regex, callback), and dispatcher.removeCallback(callback).
-// Pass onString to another function that needs a callback with a single string argument.
-// Whenever dispatcher.onString receives a string, the dispatcher will check for any
-// regex matches and pass the string on to the corresponding callback(s).
-io.callbackDispatcher = function () {
+// Pass onMessage to another function that needs a callback with a single argument.
+// Whenever onMessage receives a message, the dispatcher will check for any
+// regex matches against toString(message) (by default, the message itself)
+// and pass the message on to the corresponding callback(s).
+io.callbackDispatcher = function (toString) {
   let callbackPairs = [],
       removeCallback = function (aCallback) {
         callbackPairs = callbackPairs.filter(function ([regex, callback]) {
@@ -165,230 +662,803 @@ io.callbackDispatcher = function () {
         }
         return function () { removeCallback(callback); };
       },
-      onString = function (message) {
+      onMessage = function (message) {
+        let string = toString ? toString(message) : message;
         for (let [regex, callback] of callbackPairs) {
-          if (message.match(regex)) {
+          if (string.match(regex)) {
             callback(message);
           } 
         }
       };
-  return [onString, {addCallback : addCallback, removeCallback : removeCallback}];
+  return [onMessage, {addCallback : addCallback, removeCallback : removeCallback}];
+};
+
+// __io.commandError(command, reply)__.
+// Creates an error object for a failed command. Besides the usual message (the
+// status code and text of tor's reply), the error holds the numeric status
+// code (such as 552), the original command text and the reply object.
+io.commandError = function (command, reply) {
+  let error = new Error(reply.status + " " + io.replyText(reply));
+  error.code = reply.status;
+  error.command = command;
+  error.reply = reply;
+  return error;
 };
 
 // __io.matchRepliesToCommands(asyncSend)__.
-// Takes asyncSend(message), an asynchronous send function, and returns two functions
-// sendCommand(command, replyCallback) and onReply(response). If we call sendCommand,
-// then when onReply is called, the corresponding replyCallback will be called.
+// Takes asyncSend(message), an asynchronous send function, and returns four functions
+// sendCommand(command), onReply(response), onFailure(response) and failAll(error).
+// sendCommand returns a promise. When onReply is called, the promise for the
+// corresponding command resolves with the reply; when onFailure is called
+// instead, it rejects with an error from io.commandError. failAll rejects the
+// promises of all commands still awaiting a reply with the given error.
 io.matchRepliesToCommands = function (asyncSend) {
   let commandQueue = [],
-      sendCommand = function (command, replyCallback) {
-        commandQueue.push([command, replyCallback]);
-        asyncSend(command);
+      sendCommand = function (command) {
+        // Never write a line break that could smuggle in another command.
+        if (!commands.isSafe(command)) {
+          return Promise.reject(new Error("unsafe command text: " + JSON.stringify(command)));
+        }
+        return new Promise(function (resolve, reject) {
+          commandQueue.push([command, resolve, reject]);
+          asyncSend(command);
+        });
       },
       onReply = function (reply) {
-        let [command, replyCallback] = commandQueue.shift();
-        if (replyCallback) { replyCallback(reply); }
+        let [command, resolve] = commandQueue.shift();
+        resolve(reply);
+      },
+      onFailure = function (reply) {
+        let [command, resolve, reject] = commandQueue.shift();
+        reject(io.commandError(command, reply));
       },
-      onFailure = function () {
-        commandQueue.shift();
+      failAll = function (error) {
+        let failed = commandQueue;
+        commandQueue = [];
+        for (let [command, resolve, reject] of failed) {
+          reject(error);
+        }
       };
-  return [sendCommand, onReply, onFailure];
+  return [sendCommand, onReply, onFailure, failAll];
 };
 
-// __io.controlSocket(host, port, password, onError)__.
-// Instantiates and returns a socket to a tor ControlPort at host:port,
-// authenticating with the given password. onError is called with an
-// error object as its single argument whenever an error occurs. Example:
-//
-//     // Open the socket
-//     let socket = controlSocket("127.0.0.1", 9151, "MyPassw0rd",
-//                    function (error) { console.log(error.message || error); });
-//     // Send command and receive "250" reply or error message
-//     socket.sendCommand(commandText, replyCallback);
-//     // Register or deregister for "650" notifications
-//     // that match regex
-//     socket.addNotificationCallback(regex, callback);
-//     socket.removeNotificationCallback(callback);
-//     // Close the socket permanently
-//     socket.close();
-io.controlSocket = function (host, port, password, onError) {
-  // Produce a callback dispatcher for Tor messages.
-  let [onMessage, mainDispatcher] = io.callbackDispatcher(),
-      // Open the socket and convert format to Tor messages.
-      socket = io.asyncSocket(host, port,
-                              io.onDataFromOnLine(io.onLineFromOnMessage(onMessage)),
-                              onError),
-      // Tor expects any commands to be terminated by CRLF.
-      writeLine = function (text) { socket.write(text + "\r\n"); },
-      // Ensure we return the correct reply for each sendCommand.
-      [sendCommand, onReply, onFailure] = io.matchRepliesToCommands(writeLine),
-      // Create a secondary callback dispatcher for Tor notification messages.
-      [onNotification, notificationDispatcher] = io.callbackDispatcher();
-  // Pass successful reply back to sendCommand callback.
-  mainDispatcher.addCallback(/^2\d\d/, onReply); 
-  // Pass error message to sendCommand callback.
-  mainDispatcher.addCallback(/^[45]\d\d/, function (message) {
-    onFailure();
-    onError(new Error(message));
-  });
-  // Pass asynchronous notifications to notification dispatcher.
-  mainDispatcher.addCallback(/^650/, onNotification);
-  // Log in to control port.
-  sendCommand("authenticate " + password); // , console.log);
-  // Activate needed events.
-  sendCommand("setevents stream circ"); // , console.log);
-  return { close : socket.close, sendCommand : sendCommand,
-           addNotificationCallback : notificationDispatcher.addCallback,
-           removeNotificationCallback : notificationDispatcher.removeCallback };
+// __io.eventSubscriptions(sendCommand)__.
+// Keeps a reference-counted set of the event types that tor should send us,
+// and sends SETEVENTS through sendCommand whenever that set changes. Returns an
+// object with member functions subscribe(type) and unsubscribe(type), each of
+// which returns a promise that resolves once tor has been told about the
+// change, and resubscribe(), which sends the current set again (as needed
+// after reconnecting).
+io.eventSubscriptions = function (sendCommand) {
+  let counts = {},
+      // Maps each type in counts to the promise for the SETEVENTS that added it.
+      added = {},
+      // The promise for the most recent SETEVENTS.
+      pending = Promise.resolve(),
+      update = function () {
+        pending = utils.tryPromise(function () {
+          return commands.build("setevents", Object.keys(counts));
+        }).then(sendCommand);
+        return pending;
+      },
+      subscribe = function (type) {
+        type = type.toUpperCase();
+        counts[type] = (counts[type] || 0) + 1;
+        if (counts[type] === 1) {
+          added[type] = update();
+        }
+        let adding = added[type];
+        return adding.catch(function (error) {
+          // Tor rejected the new set, so it still has the old one. Each
+          // subscriber that waited for it takes back its count.
+          if (added[type] === adding && --counts[type] === 0) {
+            delete counts[type];
+            delete added[type];
+          }
+          throw error;
+        });
+      },
+      unsubscribe = function (type) {
+        type = type.toUpperCase();
+        if (!counts[type]) {
+          return pending;
+        }
+        if (--counts[type] > 0) {
+          return pending;
+        }
+        delete counts[type];
+        delete added[type];
+        return update();
+      },
+      resubscribe = function () {
+        return Object.keys(counts).length > 0 ? update() : Promise.resolve();
+      };
+  return { subscribe : subscribe, unsubscribe : unsubscribe, resubscribe : resubscribe };
 };
 
-// ## utils
-// A namespace for utility functions
-let utils = utils || {};
+// ## auth
+// Authentication to the control port, negotiated with PROTOCOLINFO. See
+// https://gitweb.torproject.org/torspec.git/blob/HEAD:/control-spec.txt
+// (search for "PROTOCOLINFO" and "AUTHCHALLENGE").
+var auth = auth || {};
 
-// __utils.identity(x)__.
-// Returns its argument unchanged.
-utils.identity = function (x) { return x; };
+// __auth.methodPreference__.
+// Authentication methods we know how to use, from strongest to weakest.
+auth.methodPreference = ["SAFECOOKIE", "COOKIE", "HASHEDPASSWORD", "NULL"];
 
-// __utils.isString(x)__.
-// Returns true iff x is a string.
-utils.isString = function (x) {
-  return typeof(x) === 'string' || x instanceof String;
+// __auth.normalizeOptions(passwordOrOptions)__.
+// Takes either a password string (the historical form) or an options object
+// like `{ password : "MyPassw0rd", cookiePath : "/var/run/tor/control.authcookie" }`
+// and returns an options object.
+auth.normalizeOptions = function (passwordOrOptions) {
+  if (utils.isString(passwordOrOptions)) {
+    return { password : passwordOrOptions };
+  }
+  return passwordOrOptions || {};
 };
 
-// __utils.capture(string, regex)__.
-// Takes a string and returns an array of capture items, where regex must have a single
-// capturing group and use the suffix /.../g to specify a global search.
-utils.capture = function (string, regex) {
-  let matches = [];
-  // Special trick to use string.replace for capturing multiple matches.
-  string.replace(regex, function (a, captured) {
-    matches.push(captured);
-  });
-  return matches;
+// __auth.protocolInfoParser(reply)__.
+// Parses a PROTOCOLINFO reply such as
+//
+//     250-PROTOCOLINFO 1
+//     250-AUTH METHODS=COOKIE,SAFECOOKIE COOKIEFILE="/home/user/.tor/control_auth_cookie"
+//     250-VERSION Tor="0.2.6.0-alpha-dev"
+//     250 OK
+//
+// to `{ methods : ["COOKIE", "SAFECOOKIE"], cookieFile : "/home/user/...",
+// version : "0.2.6.0-alpha-dev" }`.
+auth.protocolInfoParser = function (reply) {
+  let result = { methods : [], cookieFile : null, version : null };
+  for (let { text } of reply.lines) {
+    let data = text;
+    if (data.startsWith("AUTH ")) {
+      let { METHODS, COOKIEFILE } = utils.listMapData(data, ["type"]);
+      result.methods = METHODS ? METHODS.split(",") : [];
+      result.cookieFile = COOKIEFILE || null;
+    } else if (data.startsWith("VERSION ")) {
+      result.version = utils.listMapData(data, ["type"]).Tor || null;
+    }
+  }
+  return result;
 };
 
-// __utils.extractor(regex)__.
-// Returns a function that takes a string and returns an array of regex matches. The
-// regex must use the suffix /.../g to specify a global search.
-utils.extractor = function (regex) {
-  return function (text) {
-    return utils.capture(text, regex);
-  };
+// __auth.randomBytes(n)__.
+// Returns an array of n cryptographically random byte values.
+auth.randomBytes = function (n) {
+  if (!isMozilla) {
+    return Array.from(nodeModules.crypto.randomBytes(n));
+  }
+  return Cc["@mozilla.org/security/random-generator;1"]
+           .createInstance(Ci.nsIRandomGenerator).generateRandomBytes(n);
 };
 
-// __utils.splitLines(string)__.
-// Splits a string into an array of strings, each corresponding to a line.
-utils.splitLines = function (string) { return string.split(/\r?\n/); };
+// __auth.hmacSha256(key, bytes)__.
+// Computes HMAC-SHA256 of an array of byte values, using the ASCII string key.
+// Returns the result as a hex string.
+auth.hmacSha256 = function (key, bytes) {
+  if (!isMozilla) {
+    return nodeModules.crypto.createHmac("sha256", key).update(Buffer.from(bytes))
+                      .digest("hex").toUpperCase();
+  }
+  let keyObject = Cc["@mozilla.org/security/keyobjectfactory;1"]
+                    .getService(Ci.nsIKeyObjectFactory)
+                    .keyFromString(Ci.nsIKeyObject.HMAC, key),
+      hmac = Cc["@mozilla.org/security/hmac;1"].createInstance(Ci.nsICryptoHMAC);
+  hmac.init(Ci.nsICryptoHMAC.SHA256, keyObject);
+  hmac.update(bytes, bytes.length);
+  return utils.bytesToHex(utils.stringToBytes(hmac.finish(false)));
+};
 
-// __utils.splitAtSpaces(string)__.
-// Splits a string into chunks between spaces. Does not split at spaces
-// inside pairs of quotation marks.
-utils.splitAtSpaces = utils.extractor(/((\S*?"(.*?)")+\S*|\S+)/g);
+// __auth.safeCookieKeys__.
+// The HMAC keys defined by control-spec for SAFECOOKIE authentication.
+auth.safeCookieKeys = {
+  server : "Tor safe cookie authentication server-to-controller hash",
+  controller : "Tor safe cookie authentication controller-to-server hash"
+};
 
-// __utils.splitAtEquals(string)__.
-// Splits a string into chunks between equals. Does not split at equals
-// inside pairs of quotation marks.
-utils.splitAtEquals = utils.extractor(/(([^=]*?"(.*?)")+[^=]*|[^=]+)/g);
+// __auth.readCookie(path)__.
+// Returns the cookie at path as an array of bytes, or null if it can't be read.
+auth.readCookie = function (path) {
+  if (!path) {
+    return null;
+  }
+  try {
+    return io.readBytesFromFile(path);
+  } catch (e) {
+    return null;
+  }
+};
 
-// __utils.mergeObjects(arrayOfObjects)__.
-// Takes an array of objects like [{"a":"b"},{"c":"d"}] and merges to a single object.
-// Pure function.
-utils.mergeObjects = function (arrayOfObjects) {
-  let result = {};
-  for (let obj of arrayOfObjects) {
-    for (var key in obj) {
-      result[key] = obj[key];
+// __auth.chooseMethod(protocolInfo, options)__.
+// Picks the strongest authentication method that tor offers and that we are
+// able to use with the given options. Returns `{ method, cookie }`, or null if
+// no method is usable.
+auth.chooseMethod = function (protocolInfo, options) {
+  let cookie;
+  for (let method of auth.methodPreference) {
+    if (protocolInfo.methods.indexOf(method) === -1) {
+      continue;
     }
-  }    
-  return result;
+    if (method === "SAFECOOKIE" || method === "COOKIE") {
+      // Read the cookie at most once.
+      if (cookie === undefined) {
+        cookie = auth.readCookie(options.cookiePath || protocolInfo.cookieFile);
+      }
+      if (cookie) {
+        return { method : method, cookie : cookie };
+      }
+    } else if (method === "HASHEDPASSWORD") {
+      if (options.password !== undefined && options.password !== null) {
+        return { method : method };
+      }
+    } else {
+      return { method : method };
+    }
+  }
+  return null;
 };
 
-// __utils.listMapData(parameterString, listNames)__.
-// Takes a list of parameters separated by spaces, of which the first several are
-// unnamed, and the remainder are named, in the form `NAME=VALUE`. Apply listNames
-// to the unnamed parameters, and combine them in a map with the named parameters.
-// Example: `40 FAILED 0 95.78.59.36:80 REASON=CANT_ATTACH`
-//
-//     utils.listMapData("40 FAILED 0 95.78.59.36:80 REASON=CANT_ATTACH",
-//                       ["streamID", "event", "circuitID", "IP"])
-//     // --> {"streamID" : "40", "event" : "FAILED", "circuitID" : "0",
-//     //      "address" : "95.78.59.36:80", "REASON" : "CANT_ATTACH"}"
-utils.listMapData = function (parameterString, listNames) {
-  // Split out the space-delimited parameters.
-  let parameters = utils.splitAtSpaces(parameterString),
-      dataMap = {};
-  // Assign listNames to the first n = listNames.length parameters.
-  for (let i = 0; i < listNames.length; ++i) {
-    dataMap[listNames[i]] = parameters[i];
+// __auth.failure(reason)__.
+// Creates an authentication error with a clear message.
+auth.failure = function (reason) {
+  return new Error("Tor control port authentication failed: " + reason);
+};
+
+// __auth.safeCookieAuthenticate(sendCommand, cookie)__.
+// Runs the AUTHCHALLENGE exchange and then sends AUTHENTICATE with the
+// controller-to-server HMAC. Returns a promise that rejects if tor's reply
+// fails or tor proves not to know the cookie.
+auth.safeCookieAuthenticate = function (sendCommand, cookie) {
+  let clientNonce = auth.randomBytes(32);
+  return sendCommand(commands.build("AUTHCHALLENGE",
+                                    ["SAFECOOKIE", utils.bytesToHex(clientNonce)]))
+    .then(function (reply) {
+      let { SERVERHASH, SERVERNONCE } = utils.listMapData(reply.lines[0].text,
+                                                          ["type"]);
+      if (!SERVERHASH || !SERVERNONCE) {
+        throw auth.failure("unexpected AUTHCHALLENGE reply: " + io.replyText(reply));
+      }
+      let message = cookie.concat(clientNonce, utils.hexToBytes(SERVERNONCE));
+      // Make sure tor knows the cookie before we reveal anything derived from it.
+      if (auth.hmacSha256(auth.safeCookieKeys.server, message) !==
+          SERVERHASH.toUpperCase()) {
+        throw auth.failure("tor's SERVERHASH does not match the cookie");
+      }
+      return sendCommand(commands.build("AUTHENTICATE", [
+        auth.hmacSha256(auth.safeCookieKeys.controller, message)]));
+    });
+};
+
+// __auth.authenticate(sendCommand, options)__.
+// Sends PROTOCOLINFO, picks the strongest usable authentication method,
+// and authenticates with it. Returns a promise that resolves once tor accepts,
+// or rejects with an authentication error if nothing works.
+auth.authenticate = function (sendCommand, options) {
+  // Report any error reply during authentication as an authentication failure.
+  let send = function (command) {
+        return sendCommand(command).catch(function (error) {
+          throw auth.failure(error.message);
+        });
+      };
+  return send(commands.build("PROTOCOLINFO", ["1"])).then(function (reply) {
+    let protocolInfo = auth.protocolInfoParser(reply),
+        choice = auth.chooseMethod(protocolInfo, options);
+    if (!choice) {
+      throw auth.failure("no usable method among [" +
+                         protocolInfo.methods.join(", ") + "]");
+    }
+    let { method, cookie } = choice;
+    if (method === "SAFECOOKIE") {
+      return auth.safeCookieAuthenticate(send, cookie);
+    } else if (method === "COOKIE") {
+      return send(commands.build("AUTHENTICATE", [utils.bytesToHex(cookie)]));
+    } else if (method === "HASHEDPASSWORD") {
+      return send(commands.build("AUTHENTICATE", [commands.quoted(options.password)]));
+    } else {
+      return send(commands.build("AUTHENTICATE"));
+    }
+  });
+};
+
+// ## trace
+// Recording of control port traffic, for debugging.
+var trace = trace || {};
+
+// __trace.redacted__.
+// What secrets are replaced with in a trace.
+trace.redacted = "[REDACTED]";
+
+// __trace.secretPatterns__.
+// For each direction, patterns for lines that carry secrets. The first group
+// is kept, and the rest of the match is replaced with trace.redacted.
+trace.secretPatterns = {
+  sent : [
+    // Passwords, cookies and SAFECOOKIE hashes.
+    /^(AUTHENTICATE ).+/i,
+    /^(AUTHCHALLENGE \S+ ).+/i,
+    // Onion service keys, but not a request for a new one.
+    /^(ADD_ONION (?!NEW:)[^\s:]+:)\S+/i,
+    /^(ONION_CLIENT_AUTH_ADD \S+ [^\s:]+:)\S+/i
+  ],
+  received : [
+    /^(250[ -]AUTHCHALLENGE ).+/i,
+    /^(250[ -]PrivateKey=[^\s:]+:)\S+/i,
+    /^(250[ -]CLIENT \S+ [^\s:]+:)\S+/i
+  ]
+};
+
+// __trace.redactLine(direction, line)__.
+// Returns line (sent to tor if direction is "sent", or "received" from it)
+// with any secrets it carries replaced.
+trace.redactLine = function (direction, line) {
+  for (let pattern of trace.secretPatterns[direction]) {
+    if (pattern.test(line)) {
+      return line.replace(pattern, function (match, kept) {
+        return kept + trace.redacted;
+      });
+    }
   }
-  // Read key-value pairs and copy these to the dataMap.
-  for (let i = listNames.length; i < parameters.length; ++i) {
-    let [key, value] = utils.splitAtEquals(parameters[i]);
-    if (key && value) {
-      dataMap[key] = value;
+  return line;
+};
+
+// __trace.defaultMaxEntries__.
+// How many lines a recorder keeps by default before it drops the oldest.
+trace.defaultMaxEntries = 1000;
+
+// __trace.recorderCount__.
+// Recorders made so far, used to number them.
+trace.recorderCount = 0;
+
+// __trace.recorder(options)__.
+// Returns a recorder that keeps the last `options.maxEntries` lines (default
+// trace.defaultMaxEntries) of control port traffic in a ring buffer. Pass it
+// as the `trace` option of io.controlSocket or controller() to record every
+// command sent and every reply and event received, with secrets redacted:
+//
+//     let recorder = trace.recorder({ maxEntries : 500 });
+//     let c = controller("127.0.0.1", 9151, { password : "x", trace : recorder });
+//     // ...later
+//     recorder.entries(); // --> [{ time, direction : "sent", line }, ...]
+//     recorder.dropped(); // --> how many older lines no longer fit
+//     recorder.toTranscript();
+//
+// toTranscript() returns the lines as a transcript that fakeControlPort.js
+// can replay, each line being `C: ` (sent) or `S: ` (received) preceded by
+// its ISO time. Redacted arguments match anything when replayed.
+trace.recorder = function (options) {
+  let maxEntries = (options && options.maxEntries) || trace.defaultMaxEntries,
+      buffer = new Array(maxEntries),
+      // Where the next entry goes, and how many entries we have seen.
+      next = 0,
+      total = 0,
+      entries = function () {
+        return total <= maxEntries ? buffer.slice(0, total) :
+               buffer.slice(next).concat(buffer.slice(0, next));
+      };
+  return {
+    id : ++trace.recorderCount,
+    // Record a line, sent to tor or received from it.
+    record : function (direction, line) {
+      buffer[next] = { time : Date.now(), direction : direction,
+                       line : trace.redactLine(direction, line) };
+      next = (next + 1) % maxEntries;
+      ++total;
+    },
+    entries : entries,
+    dropped : function () { return Math.max(0, total - maxEntries); },
+    clear : function () {
+      buffer = new Array(maxEntries);
+      next = 0;
+      total = 0;
+    },
+    toTranscript : function () {
+      return entries().map(function ({ time, direction, line }) {
+        return new Date(time).toISOString() + " " +
+               (direction === "sent" ? "C: " : "S: ") + line;
+      }).join("\n");
     }
+  };
+};
+
+// ## io.controlSocket
+// Ties the io layer together with authentication and reconnection.
+
+// __io.connectionError(message)__.
+// Creates an error for a command that could not be completed because the
+// connection to tor was lost or closed.
+io.connectionError = function (message) {
+  let error = new Error(message);
+  error.connectionLost = true;
+  return error;
+};
+
+// __io.defaultReconnectOptions__.
+// By default, we try to reconnect forever, waiting about 0.5 seconds before
+// the first attempt, and doubling the wait up to about 30 seconds. Each
+// failed attempt is reported, and a command held back while we aren't
+// connected fails after holdTimeout milliseconds (one minute), so that a
+// tor that isn't running doesn't leave callers waiting forever.
+io.defaultReconnectOptions = { initialDelay : 500, maxDelay : 30000,
+                               maxAttempts : Infinity, holdTimeout : 60000 };
+
+// __io.reconnectOptions(reconnect)__.
+// Takes the reconnect option given by the caller (false, undefined or an
+// object overriding some of io.defaultReconnectOptions) and returns the full
+// reconnect options, or null if we shouldn't reconnect.
+io.reconnectOptions = function (reconnect) {
+  if (reconnect === false) {
+    return null;
   }
-  return dataMap;
+  return utils.mergeObjects([io.defaultReconnectOptions, reconnect || {}]);
 };
 
-// ## info
-// A namespace for functions related to tor's GETINFO command.
-let info = info || {};
+// __io.backoffDelay(attempt, reconnectOptions)__.
+// Returns how many milliseconds to wait before reconnection attempt number
+// attempt (starting at 0). The delay grows exponentially up to
+// reconnectOptions.maxDelay, with random jitter so that many clients don't
+// reconnect in lockstep.
+io.backoffDelay = function (attempt, { initialDelay, maxDelay }) {
+  let delay = Math.min(maxDelay, initialDelay * Math.pow(2, attempt));
+  return delay * (0.5 + Math.random() / 2);
+};
+
+// __io.controlConnection(host, port, onNotification, onClose, onError, recorder)__.
+// Opens a single connection to a tor ControlPort at host:port, with no
+// authentication. Passes "650" notification replies to onNotification, and
+// calls onClose() when the connection ends. If a recorder (see
+// trace.recorder) is given, every line sent and received is recorded.
+// Returns an object with sendCommand(command) (returning a promise),
+// failAll(error) to reject all commands awaiting replies, and close().
+io.controlConnection = function (host, port, onNotification, onClose, onError, recorder) {
+  // Produce a callback dispatcher for Tor replies, keyed by their first line.
+  let [onMessage, mainDispatcher] = io.callbackDispatcher(io.replyFirstLine),
+      onLine = io.onLineFromOnReply(onMessage),
+      // Open the socket and convert format to Tor replies.
+      socket = io.asyncSocket(host, port,
+                              io.onDataFromOnLine(recorder ? function (line) {
+                                recorder.record("received", line);
+                                onLine(line);
+                              } : onLine),
+                              onError, onClose),
+      // Tor expects any commands to be terminated by CRLF.
+      writeLine = function (text) {
+        if (recorder) {
+          for (let line of text.split("\r\n")) {
+            recorder.record("sent", line);
+          }
+        }
+        socket.write(text + "\r\n");
+      },
+      // Ensure we return the correct reply for each sendCommand.
+      [sendCommand, onReply, onFailure, failAll] = io.matchRepliesToCommands(writeLine);
+  // Pass successful reply back to sendCommand callback.
+  mainDispatcher.addCallback(/^2\d\d/, onReply); 
+  // Reject the corresponding sendCommand promise with an error reply.
+  mainDispatcher.addCallback(/^[45]\d\d/, onFailure);
+  // Pass asynchronous notifications to notification dispatcher.
+  mainDispatcher.addCallback(/^650/, onNotification);
+  return { sendCommand : sendCommand, failAll : failAll, close : socket.close };
+};
 
-// __info.keyValueStringsFromMessage(messageText)__.
-// Takes a message (text) response to GETINFO and provides a series of key-value
-// strings, which are either multiline (with a `250+` prefix):
+// __io.controlSocket(host, port, options, onError)__.
+// Instantiates and returns a socket to a tor ControlPort at host:port,
+// authenticating with the strongest method offered by tor. options is
+// either a password string or an object like
 //
-//     250+config/defaults=
-//     AccountingMax "0 bytes"
-//     AllowDotExit "0"
-//     .
+//     { password : "MyPassw0rd", cookiePath : "/path/to/control_auth_cookie",
+//       reconnect : { initialDelay : 500, maxDelay : 30000, maxAttempts : 10,
+//                     holdTimeout : 60000 },
+//       trace : trace.recorder() }
 //
-// or single-line (with a `250-` prefix):
+// A cookiePath overrides the COOKIEFILE advertised by tor. A trace recorder
+// records the traffic of every connection the socket makes. Commands sent
+// before authentication completes are held back until it succeeds.
 //
-//     250-version=0.2.6.0-alpha-dev (git-b408125288ad6943)
-info.keyValueStringsFromMessage = utils.extractor(/^(250\+[\s\S]+?^\.|250-.+?)$/gmi);
+// If the connection fails or drops, the socket reconnects with exponential
+// backoff (unless `reconnect : false`), authenticates again and restores
+// its event subscriptions. Each failed attempt to connect is reported to
+// onError. Commands awaiting a reply when the connection drops are rejected;
+// commands sent while reconnecting are held back, for at most
+// reconnect.holdTimeout milliseconds. The socket's state is one of
+// "connecting", "authenticated", "reconnecting" and "closed". It closes
+// permanently if authentication is refused, if it runs out of reconnection
+// attempts, or if close() is called.
+//
+// onError is called with an error object as its single argument whenever
+// an error occurs on the connection, or a command sent through this handle
+// with a success callback fails. Example:
+//
+//     // Open the socket
+//     let socket = controlSocket("127.0.0.1", 9151, "MyPassw0rd",
+//                    function (error) { console.log(error.message || error); });
+//     // Send command and receive "250" reply or an error. Replies look
+//     // like { status : 250, lines : [{ type : " ", text : "OK", data : null }] }
+//     // (see io.onLineFromOnReply).
+//     socket.sendCommand(commandText).then(onReply, onCommandError);
+//     // ...or, in callback style (errors go to onError if no errorCallback is given)
+//     socket.sendCommand(commandText, replyCallback, errorCallback);
+//     // Register or deregister for "650" notifications
+//     // whose first line matches regex
+//     socket.addNotificationCallback(regex, callback);
+//     socket.removeNotificationCallback(callback);
+//     // Ask tor to start or stop sending an event type (reference-counted)
+//     socket.subscribeEvent("CIRC");
+//     socket.unsubscribeEvent("CIRC");
+//     // Observe the connection state
+//     socket.getState(); // --> "authenticated"
+//     socket.addStateListener(function (state) { console.log(state); });
+//     // Close the socket permanently
+//     socket.close();
+io.controlSocket = function (host, port, options, onError) {
+  options = auth.normalizeOptions(options);
+  let reconnectOptions = io.reconnectOptions(options.reconnect),
+      // Create a callback dispatcher for Tor notifications, shared by all
+      // connections. Callbacks are chosen by matching the first line of
+      // each notification.
+      [onNotification, notificationDispatcher] = io.callbackDispatcher(io.replyFirstLine),
+      // The current connection, or null while we are between connections.
+      connection = null,
+      authenticated = false,
+      state = null,
+      stateListeners = [],
+      reconnectAttempts = 0,
+      reconnectTimer = null,
+      // Commands sent by callers while we are not authenticated, as
+      // `[command, resolve, reject, timer]`.
+      heldCommands = [],
+      // Returns the held commands, no longer held or timed.
+      releaseHeldCommands = function () {
+        let held = heldCommands;
+        heldCommands = [];
+        for (let [command, resolve, reject, timer] of held) {
+          clearTimeout(timer);
+        }
+        return held;
+      },
+      setState = function (newState) {
+        if (state !== newState) {
+          state = newState;
+          for (let listener of stateListeners.slice()) {
+            listener(newState);
+          }
+        }
+      },
+      addStateListener = function (listener) {
+        stateListeners.push(listener);
+        return function () { removeStateListener(listener); };
+      },
+      removeStateListener = function (listener) {
+        stateListeners = stateListeners.filter(function (aListener) {
+          return aListener !== listener;
+        });
+      },
+      sendCommandWhenAuthenticated = function (command) {
+        if (state === "closed") {
+          return Promise.reject(io.connectionError("Tor control port connection is closed"));
+        }
+        if (authenticated) {
+          return connection.sendCommand(command);
+        }
+        return new Promise(function (resolve, reject) {
+          let held = [command, resolve, reject, null],
+              holdTimeout = reconnectOptions ? reconnectOptions.holdTimeout : Infinity;
+          if (holdTimeout !== Infinity) {
+            held[3] = setTimeout(function () {
+              heldCommands = heldCommands.filter(function (aHeld) { return aHeld !== held; });
+              reject(io.connectionError("Tor control port not connected after " +
+                                        holdTimeout + " ms"));
+            }, holdTimeout);
+          }
+          heldCommands.push(held);
+        });
+      },
+      // The public sendCommand, also supporting a replyCallback.
+      sendCommandPublic = function (command, replyCallback, errorCallback) {
+        return utils.thenCallbacks(sendCommandWhenAuthenticated(command),
+                                   replyCallback, errorCallback || onError);
+      },
+      // Keep tor's SETEVENTS in line with the events we are watching.
+      subscriptions = io.eventSubscriptions(sendCommandWhenAuthenticated),
+      // Close everything down for good. If error is given, fail any pending
+      // commands with it and report it to onError.
+      shutDown = function (error) {
+        if (state === "closed") {
+          return;
+        }
+        let failure = error || io.connectionError("Tor control port connection is closed");
+        authenticated = false;
+        clearTimeout(reconnectTimer);
+        if (connection) {
+          connection.failAll(failure);
+          connection.close();
+          connection = null;
+        }
+        // Report the error before state listeners hear that we closed, as
+        // they may stop listening for errors then.
+        if (error) {
+          onError(error);
+        }
+        setState("closed");
+        for (let [command, resolve, reject] of releaseHeldCommands()) {
+          reject(failure);
+        }
+      },
+      // Called when aConnection has ended or failed to open, with the code of
+      // the socket error, if any.
+      onDrop = function (aConnection, code) {
+        if (aConnection !== connection || state === "closed") {
+          return;
+        }
+        let attemptFailed = !authenticated;
+        connection = null;
+        authenticated = false;
+        aConnection.failAll(io.connectionError("Tor control port connection lost"));
+        if (!reconnectOptions || reconnectAttempts >= reconnectOptions.maxAttempts) {
+          shutDown(io.connectionError("Tor control port connection lost"));
+          return;
+        }
+        // Tell the caller why we can't connect, in case tor isn't running or
+        // this isn't its control port; we keep trying all the same.
+        if (attemptFailed) {
+          onError(io.connectionError("Tor control port connection failed" +
+                                     (code ? ": " + code : "")));
+        }
+        setState("reconnecting");
+        reconnectTimer = setTimeout(connect,
+                                    io.backoffDelay(reconnectAttempts++, reconnectOptions));
+      },
+      // Open a new connection and log in to the control port.
+      connect = function () {
+        setState("connecting");
+        let thisConnection = io.controlConnection(host, port, onNotification,
+                                                  function (code) {
+                                                    onDrop(thisConnection, code);
+                                                  },
+                                                  onError, options.trace || null);
+        connection = thisConnection;
+        auth.authenticate(thisConnection.sendCommand, options).then(function () {
+          if (connection !== thisConnection) {
+            return;
+          }
+          authenticated = true;
+          reconnectAttempts = 0;
+          setState("authenticated");
+          // Restore our event subscriptions, then release any commands that
+          // were waiting for authentication.
+          subscriptions.resubscribe().catch(onError);
+          for (let [command, resolve, reject] of releaseHeldCommands()) {
+            thisConnection.sendCommand(command).then(resolve, reject);
+          }
+        }, function (error) {
+          // If the connection dropped during authentication, onDrop takes care
+          // of it; otherwise tor refused us, and trying again won't help.
+          if (connection === thisConnection) {
+            shutDown(error);
+          }
+        });
+      };
+  connect();
+  return { close : function () { shutDown(null); },
+           sendCommand : sendCommandPublic,
+           addNotificationCallback : notificationDispatcher.addCallback,
+           removeNotificationCallback : notificationDispatcher.removeCallback,
+           subscribeEvent : subscriptions.subscribe,
+           unsubscribeEvent : subscriptions.unsubscribe,
+           getState : function () { return state; },
+           addStateListener : addStateListener,
+           removeStateListener : removeStateListener };
+};
+
+// ## info
+// A namespace for functions related to tor's GETINFO command.
+var info = info || {};
 
 // __info.applyPerLine(transformFunction)__.
 // Returns a function that splits text into lines,
-// and applies transformFunction to each line.
+// and applies transformFunction to each non-empty line.
 info.applyPerLine = function (transformFunction) {
   return function (text) {
-    return utils.splitLines(text.trim()).map(transformFunction);
+    return utils.splitLines(text.trim()).filter(function (line) {
+      return line !== "";
+    }).map(transformFunction);
   };
 };
 
-// __info.routerStatusParser(valueString)__.
-// Parses a router status entry as, described in
+// __info.policyParser(text)__.
+// Parses a port policy summary such as `accept 80,443,6660-6669` (from `p`
+// lines and microdescriptors) to
+// `{ action : "accept", ports : ["80", "443", "6660-6669"] }`.
+info.policyParser = function (text) {
+  let [action, ports] = utils.splitAtSpaces(text);
+  return { action : action, ports : ports ? ports.split(",") : [] };
+};
+
+// __info.routerStatusEntryParser(lines)__.
+// Parses the lines of one router status entry, as described in
 // https://gitweb.torproject.org/torspec.git/blob/HEAD:/dir-spec.txt
-// (search for "router status entry")
-info.routerStatusParser = function (valueString) {
-  let lines = utils.splitLines(valueString),
-      objects = [];
+// (search for "router status entry"), such as
+//
+//     r relay1 ABCD... EFGH... 2014-10-29 17:00:00 1.2.3.4 9001 0
+//     a [2001:db8::1]:9001
+//     s Fast Guard Running Stable Valid
+//     v Tor 0.2.5.10
+//     pr Cons=1-2 Link=1-4
+//     w Bandwidth=1200
+//     p reject 1-65535
+//
+// to `{ nickname, identity, digest, publicationDate, publicationTime, IP,
+// ORPort, DirPort, orAddresses, statusFlags, version, protocols, Bandwidth,
+// exitPolicy }`. In microdescriptor-flavored consensuses the `r` line has
+// no digest, and an `m` line gives the microdescriptor's digest as
+// microdescriptorDigest.
+info.routerStatusEntryParser = function (lines) {
+  let entry = { orAddresses : [] };
   for (let line of lines) {
-    let data = line.substring(2);
-    // Accumulate more maps with data, depending on the first character in the line.
-    objects.push(
-      { "r" : utils.listMapData(data, ["nickname", "identity", "digest", "publicationDate",    
-                                       "publicationTime", "IP", "ORPort", "DirPort"]) ,
-        "a" : { "IPv6" :  data } ,
-        "s" : { "statusFlags" : utils.splitAtSpaces(data) } ,
-        "v" : { "version" : data } ,
-        "w" : utils.listMapData(data, []) ,
-        "p" : { "portList" : data.split(",") } ,
-        "m" : utils.listMapData(data, [])
-     }[line.charAt(0)]
-    );                                   
-  }
-  return utils.mergeObjects(objects);
+    let index = line.indexOf(" "),
+        keyword = index === -1 ? line : line.substring(0, index),
+        data = index === -1 ? "" : line.substring(index + 1);
+    if (keyword === "r") {
+      let names = utils.splitAtSpaces(data).length >= 8 ?
+                  ["nickname", "identity", "digest", "publicationDate",
+                   "publicationTime", "IP", "ORPort", "DirPort"] :
+                  ["nickname", "identity", "publicationDate",
+                   "publicationTime", "IP", "ORPort", "DirPort"];
+      entry = utils.mergeObjects([entry, utils.listMapData(data, names)]);
+    } else if (keyword === "a") {
+      entry.orAddresses.push(data);
+    } else if (keyword === "s") {
+      entry.statusFlags = utils.splitAtSpaces(data);
+    } else if (keyword === "v") {
+      entry.version = data;
+    } else if (keyword === "pr") {
+      entry.protocols = utils.listMapData(data, []);
+    } else if (keyword === "w") {
+      let weights = utils.listMapData(data, []);
+      for (let key of Object.keys(weights)) {
+        entry[key] = parseInt(weights[key], 10);
+      }
+    } else if (keyword === "p") {
+      entry.exitPolicy = info.policyParser(data);
+    } else if (keyword === "m" && !data.includes(" ")) {
+      entry.microdescriptorDigest = data;
+    }
+  }
+  return entry;
 };
 
-// __info.circuitStatusParser(line)__.
-// Parse the output of a circuit status line.
-info.circuitStatusParser = function (line) {
-  let data = utils.listMapData(line, ["id","status","circuit"]),
-      circuit = data.circuit;
+// __info.routerStatusListParser(text)__.
+// Parses a series of router status entries, each beginning with an `r` line,
+// to an array of router status maps. text may also be a complete
+// network-status document, such as the cached consensus: the lines before
+// the first entry and from `directory-footer` on are skipped.
+info.routerStatusListParser = function (text) {
+  let entries = [];
+  for (let line of utils.splitLines(text)) {
+    if (line.startsWith("directory-footer")) {
+      break;
+    }
+    if (line.startsWith("r ")) {
+      entries.push([]);
+    }
+    if (entries.length > 0 && line !== "") {
+      entries[entries.length - 1].push(line);
+    }
+  }
+  return entries.map(info.routerStatusEntryParser);
+};
+
+// __info.routerStatusParser(valueString)__.
+// Parses a single router status entry (see info.routerStatusEntryParser), as
+// returned for `ns/id/...`. Returns null if there is none.
+info.routerStatusParser = function (valueString) {
+  return info.routerStatusListParser(valueString)[0] || null;
+};
+
+// __info.circuitPathParser(data)__.
+// Takes a map with a `circuit` entry such as `$A1B2...~relay1,$C3D4...~relay2`
+// and splits the path into an array of `[id, name]` pairs, in place.
+info.circuitPathParser = function (data) {
+  let circuit = data.circuit;
   // Parse out the individual circuit IDs and names.
   if (circuit) {
     data.circuit = circuit.split(",").map(function (x) {
@@ -398,6 +1468,13 @@ info.circuitStatusParser = function (line) {
   return data;
 };
 
+// __info.circuitStatusParser(line)__.
+// Parse the output of a circuit status line. The path is absent for
+// circuits that have only just been launched.
+info.circuitStatusParser = function (line) {
+  return info.circuitPathParser(utils.listMapData(line, ["id","status"], ["circuit"]));
+};
+
 // __info.streamStatusParser(line)__.
 // Parse the output of a stream status line.
 info.streamStatusParser = function (text) {
@@ -405,158 +1482,2826 @@ info.streamStatusParser = function (text) {
                                   "CircuitID", "Target"]);
 };
 
+// __info.configNameParser(line)__.
+// Parses a line of `config/names` such as `Bridge LineList` to
+// `{ name : "Bridge", type : "LineList" }`.
+info.configNameParser = function (line) {
+  let [name, type] = utils.splitAtSpaces(line);
+  return { name : name, type : type };
+};
+
+// __info.statusParser(text)__.
+// Parses the status in `status/bootstrap-phase`, and in STATUS_CLIENT,
+// STATUS_GENERAL and STATUS_SERVER events, such as
+// `NOTICE BOOTSTRAP PROGRESS=85 TAG=ap_conn SUMMARY="Connecting to a relay to build circuits"`
+// to `{ Severity : "NOTICE", Action : "BOOTSTRAP", PROGRESS : "85", ... }`.
+info.statusParser = function (text) {
+  return utils.listMapData(text, ["Severity", "Action"]);
+};
+
+// __info.booleanParser(text)__.
+// Parses a `0` or `1` value to a boolean.
+info.booleanParser = function (text) {
+  return text === "1";
+};
+
+// __info.integerParser(text)__.
+// Parses a decimal value such as `traffic/read` to a number.
+info.integerParser = function (text) {
+  return parseInt(text, 10);
+};
+
+// __info.listParser(text)__.
+// Parses a list of space- or newline-separated items, such as the service
+// IDs in `onions/current`, to an array of strings.
+info.listParser = function (text) {
+  return utils.splitAtSpaces(text);
+};
+
+// __info.commaListParser(text)__.
+// Parses a comma-separated list, such as `status/version/recommended`, to an
+// array of strings.
+info.commaListParser = function (text) {
+  return text === "" ? [] : text.split(",");
+};
+
+// __info.quotedListParser(text)__.
+// Parses a list of quoted strings, such as the addresses in
+// `net/listeners/socks` (`"127.0.0.1:9150" "unix:/path"`), to an array of
+// unquoted strings.
+info.quotedListParser = function (text) {
+  return utils.splitAtSpaces(text).map(utils.dequote);
+};
+
+// __info.relayParser(text)__.
+// Parses a relay given as `$fingerprint~nickname`, `$fingerprint=nickname`,
+// `$fingerprint` or `nickname` to `[fingerprint, nickname]` (either may be
+// undefined).
+info.relayParser = function (text) {
+  let [, fingerprint, name] = text.match(/^(?:\$([0-9A-Fa-f]+))?(?:[~=]?(.+))?$/);
+  return [fingerprint, name];
+};
+
+// __info.entryGuardParser(line)__.
+// Parses a line of `entry-guards` such as
+// `$A1B2...~relay1 down 2014-10-29 17:34:57` to
+// `{ id : "A1B2...", name : "relay1", status : "down", since : "2014-10-29 17:34:57" }`.
+// since is null for guards that are up.
+info.entryGuardParser = function (line) {
+  let [relay, status, ...since] = utils.splitAtSpaces(line),
+      [id, name] = info.relayParser(relay);
+  return { id : id, name : name, status : status,
+           since : since.length ? since.join(" ") : null };
+};
+
+// __info.orConnStatusParser(line)__.
+// Parses a line of `orconn-status` such as `$A1B2...~relay1 CONNECTED` to
+// `{ Target : "$A1B2...~relay1", ORStatus : "CONNECTED" }`.
+info.orConnStatusParser = function (line) {
+  return utils.listMapData(line, ["Target", "ORStatus"]);
+};
+
+// __info.addressMappingParser(line)__.
+// Parses an address mapping, as in `address-mappings/all` and ADDRMAP
+// events, such as `example.com 93.184.216.34 "2014-10-29 18:34:57" EXPIRES=...`
+// to `{ Address, NewAddress, Expiry, ... }`. Expiry is "NEVER" for permanent
+// mappings.
+info.addressMappingParser = function (line) {
+  let data = utils.listMapData(line, ["Address", "NewAddress", "Expiry"]);
+  data.Expiry = utils.dequote(data.Expiry);
+  return data;
+};
+
+// __info.byteCountsParser(text)__.
+// Parses the two byte counts in `accounting/bytes` and `accounting/bytes-left`
+// to `{ read, written }`.
+info.byteCountsParser = function (text) {
+  let [read, written] = utils.splitAtSpaces(text).map(info.integerParser);
+  return { read : read, written : written };
+};
+
+// __info.keywordFlagsParser(text)__.
+// Parses a list of `KEY=0|1` flags, such as `OR=1 DIR=0` in
+// `status/reachability-succeeded`, to `{ OR : true, DIR : false }`.
+info.keywordFlagsParser = function (text) {
+  let data = utils.listMapData(text, []);
+  for (let key of Object.keys(data)) {
+    data[key] = info.booleanParser(data[key]);
+  }
+  return data;
+};
+
+// __info.documentItems(text)__.
+// Splits a directory document, such as a server descriptor or a
+// microdescriptor, into its items. Each item is a `keyword arguments` line,
+// optionally followed by a `-----BEGIN ...-----` object. Returns an array of
+// `{ keyword, args, object }` in document order, where object is the
+// object's text (including the BEGIN and END lines) or null.
+info.documentItems = function (text) {
+  let items = [],
+      object = null;
+  for (let line of utils.splitLines(text)) {
+    if (object !== null) {
+      object.push(line);
+      if (line.startsWith("-----END ")) {
+        items[items.length - 1].object = object.join("\n");
+        object = null;
+      }
+    } else if (line.startsWith("-----BEGIN ") && items.length > 0) {
+      object = [line];
+    } else if (line !== "") {
+      let index = line.indexOf(" ");
+      items.push({ keyword : index === -1 ? line : line.substring(0, index),
+                   args : index === -1 ? "" : line.substring(index + 1),
+                   object : null });
+    }
+  }
+  return items;
+};
+
+// __info.documentParser(text)__.
+// A generic parser for directory documents (see info.documentItems). Returns
+// a map from each keyword to an array of its argument strings, where an
+// object is appended (on a new line) to the arguments of the line before it.
+info.documentParser = function (text) {
+  let result = {};
+  for (let { keyword, args, object } of info.documentItems(text)) {
+    let value = object === null ? args : (args ? args + "\n" : "") + object;
+    (result[keyword] = result[keyword] || []).push(value);
+  }
+  return result;
+};
+
+// __info.splitDocuments(text, firstKeyword)__.
+// Splits the concatenated documents in text, such as those returned for
+// `desc/all-recent`, into an array of document texts, each starting with a
+// firstKeyword line.
+info.splitDocuments = function (text, firstKeyword) {
+  let documents = [];
+  for (let line of utils.splitLines(text)) {
+    if (line === firstKeyword || line.startsWith(firstKeyword + " ")) {
+      documents.push([]);
+    }
+    if (documents.length > 0) {
+      documents[documents.length - 1].push(line);
+    }
+  }
+  return documents.map(function (lines) { return lines.join("\n"); });
+};
+
+// __info.serverDescriptorParser(text)__.
+// Parses a server descriptor, as returned for `desc/id/...` (see dir-spec
+// section 2.1.1), to
+//
+//     { nickname : "relay1", address : "1.2.3.4", ORPort : 9001,
+//       SOCKSPort : 0, DirPort : 0, orAddresses : ["[2001:db8::1]:9001"],
+//       platform : "Tor 0.2.5.10 on Linux", protocols : { Link : "1-4", ... },
+//       published : "2014-10-29 17:00:00", fingerprint : "ABCD...",
+//       uptime : 3600, bandwidth : { average : 1000, burst : 2000, observed : 1500 },
+//       family : ["$EF01...", "relay2"], contact : "...", hibernating : false,
+//       exitPolicy : [{ action : "reject", pattern : "*:25" },
+//                     { action : "accept", pattern : "*:*" }],
+//       ipv6ExitPolicy : { action : "accept", ports : ["80", "443"] },
+//       onionKey : "-----BEGIN RSA PUBLIC KEY-----...", signingKey : "...",
+//       ntorOnionKey : "..." }
+//
+// Fields missing from the descriptor are left out, except that orAddresses,
+// family and exitPolicy default to empty arrays.
+info.serverDescriptorParser = function (text) {
+  let descriptor = { orAddresses : [], family : [], exitPolicy : [] };
+  for (let { keyword, args, object } of info.documentItems(text)) {
+    if (keyword === "router") {
+      let [nickname, address, ORPort, SOCKSPort, DirPort] = utils.splitAtSpaces(args);
+      descriptor = utils.mergeObjects([descriptor, {
+        nickname : nickname, address : address, ORPort : parseInt(ORPort, 10),
+        SOCKSPort : parseInt(SOCKSPort, 10), DirPort : parseInt(DirPort, 10) }]);
+    } else if (keyword === "or-address") {
+      descriptor.orAddresses.push(args);
+    } else if (keyword === "platform") {
+      descriptor.platform = args;
+    } else if (keyword === "proto") {
+      descriptor.protocols = utils.listMapData(args, []);
+    } else if (keyword === "published") {
+      descriptor.published = args;
+    } else if (keyword === "fingerprint") {
+      descriptor.fingerprint = args.replace(/ /g, "");
+    } else if (keyword === "uptime") {
+      descriptor.uptime = parseInt(args, 10);
+    } else if (keyword === "bandwidth") {
+      let [average, burst, observed] = utils.splitAtSpaces(args).map(info.integerParser);
+      descriptor.bandwidth = { average : average, burst : burst, observed : observed };
+    } else if (keyword === "family") {
+      descriptor.family = utils.splitAtSpaces(args);
+    } else if (keyword === "contact") {
+      descriptor.contact = args;
+    } else if (keyword === "hibernating") {
+      descriptor.hibernating = info.booleanParser(args);
+    } else if (keyword === "accept" || keyword === "reject") {
+      descriptor.exitPolicy.push({ action : keyword, pattern : args });
+    } else if (keyword === "ipv6-policy") {
+      descriptor.ipv6ExitPolicy = info.policyParser(args);
+    } else if (keyword === "onion-key") {
+      descriptor.onionKey = object;
+    } else if (keyword === "signing-key") {
+      descriptor.signingKey = object;
+    } else if (keyword === "ntor-onion-key") {
+      descriptor.ntorOnionKey = args;
+    }
+  }
+  return descriptor;
+};
+
+// __info.microdescriptorParser(text)__.
+// Parses a microdescriptor, as returned for `md/id/...` (see dir-spec
+// section 3.3), to
+//
+//     { onionKey : "-----BEGIN RSA PUBLIC KEY-----...", ntorOnionKey : "...",
+//       orAddresses : [], family : ["$EF01...", "relay2"],
+//       exitPolicy : { action : "accept", ports : ["80", "443"] },
+//       ipv6ExitPolicy : { action : "reject", ports : ["1-65535"] },
+//       ids : { ed25519 : "..." } }
+//
+// onionKey is null if the microdescriptor has none. orAddresses and family
+// default to empty arrays, ids to an empty map.
+info.microdescriptorParser = function (text) {
+  let microdescriptor = { onionKey : null, orAddresses : [], family : [], ids : {} };
+  for (let { keyword, args, object } of info.documentItems(text)) {
+    if (keyword === "onion-key") {
+      microdescriptor.onionKey = object;
+    } else if (keyword === "ntor-onion-key") {
+      microdescriptor.ntorOnionKey = args;
+    } else if (keyword === "a") {
+      microdescriptor.orAddresses.push(args);
+    } else if (keyword === "family") {
+      microdescriptor.family = utils.splitAtSpaces(args);
+    } else if (keyword === "p") {
+      microdescriptor.exitPolicy = info.policyParser(args);
+    } else if (keyword === "p6") {
+      microdescriptor.ipv6ExitPolicy = info.policyParser(args);
+    } else if (keyword === "id") {
+      let [type, key] = utils.splitAtSpaces(args);
+      microdescriptor.ids[type] = key;
+    }
+  }
+  return microdescriptor;
+};
+
 // __info.parsers__.
 // A map of GETINFO keys to parsing function, which convert result strings to JavaScript
-// data.
+// data. Keys ending in "/" apply to every key with that prefix, unless a
+// longer key matches. See control-spec section 3.9 for the keys.
 info.parsers = {
   "version" : utils.identity,
   "config-file" : utils.identity,
   "config-defaults-file" : utils.identity,
   "config-text" : utils.identity,
+  "config/names" : info.applyPerLine(info.configNameParser),
+  "events/names" : utils.splitAtSpaces,
+  "address" : utils.identity,
+  "fingerprint" : utils.identity,
+  "dormant" : info.booleanParser,
+  "traffic/read" : info.integerParser,
+  "traffic/written" : info.integerParser,
+  "net/listeners/" : info.quotedListParser,
+  "entry-guards" : info.applyPerLine(info.entryGuardParser),
+  "orconn-status" : info.applyPerLine(info.orConnStatusParser),
+  "address-mappings/" : info.applyPerLine(info.addressMappingParser),
+  "onions/" : info.listParser,
+  "status/" : utils.identity,
+  "status/bootstrap-phase" : info.statusParser,
+  "status/circuit-established" : info.booleanParser,
+  "status/enough-dir-info" : info.booleanParser,
+  "status/good-server-descriptor" : info.booleanParser,
+  "status/accepted-server-descriptor" : info.booleanParser,
+  "status/reachability-succeeded" : info.keywordFlagsParser,
+  "status/version/recommended" : info.commaListParser,
+  "status/clients-seen" : function (text) { return utils.listMapData(text, []); },
+  "accounting/" : utils.identity,
+  "accounting/enabled" : info.booleanParser,
+  "accounting/bytes" : info.byteCountsParser,
+  "accounting/bytes-left" : info.byteCountsParser,
+  "ns/all" : info.routerStatusListParser,
+  "ns/purpose/" : info.routerStatusListParser,
   "ns/id/" : info.routerStatusParser,
   "ns/name/" : info.routerStatusParser,
+  "dir/status-vote/current/consensus" : info.routerStatusListParser,
+  "dir/status-vote/current/consensus-microdesc" : info.routerStatusListParser,
+  "md/id/" : info.microdescriptorParser,
+  "md/name/" : info.microdescriptorParser,
+  "md/all" : function (text) {
+    return info.splitDocuments(text, "onion-key").map(info.microdescriptorParser);
+  },
+  "desc/id/" : info.serverDescriptorParser,
+  "desc/name/" : info.serverDescriptorParser,
+  "desc/all-recent" : function (text) {
+    return info.splitDocuments(text, "router").map(info.serverDescriptorParser);
+  },
   "ip-to-country/" : utils.identity,
   "circuit-status" : info.applyPerLine(info.circuitStatusParser),
   "stream-status" : info.applyPerLine(info.streamStatusParser)
 };
 
+// __info.registerParser(key, parser)__.
+// Adds or replaces the parser for a GETINFO key, or for all keys with a
+// prefix if key ends in "/". parser takes the value string and returns
+// JavaScript data. Parsers are shared by all controllers.
+info.registerParser = function (key, parser) {
+  if (!utils.isString(key) || typeof(parser) !== "function") {
+    throw new Error("registerParser expects a key string and a parser function");
+  }
+  info.parsers[key] = parser;
+};
+
 // __info.getParser(key)__.
 // Takes a key and determines the parser function that should be used to
-// convert its corresponding valueString to JavaScript data.
+// convert its corresponding valueString to JavaScript data. Tries the key
+// itself and then each of its prefixes ending in "/", longest first.
+// Returns "unknown" if no parser applies.
 info.getParser = function(key) {
-  return info.parsers[key] ||
-         info.parsers[key.substring(0, key.lastIndexOf("/") + 1)] ||
-         "unknown";         
-};
-
-// __info.stringToValue(string)__.
-// Converts a key-value string as from GETINFO to a value. 
-info.stringToValue = function (string) {
-  // key should look something like `250+circuit-status=` or `250-circuit-status=...`
-  let key = string.match(/^250[\+-](.+?)=/mi)[1],
-      // matchResult finds a single-line result for `250-` or a multi-line one for `250+`.
-      matchResult = string.match(/250\-.+?=(.*?)$/mi) ||
-                    string.match(/250\+.+?=([\s\S]*?)^\.$/mi),
-      // Retrieve the captured group (the text of the value in the key-value pair)
-      valueString = matchResult ? matchResult[1] : null;
-  // Return value where the latter has been parsed according to the key requested.
-  return info.getParser(key)(valueString);
-};
-
-// __info.getInfoMultiple(aControlSocket, keys, onData)__.
-// Sends GETINFO for an array of keys. Passes onData an array of their respective results,
-// in order.
-info.getInfoMultiple = function (aControlSocket, keys, onData) {
-  if (!(keys instanceof Array)) {
-    throw new Error("keys argument should be an array");
-  }
-  if (!(onData instanceof Function)) {
-    throw new Error("onData argument should be a function");
-  }
-  let parsers = keys.map(info.getParser);
-  if (parsers.indexOf("unknown") !== -1) {
-    throw new Error("unknown key");
+  let end = key.length;
+  while (end > 0) {
+    let prefix = key.substring(0, end);
+    // Keys such as "constructor" must not find the methods of Object.
+    if (Object.prototype.hasOwnProperty.call(info.parsers, prefix)) {
+      return info.parsers[prefix];
+    }
+    // A leading "/" starts no prefix, and would bring us back here forever.
+    let slash = key.lastIndexOf("/", end - 2);
+    end = slash > 0 ? slash + 1 : 0;
+  }
+  return "unknown";
+};
+
+// __info.valuesFromReply(reply)__.
+// Converts a reply to GETINFO to an array of values, one for each key. Each
+// key-value pair is either single-line:
+//
+//     250-version=0.2.6.0-alpha-dev (git-b408125288ad6943)
+//
+// or multiline, with the value in a data block:
+//
+//     250+config/defaults=
+//     AccountingMax "0 bytes"
+//     AllowDotExit "0"
+//     .
+//
+// Each value is parsed according to its key, or left as a string if its key
+// has no parser.
+info.valuesFromReply = function (reply) {
+  return reply.lines.filter(function (line) {
+    return line.type !== " ";
+  }).map(function ({ type, text, data }) {
+    let index = text.indexOf("="),
+        key = text.substring(0, index),
+        valueString = type === "+" ? data : text.substring(index + 1);
+    // Return value where the latter has been parsed according to the key requested.
+    let parser = info.getParser(key);
+    return parser === "unknown" ? valueString : parser(valueString);
+  });
+};
+
+// __info.getInfoMultiple(aControlSocket, keys, allowUnknown)__.
+// Sends GETINFO for an array of keys. Returns a promise that resolves with an
+// array of their respective results, in order. Keys without a parser (see
+// info.registerParser) are refused, unless allowUnknown is true: their
+// values are then passed through as raw strings.
+info.getInfoMultiple = function (aControlSocket, keys, allowUnknown) {
+  if (!Array.isArray(keys)) {
+    return Promise.reject(new Error("keys argument should be an array"));
+  }
+  let parsers = keys.map(info.getParser),
+      unknownIndex = parsers.indexOf("unknown");
+  if (unknownIndex !== -1 && !allowUnknown) {
+    return Promise.reject(new Error("unknown key: " + keys[unknownIndex]));
   }
   if (parsers.indexOf("not supported") !== -1) {
-    throw new Error("unsupported key");
+    return Promise.reject(new Error("unsupported key"));
   }
-  aControlSocket.sendCommand("getinfo " + keys.join(" "), function (message) {
-    onData(info.keyValueStringsFromMessage(message).map(info.stringToValue));
-  });
+  return utils.tryPromise(function () {
+    return aControlSocket.sendCommand(commands.build("getinfo", keys));
+  }).then(info.valuesFromReply);
 };
 
-// __info.getInfo(controlSocket, key, onValue)__.
-// Sends GETINFO for a single key. Passes onValue the value for that key.
-info.getInfo = function (aControlSocket, key, onValue) {
+// __info.getInfo(controlSocket, key, allowUnknown)__.
+// Sends GETINFO for a single key. Returns a promise that resolves with the
+// value for that key.
+info.getInfo = function (aControlSocket, key, allowUnknown) {
   if (!utils.isString(key)) {
-    throw new Error("key argument should be a string");
-  }
-  if (!(onValue instanceof Function)) {
-    throw new Error("onValue argument should be a function");
+    return Promise.reject(new Error("key argument should be a string"));
   }
-  info.getInfoMultiple(aControlSocket, [key], function (data) {
-    onValue(data[0]);
+  return info.getInfoMultiple(aControlSocket, [key], allowUnknown).then(function (data) {
+    return data[0];
   });
 };
 
-// ## event
-// Handlers for events
+// ## config
+// A namespace for functions related to tor's GETCONF, SETCONF, RESETCONF,
+// SAVECONF and LOADCONF commands.
+var config = config || {};
 
-let event = event || {};
+// __config.parseNumber(string)__.
+// Converts a numeric configuration value to a number, or leaves it as a
+// string if it isn't numeric.
+config.parseNumber = function (string) {
+  let number = Number(string);
+  return isNaN(number) ? string : number;
+};
 
-// __event.parsers__.
-// A map of EVENT keys to parsing functions, which convert result strings to JavaScript
-// data.
-event.parsers = {
-  "stream" : info.streamStatusParser,
-  "circ" : info.circuitStatusParser
+// __config.splitCommas(string)__.
+// Splits a comma-separated configuration value into an array.
+config.splitCommas = function (string) {
+  return string === "" ? [] : string.split(",");
 };
 
-// __event.messageToData(type, message)__.
-// Extract the data from an event.
-event.messageToData = function (type, message) {
-  let dataText = message.match(/^650 \S+?\s(.*?)$/mi)[1];
-  return dataText ? event.parsers[type.toLowerCase()](dataText) : null;
+// __config.valueParsers__.
+// A map of option types, as listed in `config/names`, to functions that convert
+// GETCONF value strings to JavaScript data. Intervals are in seconds (or
+// milliseconds for TimeMsecInterval), and data sizes are in bytes, as tor
+// reports them. Types not listed here are left as strings.
+config.valueParsers = {
+  "Boolean" : function (string) { return string === "1"; },
+  "Autobool" : function (string) { return string === "auto" ? "auto" : string === "1"; },
+  "Integer" : config.parseNumber,
+  "SignedInteger" : config.parseNumber,
+  "Port" : config.parseNumber,
+  "TimeInterval" : config.parseNumber,
+  "TimeMsecInterval" : config.parseNumber,
+  "DataSize" : config.parseNumber,
+  "Float" : config.parseNumber,
+  "Percent" : config.parseNumber,
+  "CommaList" : config.splitCommas,
+  "RouterList" : config.splitCommas,
+  "ISOTime" : function (string) { return new Date(string.replace(" ", "T") + "Z"); },
+  "Time" : function (string) { return new Date(string.replace(" ", "T") + "Z"); }
 };
 
-// __event.watchEvent(controlSocket, type, filter, onData)__.
-// Watches for a particular type of event. If filter(data) returns true, the event's
-// data is pass to the onData callback.
-event.watchEvent = function (controlSocket, type, filter, onData) {
-  controlSocket.addNotificationCallback(new RegExp("^650." + type, "i"),
-    function (message) {
-      let data = event.messageToData(type, message);
-      if (filter === null || filter(data)) {
-        onData(data);
-      }
-    });
+// __config.listTypes__.
+// Option types that may be given multiple times, such as `Bridge`. Their
+// values are always returned as arrays.
+config.listTypes = ["LineList", "Dependent", "Dependant", "Virtual"];
+
+// __config.commaListTypes__.
+// Option types whose values are comma-separated lists.
+config.commaListTypes = ["CommaList", "RouterList"];
+
+// __config.typeTableFromNames(names)__.
+// Takes the parsed value of `config/names` (an array like
+// `[{ name : "Bridge", type : "LineList" }, ...]`) and returns a map from
+// lowercased option name to type.
+config.typeTableFromNames = function (names) {
+  let typeTable = {};
+  for (let { name, type } of names) {
+    typeTable[name.toLowerCase()] = type;
+  }
+  return typeTable;
 };
 
-// ## tor
-// Things related to the main controller.
-let tor = tor || {};
+// __config.typeTables__.
+// A map from control sockets to promises of their type tables, so that
+// `config/names` is requested only once per socket.
+config.typeTables = new WeakMap();
 
-// __tor.controller(host, port, password, onError)__.
-// Creates a tor controller at the given host and port, with the given password.
-// onError returns asynchronously whenever a connection error occurs.
-tor.controller = function (host, port, password, onError) {
-  let socket = io.controlSocket(host, port, password, onError);
-  return { getInfo : function (key, log) { info.getInfo(socket, key, log); } ,
-           getInfoMultiple : function (keys, log) {
-             info.getInfoMultiple(socket, keys, log);
-           },
-           watchEvent : function (type, filter, onData) {
-             event.watchEvent(socket, type, filter, onData);
-           },
-           close : socket.close };
+// __config.getTypeTable(aControlSocket)__.
+// Returns a promise of the option type table for aControlSocket, generated from
+// `GETINFO config/names`.
+config.getTypeTable = function (aControlSocket) {
+  if (!config.typeTables.has(aControlSocket)) {
+    let promise = info.getInfo(aControlSocket, "config/names")
+                    .then(config.typeTableFromNames);
+    config.typeTables.set(aControlSocket, promise);
+    // Don't cache a failure.
+    promise.catch(function () { config.typeTables.delete(aControlSocket); });
+  }
+  return config.typeTables.get(aControlSocket);
 };
 
-// __tor.controllerCache__.
-// A map from "host:port" to controller objects. Prevents redundant instantiation
-// of control sockets.
-tor.controllerCache__ = {};
+// __config.checkKeys(keys)__.
+// Throws an error if any of the keys is not a valid option name.
+config.checkKeys = function (keys) {
+  for (let key of keys) {
+    if (!utils.isString(key) || !key.match(/^[A-Za-z0-9_]+$/)) {
+      throw new Error("invalid configuration key: " + key);
+    }
+  }
+};
+
+// __config.keyValuePairsFromReply(reply)__.
+// Takes a GETCONF reply like
+//
+//     250-Bridge=obfs4 192.0.2.1:443 ...
+//     250-Bridge=obfs4 192.0.2.2:443 ...
+//     250 Nickname
+//
+// and returns an array of `[key, valueString]` pairs, in order. Options set to
+// their default value have a null valueString.
+config.keyValuePairsFromReply = function (reply) {
+  return reply.lines.map(function ({ text }) {
+    let index = text.indexOf("=");
+    return index === -1 ? [text, null]
+                        : [text.substring(0, index), utils.dequote(text.substring(index + 1))];
+  });
+};
+
+// __config.parseValue(type, string)__.
+// Converts a value string to JavaScript data according to its option type.
+config.parseValue = function (type, string) {
+  let parser = config.valueParsers[type];
+  return (string === null || !parser) ? string : parser(string);
+};
+
+// __config.valuesFromReply(reply, typeTable)__.
+// Converts a GETCONF reply to an object mapping each option name to its typed
+// value. Options of a list type (and any other option that appears more than
+// once) are collected into arrays.
+config.valuesFromReply = function (reply, typeTable) {
+  let result = {};
+  for (let [key, string] of config.keyValuePairsFromReply(reply)) {
+    let type = typeTable[key.toLowerCase()],
+        value = config.parseValue(type, string);
+    if (config.listTypes.indexOf(type) !== -1) {
+      result[key] = (result[key] || []).concat(string === null ? [] : [value]);
+    } else if (result.hasOwnProperty(key)) {
+      result[key] = [].concat(result[key], [value]);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+};
+
+// __config.encodeValue(type, value)__.
+// Converts a JavaScript value to a SETCONF value argument: a plain string,
+// or a commands.quoted one when necessary. Booleans become `1` or `0`,
+// arrays of a comma-list type are joined with commas, and Dates become ISO
+// times.
+config.encodeValue = function (type, value) {
+  let string;
+  if (typeof value === "boolean") {
+    string = value ? "1" : "0";
+  } else if (value instanceof Date) {
+    string = value.toISOString().substring(0, 19).replace("T", " ");
+  } else if (Array.isArray(value) && config.commaListTypes.indexOf(type) !== -1) {
+    string = value.join(",");
+  } else {
+    string = String(value);
+  }
+  return string.match(/^[^\s"\\]+$/) ? string : commands.quoted(string);
+};
+
+// __config.settingsArguments(settings, typeTable)__.
+// Converts an object of settings like
+// `{ Bridge : ["192.0.2.1:443", "192.0.2.2:443"], SocksPort : 9050, ExitNodes : null }`
+// to the command arguments (see commands.build) for
+// `Bridge=192.0.2.1:443 Bridge=192.0.2.2:443 SocksPort=9050 ExitNodes`.
+// A null value, or an empty array for a list type, leaves the bare key, which
+// returns the option to its default.
+config.settingsArguments = function (settings, typeTable) {
+  let parts = [];
+  config.checkKeys(Object.keys(settings));
+  for (let key of Object.keys(settings)) {
+    let type = typeTable[key.toLowerCase()],
+        value = settings[key],
+        values = (Array.isArray(value) && config.commaListTypes.indexOf(type) === -1) ?
+                 value : [value];
+    if (value === null || value === undefined || values.length === 0) {
+      parts.push(key);
+    } else {
+      for (let item of values) {
+        parts.push(commands.pair(key, config.encodeValue(type, item)));
+      }
+    }
+  }
+  return parts;
+};
+
+// __config.getConf(aControlSocket, keys)__.
+// Sends GETCONF for a key or an array of keys. Returns a promise that resolves
+// with an object mapping each option name, as capitalized by tor, to its typed
+// value. Example:
+//
+//     config.getConf(socket, ["SocksPort", "Bridge", "UseBridges"])
+//     // --> { "SocksPort" : ["9150"], "Bridge" : ["obfs4 ...", "obfs4 ..."],
+//     //       "UseBridges" : true }
+config.getConf = function (aControlSocket, keys) {
+  keys = utils.isString(keys) ? [keys] : keys;
+  return utils.tryPromise(function () {
+    config.checkKeys(keys);
+    return Promise.all([config.getTypeTable(aControlSocket),
+                        aControlSocket.sendCommand(commands.build("getconf", keys))]);
+  }).then(function ([typeTable, reply]) {
+    return config.valuesFromReply(reply, typeTable);
+  });
+};
+
+// __config.sendSettings(aControlSocket, command, settings)__.
+// Sends a SETCONF or RESETCONF command with the given settings object.
+// Returns a promise.
+config.sendSettings = function (aControlSocket, command, settings) {
+  return config.getTypeTable(aControlSocket).then(function (typeTable) {
+    return aControlSocket.sendCommand(
+      commands.build(command, config.settingsArguments(settings, typeTable)));
+  });
+};
+
+// __config.setConf(aControlSocket, settings)__.
+// Sends SETCONF to change the options in the settings object (see
+// config.settingsArguments). Returns a promise.
+config.setConf = function (aControlSocket, settings) {
+  return config.sendSettings(aControlSocket, "setconf", settings);
+};
+
+// __config.resetConf(aControlSocket, keysOrSettings)__.
+// Sends RESETCONF, which returns options to their defaults before applying
+// any given values. Takes either an array of option names or a settings
+// object. Returns a promise.
+config.resetConf = function (aControlSocket, keysOrSettings) {
+  let settings = keysOrSettings;
+  if (Array.isArray(keysOrSettings)) {
+    settings = {};
+    for (let key of keysOrSettings) {
+      settings[key] = null;
+    }
+  }
+  return config.sendSettings(aControlSocket, "resetconf", settings);
+};
+
+// __config.saveConf(aControlSocket, force)__.
+// Sends SAVECONF, asking tor to write its configuration to its torrc. If
+// force is true, tor overwrites the torrc even if it includes other files.
+// Returns a promise.
+config.saveConf = function (aControlSocket, force) {
+  return aControlSocket.sendCommand(commands.build("saveconf", [force ? "FORCE" : null]));
+};
+
+// __config.loadConf(aControlSocket, text)__.
+// Sends LOADCONF, replacing tor's configuration with the given torrc text.
+// Returns a promise.
+config.loadConf = function (aControlSocket, text) {
+  return utils.tryPromise(function () {
+    return aControlSocket.sendCommand(commands.buildMultiLine("loadconf", [], text));
+  });
+};
+
+// ## control
+// A namespace for commands that act on circuits and streams: EXTENDCIRCUIT,
+// SETCIRCUITPURPOSE, CLOSECIRCUIT, ATTACHSTREAM, REDIRECTSTREAM and CLOSESTREAM.
+var control = control || {};
+
+// __control.streamCloseReasons__.
+// The RELAY_END reasons that CLOSESTREAM accepts, by name.
+control.streamCloseReasons = {
+  "MISC" : 1, "RESOLVEFAILED" : 2, "CONNECTREFUSED" : 3, "EXITPOLICY" : 4,
+  "DESTROY" : 5, "DONE" : 6, "TIMEOUT" : 7, "NOROUTE" : 8, "HIBERNATING" : 9,
+  "INTERNAL" : 10, "RESOURCELIMIT" : 11, "CONNRESET" : 12, "TORPROTOCOL" : 13,
+  "NOTDIRECTORY" : 14
+};
+
+// __control.check(value, regex, description)__.
+// Returns String(value) if it matches regex, and otherwise throws an error
+// naming the description of the expected argument.
+control.check = function (value, regex, description) {
+  let string = String(value);
+  if (!string.match(regex)) {
+    throw new Error("invalid " + description + ": " + string);
+  }
+  return string;
+};
+
+// __control.checkID(id, description)__.
+// Checks that id is a valid circuit or stream ID (at most 16 alphanumerics).
+control.checkID = function (id, description) {
+  return control.check(id, /^[A-Za-z0-9]{1,16}$/, description);
+};
+
+// __control.checkPurpose(purpose)__.
+// Checks that purpose is one of the circuit purposes a controller may set.
+control.checkPurpose = function (purpose) {
+  return control.check(purpose, /^(general|controller)$/, "circuit purpose");
+};
+
+// __control.extendCircuit(aControlSocket, circuitID, path, purpose)__.
+// Sends EXTENDCIRCUIT to extend the circuit circuitID through the relays in
+// path, an array of fingerprints (`$` followed by 40 hex digits) or nicknames.
+// A circuitID of "0" builds a new circuit. The optional purpose is "general"
+// or "controller". Returns a promise that resolves with the circuit ID from
+// the `250 EXTENDED` reply.
+control.extendCircuit = function (aControlSocket, circuitID, path, purpose) {
+  return utils.tryPromise(function () {
+    return aControlSocket.sendCommand(commands.build("extendcircuit", [
+      control.checkID(circuitID, "circuit ID"),
+      (path && path.length > 0) ? path.map(function (relay) {
+        return control.check(relay, /^\$?[A-Za-z0-9]+([~=][A-Za-z0-9]+)?$/, "relay");
+      }).join(",") : null,
+      purpose ? commands.pair("purpose", control.checkPurpose(purpose)) : null]));
+  }).then(function (reply) {
+    let match = reply.lines[0].text.match(/^EXTENDED (\S+)/);
+    if (!match) {
+      throw new Error("unexpected EXTENDCIRCUIT reply: " + io.replyText(reply));
+    }
+    return match[1];
+  });
+};
+
+// __control.setCircuitPurpose(aControlSocket, circuitID, purpose)__.
+// Sends SETCIRCUITPURPOSE to change the purpose of a circuit to "general" or
+// "controller". Returns a promise.
+control.setCircuitPurpose = function (aControlSocket, circuitID, purpose) {
+  return utils.tryPromise(function () {
+    return aControlSocket.sendCommand(commands.build("setcircuitpurpose", [
+      control.checkID(circuitID, "circuit ID"),
+      commands.pair("purpose", control.checkPurpose(purpose))]));
+  });
+};
+
+// __control.closeCircuit(aControlSocket, circuitID, ifUnused)__.
+// Sends CLOSECIRCUIT. If ifUnused is true, tor closes the circuit only if no
+// streams are attached to it. Returns a promise.
+control.closeCircuit = function (aControlSocket, circuitID, ifUnused) {
+  return utils.tryPromise(function () {
+    return aControlSocket.sendCommand(commands.build("closecircuit", [
+      control.checkID(circuitID, "circuit ID"), ifUnused ? "IfUnused" : null]));
+  });
+};
+
+// __control.attachStream(aControlSocket, streamID, circuitID, hop)__.
+// Sends ATTACHSTREAM to attach a stream to a circuit. A circuitID of "0" lets
+// tor choose the circuit. If hop is given, the stream exits at that hop of
+// the circuit instead of the last one. Tor only waits for us to attach new
+// streams when __LeaveStreamsUnattached is set (see
+// control.leaveStreamsUnattached). Returns a promise.
+control.attachStream = function (aControlSocket, streamID, circuitID, hop) {
+  return utils.tryPromise(function () {
+    return aControlSocket.sendCommand(commands.build("attachstream", [
+      control.checkID(streamID, "stream ID"), control.checkID(circuitID, "circuit ID"),
+      hop ? commands.pair("HOP", control.check(hop, /^\d+$/, "hop")) : null]));
+  });
+};
+
+// __control.redirectStream(aControlSocket, streamID, address, port)__.
+// Sends REDIRECTSTREAM to change the destination address (and optionally the
+// port) of a stream that has not yet been attached. Returns a promise.
+control.redirectStream = function (aControlSocket, streamID, address, port) {
+  return utils.tryPromise(function () {
+    return aControlSocket.sendCommand(commands.build("redirectstream", [
+      control.checkID(streamID, "stream ID"),
+      control.check(address, /^[^\s"\\]+$/, "address"),
+      port ? control.check(port, /^\d+$/, "port") : null]));
+  });
+};
+
+// __control.closeStream(aControlSocket, streamID, reason)__.
+// Sends CLOSESTREAM. reason is a RELAY_END reason, either numeric or a name
+// from control.streamCloseReasons; it defaults to "MISC". Returns a promise.
+control.closeStream = function (aControlSocket, streamID, reason) {
+  return utils.tryPromise(function () {
+    let reasonCode = control.streamCloseReasons[reason || "MISC"] || reason;
+    return aControlSocket.sendCommand(commands.build("closestream", [
+      control.checkID(streamID, "stream ID"),
+      control.check(reasonCode, /^\d+$/, "reason")]));
+  });
+};
+
+// __control.leaveStreamsUnattached(aControlSocket, enabled)__.
+// Sets tor's __LeaveStreamsUnattached option, so that new streams wait for the
+// controller to attach them with ATTACHSTREAM instead of being attached by
+// tor. Returns a promise.
+control.leaveStreamsUnattached = function (aControlSocket, enabled) {
+  return aControlSocket.sendCommand(commands.build("setconf", [
+    commands.pair("__LeaveStreamsUnattached", enabled ? "1" : "0")]));
+};
+
+// __control.signals__.
+// The signals that SIGNAL accepts.
+control.signals = ["RELOAD", "SHUTDOWN", "DUMP", "DEBUG", "HALT", "HUP", "INT",
+                   "USR1", "USR2", "TERM", "NEWNYM", "CLEARDNSCACHE", "HEARTBEAT",
+                   "DORMANT", "ACTIVE"];
+
+// __control.signal(aControlSocket, signal)__.
+// Sends SIGNAL with one of control.signals (in any case). Returns a promise.
+control.signal = function (aControlSocket, signal) {
+  return utils.tryPromise(function () {
+    let name = String(signal).toUpperCase();
+    if (control.signals.indexOf(name) === -1) {
+      throw new Error("invalid signal: " + signal);
+    }
+    return aControlSocket.sendCommand(commands.build("signal", [name]));
+  });
+};
+
+// ## event
+// Handlers for events
+
+var event = event || {};
+
+// __event.numberFields(data, names)__.
+// Converts the named fields of data to numbers, in place, and returns data.
+event.numberFields = function (data, names) {
+  for (let name of names) {
+    if (data[name] !== undefined) {
+      data[name] = Number(data[name]);
+    }
+  }
+  return data;
+};
+
+// __event.bandwidthParser(text)__.
+// Parses a BW event such as `650 BW 1024 2048`.
+event.bandwidthParser = function (text) {
+  return event.numberFields(utils.listMapData(text, ["BytesRead", "BytesWritten"]),
+                            ["BytesRead", "BytesWritten"]);
+};
+
+// __event.streamBandwidthParser(text)__.
+// Parses a STREAM_BW event such as
+// `650 STREAM_BW 34 512 1024 2014-10-29T17:34:57.201512`. Note that tor lists
+// the bytes written before the bytes read.
+event.streamBandwidthParser = function (text) {
+  return event.numberFields(utils.listMapData(text, ["StreamID", "BytesWritten",
+                                                     "BytesRead"], ["Time"]),
+                            ["BytesWritten", "BytesRead"]);
+};
+
+// __event.circuitBandwidthParser(text)__.
+// Parses a CIRC_BW event such as
+// `650 CIRC_BW ID=12 READ=1024 WRITTEN=512 TIME=2014-10-29T17:34:57.201512`.
+event.circuitBandwidthParser = function (text) {
+  return event.numberFields(utils.listMapData(text, []),
+                            ["READ", "WRITTEN", "DELIVERED_READ", "OVERHEAD_READ",
+                             "DELIVERED_WRITTEN", "OVERHEAD_WRITTEN"]);
+};
+
+// __event.hiddenServiceDescriptorParser(text)__.
+// Parses an HS_DESC event such as
+// `650 HS_DESC REQUESTED facebookcorewwwi NO_AUTH $F6A...~hsdir 4nw5aqzn... HSDIR_INDEX=...`.
+// The DescriptorID may be absent.
+event.hiddenServiceDescriptorParser = function (text) {
+  return utils.listMapData(text, ["Action", "HSAddress", "AuthType", "HsDir"],
+                           ["DescriptorID"]);
+};
+
+// __event.hiddenServiceDescriptorContentParser(text, body)__.
+// Parses an HS_DESC_CONTENT event, whose body is the descriptor itself.
+event.hiddenServiceDescriptorContentParser = function (text, body) {
+  let data = utils.listMapData(text, ["HSAddress", "DescId", "HsDir"]);
+  data.Descriptor = body;
+  return data;
+};
+
+// __event.addressMapParser(text)__.
+// Parses an ADDRMAP event such as
+// `650 ADDRMAP example.com 93.184.216.34 "2014-10-29 18:34:57" EXPIRES="2014-10-29 17:34:57" CACHED="NO"`.
+event.addressMapParser = info.addressMappingParser;
+
+// __event.circuitMinorParser(text)__.
+// Parses a CIRC_MINOR event such as
+// `650 CIRC_MINOR 5 PURPOSE_CHANGED $A1B2...~relay1 PURPOSE=CONTROLLER OLD_PURPOSE=GENERAL`.
+event.circuitMinorParser = function (text) {
+  return info.circuitPathParser(utils.listMapData(text, ["id", "event"], ["circuit"]));
+};
+
+// __event.confChangedParser(text, body)__.
+// Parses a CONF_CHANGED event such as
+//
+//     650-CONF_CHANGED
+//     650-SocksPort=9150
+//     650-ExitNodes
+//     650 OK
+//
+// to `{ SocksPort : "9150", ExitNodes : null }`. Options that changed to
+// several values (such as `Bridge`) have an array of values.
+event.confChangedParser = function (text, body) {
+  let result = {};
+  for (let line of utils.splitLines(body || "")) {
+    let index = line.indexOf("="),
+        key = index === -1 ? line : line.substring(0, index),
+        value = index === -1 ? null : utils.dequote(line.substring(index + 1));
+    if (key === "") {
+      continue;
+    }
+    result[key] = result.hasOwnProperty(key) ? [].concat(result[key], [value]) : value;
+  }
+  return result;
+};
+
+// __event.routerStatusesParser(text, body)__.
+// Parses the body of a NEWCONSENSUS or NS event to an array of router status maps.
+event.routerStatusesParser = function (text, body) {
+  return info.routerStatusListParser(body || "");
+};
+
+// __event.logParser(severity)__.
+// Returns a parser for log events of the given severity (DEBUG, INFO, NOTICE,
+// WARN or ERR). Log messages are either single-line, such as
+// `650 NOTICE Bootstrapped 100%: Done`, or multi-line (`650+WARN ...`). The
+// result looks like `{ Severity : "NOTICE", Message : "Bootstrapped 100%: Done" }`.
+event.logParser = function (severity) {
+  return function (text, body) {
+    return { Severity : severity, Message : body === null ? text : body };
+  };
+};
+
+// __event.parsers__.
+// A map of EVENT keys to parsing functions, which convert result strings to JavaScript
+// data. Each parser takes the text following the event type on the first line
+// and, for multi-line events, the body of the event (otherwise null).
+event.parsers = {
+  "stream" : info.streamStatusParser,
+  "circ" : info.circuitStatusParser,
+  "circ_minor" : event.circuitMinorParser,
+  "orconn" : function (text) {
+    return utils.listMapData(text, ["Target", "ORStatus"]);
+  },
+  "bw" : event.bandwidthParser,
+  "stream_bw" : event.streamBandwidthParser,
+  "circ_bw" : event.circuitBandwidthParser,
+  "conn_bw" : function (text) {
+    return event.numberFields(utils.listMapData(text, []), ["READ", "WRITTEN"]);
+  },
+  "status_client" : info.statusParser,
+  "status_general" : info.statusParser,
+  "status_server" : info.statusParser,
+  "guard" : function (text) {
+    return utils.listMapData(text, ["Type", "Name", "Status"]);
+  },
+  "hs_desc" : event.hiddenServiceDescriptorParser,
+  "hs_desc_content" : event.hiddenServiceDescriptorContentParser,
+  "addrmap" : event.addressMapParser,
+  "newdesc" : function (text) {
+    return { ServerIDs : utils.splitAtSpaces(text) };
+  },
+  "descchanged" : function () { return {}; },
+  "newconsensus" : event.routerStatusesParser,
+  "ns" : event.routerStatusesParser,
+  "conf_changed" : event.confChangedParser,
+  "signal" : function (text) { return { Signal : text }; },
+  "buildtimeout_set" : function (text) {
+    return utils.listMapData(text, ["SetType"]);
+  },
+  "clients_seen" : function (text) { return utils.listMapData(text, []); },
+  "network_liveness" : function (text) { return { Status : text }; },
+  "transport_launched" : function (text) {
+    return utils.listMapData(text, ["Type", "Name", "Address", "Port"]);
+  },
+  "pt_log" : function (text) { return utils.listMapData(text, []); },
+  "pt_status" : function (text) { return utils.listMapData(text, []); },
+  "debug" : event.logParser("DEBUG"),
+  "info" : event.logParser("INFO"),
+  "notice" : event.logParser("NOTICE"),
+  "warn" : event.logParser("WARN"),
+  "err" : event.logParser("ERR")
+};
+
+// __event.messageToData(type, reply)__.
+// Extract the data from an event reply. Events are single-line (`650 TYPE ...`),
+// multi-line with a data body (`650+TYPE ...`, followed by a data block and
+// `650 OK`), or multi-line with several `650-` lines (ending with `650 OK`).
+// Events without a known parser are returned as `{ text, body }`.
+event.messageToData = function (type, reply) {
+  let firstLine = reply.lines[0],
+      // The text following the event type on the first line.
+      text = firstLine.text.replace(/^\S+ ?/, ""),
+      body = null,
+      parser = event.parsers[type.toLowerCase()];
+  if (firstLine.type === "+") {
+    body = firstLine.data;
+  } else if (firstLine.type === "-") {
+    // Take the continuation lines, leaving out the final `650 OK`.
+    body = reply.lines.slice(1, -1).map(function (line) {
+      return line.text;
+    }).join("\n");
+  }
+  return parser ? parser(text, body) : { text : text, body : body };
+};
+
+// __event.eventNames__.
+// A map from control sockets to promises of the event names (from
+// `GETINFO events/names`) that their tor supports.
+event.eventNames = new WeakMap();
+
+// __event.isTypeName(type)__.
+// True if type is a plain word, as all event type names are.
+event.isTypeName = function (type) {
+  return utils.isString(type) && /^[A-Za-z0-9_]+$/.test(type);
+};
+
+// __event.checkType(controlSocket, type)__.
+// Returns a promise that resolves if tor supports the event type, and rejects
+// with an "unknown event" error otherwise.
+event.checkType = function (controlSocket, type) {
+  if (!event.isTypeName(type)) {
+    return Promise.reject(new Error("unknown event type: " + type));
+  }
+  if (!event.eventNames.has(controlSocket)) {
+    let promise = info.getInfo(controlSocket, "events/names");
+    event.eventNames.set(controlSocket, promise);
+    // Don't cache a failure.
+    promise.catch(function () { event.eventNames.delete(controlSocket); });
+  }
+  return event.eventNames.get(controlSocket).then(function (names) {
+    if (names.indexOf(type.toUpperCase()) === -1) {
+      throw new Error("unknown event type: " + type);
+    }
+  });
+};
+
+// __event.watchEvent(controlSocket, type, filter, onData, onError)__.
+// Watches for a particular type of event, asking tor to send that type if it
+// doesn't already. If filter(data) returns true, the event's data is passed
+// to the onData callback. Returns an unwatch() function that stops watching
+// (and tells tor to stop sending the type once no one else watches it).
+// unwatch.subscribed is a promise that resolves once tor is sending the
+// events, or rejects if tor doesn't know the event type, SETEVENTS fails or
+// the connection closes. Such failures also go to onError, if given, unless
+// we have stopped watching. Example:
+//
+//     let unwatch = event.watchEvent(socket, "CIRC", null, console.log, console.error);
+//     // ...later
+//     unwatch();
+event.watchEvent = function (controlSocket, type, filter, onData, onError) {
+  let callback = function (reply) {
+        let data = event.messageToData(type, reply);
+        if (filter === null || filter(data)) {
+          onData(data);
+        }
+      },
+      // Whether we are still watching, and whether we hold a subscription.
+      watching = true,
+      subscribed = false,
+      subscription = event.checkType(controlSocket, type).then(function () {
+        if (watching) {
+          subscribed = true;
+          return controlSocket.subscribeEvent(type);
+        }
+      }).catch(function (error) {
+        subscribed = false;
+        controlSocket.removeNotificationCallback(callback);
+        throw error;
+      }),
+      unwatch = function () {
+        if (!watching) {
+          return Promise.resolve();
+        }
+        watching = false;
+        controlSocket.removeNotificationCallback(callback);
+        return subscription.catch(utils.identity).then(function () {
+          if (subscribed) {
+            subscribed = false;
+            return controlSocket.unsubscribeEvent(type);
+          }
+        });
+      };
+  // Only build a pattern from a type that checkType will accept.
+  if (event.isTypeName(type)) {
+    controlSocket.addNotificationCallback(new RegExp("^650[ +-]" + type + "\\b", "i"),
+                                          callback);
+  }
+  // Callers who don't wait for the subscription shouldn't see unhandled
+  // rejections.
+  subscription.catch(function (error) {
+    if (watching && onError) {
+      onError(error);
+    }
+  });
+  unwatch.subscribed = subscription;
+  return unwatch;
+};
+
+// ## bootstrap
+// Monitoring of tor's bootstrap progress.
+var bootstrap = bootstrap || {};
+
+// __bootstrap.defaultStallTimeout__.
+// How long, in milliseconds, bootstrapping may go without progress before we
+// consider it stalled.
+bootstrap.defaultStallTimeout = 60000;
+
+// __bootstrap.warningFromStatus(data)__.
+// Takes the parsed data of a BOOTSTRAP status and returns its warning, if any,
+// as `{ message, reason, recommendation, count, host, hostID }`, or null.
+// The recommendation is either "ignore" or "warn".
+bootstrap.warningFromStatus = function (data) {
+  if (data.Severity !== "WARN") {
+    return null;
+  }
+  return { message : data.WARNING, reason : data.REASON,
+           recommendation : data.RECOMMENDATION,
+           count : data.COUNT === undefined ? undefined : Number(data.COUNT),
+           host : data.HOST, hostID : data.HOSTID };
+};
+
+// __bootstrap.monitor(controlSocket, onProgress, options, onError)__.
+// Reports tor's bootstrap progress to onProgress, first from
+// `GETINFO status/bootstrap-phase` and `status/circuit-established`, and then
+// from live STATUS_CLIENT events. onProgress receives objects like
+//
+//     { state : "bootstrapping", progress : 85, tag : "ap_conn",
+//       summary : "Connecting to a relay to build circuits",
+//       warning : null, circuitEstablished : false }
+//
+// where state is one of "starting", "bootstrapping", "warning", "stalled"
+// (no progress for options.stallTimeout milliseconds) or "done". Errors from
+// the initial GETINFO are passed to onError. Returns a function that stops
+// monitoring.
+bootstrap.monitor = function (controlSocket, onProgress, options, onError) {
+  let stallTimeout = (options && options.stallTimeout) || bootstrap.defaultStallTimeout,
+      status = { state : "starting", progress : 0, tag : null, summary : null,
+                 warning : null, circuitEstablished : false },
+      stalled = false,
+      stopped = false,
+      stallTimer = null,
+      // Pass a copy of the current status to onProgress.
+      publish = function () {
+        if (stopped) {
+          return;
+        }
+        status.state = status.progress >= 100 ? "done" :
+                       stalled ? "stalled" :
+                       status.warning ? "warning" : "bootstrapping";
+        onProgress(utils.mergeObjects([status]));
+      },
+      // Start counting down to a stall again.
+      restartStallTimer = function () {
+        clearTimeout(stallTimer);
+        stallTimer = null;
+        stalled = false;
+        if (status.progress < 100) {
+          stallTimer = setTimeout(function () {
+            stalled = true;
+            publish();
+          }, stallTimeout);
+        }
+      },
+      // Apply a parsed BOOTSTRAP status.
+      onBootstrapStatus = function (data) {
+        let progress = Number(data.PROGRESS),
+            advanced = progress !== status.progress || status.state === "starting";
+        status.progress = progress;
+        status.tag = data.TAG;
+        status.summary = data.SUMMARY;
+        status.warning = bootstrap.warningFromStatus(data);
+        if (advanced) {
+          restartStallTimer();
+        }
+        publish();
+      },
+      unwatch = event.watchEvent(controlSocket, "STATUS_CLIENT",
+        function ({ Action }) {
+          return ["BOOTSTRAP", "CIRCUIT_ESTABLISHED",
+                  "CIRCUIT_NOT_ESTABLISHED"].indexOf(Action) !== -1;
+        },
+        function (data) {
+          if (data.Action === "BOOTSTRAP") {
+            onBootstrapStatus(data);
+          } else {
+            status.circuitEstablished = data.Action === "CIRCUIT_ESTABLISHED";
+            publish();
+          }
+        });
+  // Once we are sure to see all later events, ask for the current status.
+  unwatch.subscribed.then(function () {
+    return info.getInfoMultiple(controlSocket, ["status/bootstrap-phase",
+                                                "status/circuit-established"]);
+  }).then(function ([phase, circuitEstablished]) {
+    status.circuitEstablished = circuitEstablished;
+    onBootstrapStatus(phase);
+  }).catch(function (error) {
+    if (!stopped) {
+      onError(error);
+    }
+  });
+  return function () {
+    stopped = true;
+    clearTimeout(stallTimer);
+    return unwatch();
+  };
+};
+
+// ## circuits
+// A live store of tor's circuits and streams.
+var circuits = circuits || {};
+
+// __circuits.circuitFields__.
+// Maps the keys of parsed CIRC, CIRC_MINOR and `circuit-status` data to the
+// fields of circuit records.
+circuits.circuitFields = {
+  status : "status", circuit : "path", PURPOSE : "purpose",
+  HS_STATE : "hsState", REND_QUERY : "rendQuery", TIME_CREATED : "timeCreated",
+  REASON : "reason", REMOTE_REASON : "remoteReason",
+  SOCKS_USERNAME : "socksUsername", SOCKS_PASSWORD : "socksPassword"
+};
+
+// __circuits.streamFields__.
+// Maps the keys of parsed STREAM and `stream-status` data to the fields of
+// stream records.
+circuits.streamFields = {
+  StreamStatus : "status", CircuitID : "circuitID", Target : "target",
+  REASON : "reason", REMOTE_REASON : "remoteReason", SOURCE : "source",
+  SOURCE_ADDR : "sourceAddress", PURPOSE : "purpose",
+  SOCKS_USERNAME : "socksUsername", SOCKS_PASSWORD : "socksPassword"
+};
+
+// __circuits.applyFields(record, data, fields)__.
+// Copies the values in data that are present to record, renaming keys
+// according to fields. BUILD_FLAGS becomes an array.
+circuits.applyFields = function (record, data, fields) {
+  for (let key of Object.keys(fields)) {
+    if (data[key] !== undefined) {
+      record[fields[key]] = data[key];
+    }
+  }
+  if (data.BUILD_FLAGS !== undefined) {
+    record.buildFlags = data.BUILD_FLAGS.split(",");
+  }
+  return record;
+};
+
+// __circuits.copyRecord(record)__.
+// Returns a copy of a circuit or stream record that callers may keep or modify.
+circuits.copyRecord = function (record) {
+  let copy = utils.mergeObjects([record]);
+  for (let key of ["path", "buildFlags", "streams", "history"]) {
+    if (Array.isArray(record[key])) {
+      copy[key] = record[key].slice();
+    }
+  }
+  return copy;
+};
+
+// __circuits.isClosed(status)__.
+// True for the statuses after which tor forgets a circuit or stream.
+circuits.isClosed = function (status) {
+  return status === "CLOSED" || status === "FAILED";
+};
+
+// __circuits.store(controlSocket, options, onError)__.
+// Keeps track of tor's circuits and streams. The store watches CIRC,
+// CIRC_MINOR and STREAM events, then seeds itself from `circuit-status` and
+// `stream-status` (and again after every reconnection). Circuit records look like
+//
+//     { id : "5", status : "BUILT", path : [["A1B2...", "relay1"], ...],
+//       buildFlags : ["NEED_CAPACITY"], purpose : "GENERAL",
+//       hsState : undefined, timeCreated : "2014-10-29T17:34:57.201512",
+//       socksUsername : "example.com", socksPassword : "...",
+//       streams : ["40", "41"],
+//       history : [{ event : "LAUNCHED", time : Date }, { event : "EXTENDED", ... },
+//                  { event : "BUILT", ... }, { event : "PURPOSE_CHANGED", ... }] }
+//
+// and stream records like
+//
+//     { id : "40", status : "SUCCEEDED", circuitID : "5", target : "example.com:443",
+//       purpose : "USER", socksUsername : "example.com", history : [...] }
+//
+// Records are removed once they are CLOSED or FAILED, after
+// options.closedRetention milliseconds (default 0). Listeners receive
+// `{ kind : "circuit" | "stream", change : "added" | "updated" | "removed",
+// record }`, where record is a copy. Errors from the seeding GETINFO go to
+// onError. Example:
+//
+//     let store = circuits.store(socket, null, console.log);
+//     store.addListener(function ({ kind, change, record }) {
+//       console.log(kind, change, record.id, record.status);
+//     });
+//     store.ready.then(function () {
+//       let built = store.getCircuits(function (circuit) {
+//         return circuit.status === "BUILT";
+//       });
+//     });
+//     // ...later
+//     store.stop();
+//
+// Returns `{ ready, getCircuit(id), getCircuits(filter), getStream(id),
+// getStreams(filter), getStreamsForCircuit(id), addListener(listener)
+// (returning a remover), removeListener(listener), stop() }`.
+circuits.store = function (controlSocket, options, onError) {
+  let closedRetention = (options && options.closedRetention) || 0,
+      circuitMap = new Map(),
+      streamMap = new Map(),
+      listeners = [],
+      timers = new Set(),
+      stopped = false,
+      // IDs updated by events while we wait for a GETINFO seed; the seed must
+      // not overwrite these.
+      touched = null,
+      // Whether we are still waiting for the first seed.
+      initial = true,
+      notify = function (kind, change, record) {
+        if (stopped) {
+          return;
+        }
+        for (let listener of listeners.slice()) {
+          listener({ kind : kind, change : change, record : circuits.copyRecord(record) });
+        }
+      },
+      remove = function (kind, map, id) {
+        let record = map.get(id);
+        if (!record) {
+          return;
+        }
+        map.delete(id);
+        if (kind === "stream") {
+          detachStream(record);
+        }
+        notify(kind, "removed", record);
+      },
+      // Forget a closed record, now or after closedRetention.
+      scheduleRemoval = function (kind, map, record) {
+        if (closedRetention <= 0) {
+          remove(kind, map, record.id);
+          return;
+        }
+        let timer = setTimeout(function () {
+          timers.delete(timer);
+          if (map.get(record.id) === record) {
+            remove(kind, map, record.id);
+          }
+        }, closedRetention);
+        timers.add(timer);
+      },
+      detachStream = function (stream) {
+        let circuit = circuitMap.get(stream.circuitID);
+        if (circuit) {
+          circuit.streams = circuit.streams.filter(function (id) { return id !== stream.id; });
+        }
+      },
+      attachStream = function (stream) {
+        let circuit = circuitMap.get(stream.circuitID);
+        if (circuit && circuit.streams.indexOf(stream.id) === -1) {
+          circuit.streams.push(stream.id);
+        }
+      },
+      // Apply parsed circuit data from an event or from circuit-status.
+      // historyEvent names the change, such as "BUILT" or "PURPOSE_CHANGED".
+      updateCircuit = function (data, historyEvent) {
+        let record = circuitMap.get(data.id),
+            added = !record;
+        if (added) {
+          record = { id : data.id, path : [], buildFlags : [], streams : [], history : [] };
+          circuitMap.set(data.id, record);
+        }
+        circuits.applyFields(record, data, circuits.circuitFields);
+        record.history.push({ event : historyEvent, time : new Date() });
+        notify("circuit", added ? "added" : "updated", record);
+        if (circuits.isClosed(record.status)) {
+          scheduleRemoval("circuit", circuitMap, record);
+        }
+      },
+      // Apply parsed stream data from an event or from stream-status.
+      updateStream = function (data) {
+        let record = streamMap.get(data.StreamID),
+            added = !record;
+        if (added) {
+          record = { id : data.StreamID, history : [] };
+          streamMap.set(data.StreamID, record);
+        } else {
+          detachStream(record);
+        }
+        circuits.applyFields(record, data, circuits.streamFields);
+        attachStream(record);
+        record.history.push({ event : record.status, time : new Date() });
+        notify("stream", added ? "added" : "updated", record);
+        if (circuits.isClosed(record.status)) {
+          scheduleRemoval("stream", streamMap, record);
+        }
+      },
+      onCircuitEvent = function (data) {
+        if (touched) {
+          touched.add("circuit " + data.id);
+        }
+        updateCircuit(data, data.status);
+      },
+      onCircuitMinorEvent = function (data) {
+        if (touched) {
+          touched.add("circuit " + data.id);
+        }
+        // CIRC_MINOR uses "event" where CIRC uses "status"; keep the status.
+        let record = circuitMap.get(data.id);
+        updateCircuit(utils.mergeObjects([data, { status : record ? record.status : undefined }]),
+                      data.event);
+      },
+      onStreamEvent = function (data) {
+        if (touched) {
+          touched.add("stream " + data.StreamID);
+        }
+        updateStream(data);
+      },
+      // Bring the store in line with tor's current circuits and streams.
+      seed = function () {
+        if (stopped) {
+          return Promise.resolve();
+        }
+        touched = new Set();
+        return info.getInfoMultiple(controlSocket, ["circuit-status", "stream-status"])
+          .then(function ([circuitList, streamList]) {
+            let circuitIDs = new Set(), streamIDs = new Set();
+            for (let data of circuitList) {
+              circuitIDs.add(data.id);
+              if (!touched.has("circuit " + data.id)) {
+                updateCircuit(data, data.status);
+              }
+            }
+            for (let data of streamList) {
+              streamIDs.add(data.StreamID);
+              if (!touched.has("stream " + data.StreamID)) {
+                updateStream(data);
+              }
+            }
+            // Forget whatever closed while we weren't looking.
+            for (let id of Array.from(streamMap.keys())) {
+              if (!streamIDs.has(id) && !touched.has("stream " + id)) {
+                remove("stream", streamMap, id);
+              }
+            }
+            for (let id of Array.from(circuitMap.keys())) {
+              if (!circuitIDs.has(id) && !touched.has("circuit " + id)) {
+                remove("circuit", circuitMap, id);
+              }
+            }
+            touched = null;
+          }, function (error) {
+            touched = null;
+            throw error;
+          });
+      },
+      unwatchers = [event.watchEvent(controlSocket, "CIRC", null, onCircuitEvent),
+                    event.watchEvent(controlSocket, "CIRC_MINOR", null, onCircuitMinorEvent),
+                    event.watchEvent(controlSocket, "STREAM", null, onStreamEvent)],
+      // After a reconnection, we may have missed events: seed again once
+      // our subscriptions have been restored.
+      removeStateListener = controlSocket.addStateListener(function (state) {
+        if (state === "authenticated" && !initial) {
+          Promise.resolve().then(seed).catch(onError);
+        }
+      }),
+      ready = Promise.all(unwatchers.map(function (unwatch) {
+        return unwatch.subscribed;
+      })).then(seed).then(function () {
+        initial = false;
+      }, function (error) {
+        initial = false;
+        if (!stopped) {
+          onError(error);
+        }
+        throw error;
+      }),
+      filtered = function (map, filter) {
+        return Array.from(map.values()).filter(function (record) {
+          return !filter || filter(record);
+        }).map(circuits.copyRecord);
+      },
+      removeListener = function (listener) {
+        listeners = listeners.filter(function (aListener) { return aListener !== listener; });
+      };
+  // Callers who only use queries shouldn't see unhandled rejections.
+  ready.catch(utils.identity);
+  return { ready : ready,
+           getCircuit : function (id) {
+             let record = circuitMap.get(String(id));
+             return record ? circuits.copyRecord(record) : null;
+           },
+           getCircuits : function (filter) { return filtered(circuitMap, filter); },
+           getStream : function (id) {
+             let record = streamMap.get(String(id));
+             return record ? circuits.copyRecord(record) : null;
+           },
+           getStreams : function (filter) { return filtered(streamMap, filter); },
+           getStreamsForCircuit : function (id) {
+             return filtered(streamMap, function (stream) {
+               return stream.circuitID === String(id);
+             });
+           },
+           addListener : function (listener) {
+             listeners.push(listener);
+             return function () { removeListener(listener); };
+           },
+           removeListener : removeListener,
+           stop : function () {
+             stopped = true;
+             removeStateListener();
+             for (let timer of timers) {
+               clearTimeout(timer);
+             }
+             timers.clear();
+             return Promise.all(unwatchers.map(function (unwatch) { return unwatch(); }));
+           } };
+};
+
+// ## identity
+// Asking tor for a new identity.
+var identity = identity || {};
+
+// __identity.rateLimitTimeout__.
+// How long, in milliseconds, to wait for tor to either carry out a NEWNYM or
+// report that it is rate-limiting it. Tor does one or the other right after
+// replying to SIGNAL, so this only matters if neither event arrives.
+identity.rateLimitTimeout = 2000;
+
+// __identity.rateLimitPattern__.
+// Matches the notice tor logs when it delays a NEWNYM signal.
+identity.rateLimitPattern = /Rate limiting NEWNYM request: delaying by (\d+) second/;
+
+// __identity.newIdentity(controlSocket)__.
+// Sends `SIGNAL NEWNYM`, so that tor uses new circuits for all new
+// connections. Tor carries out at most one NEWNYM every few seconds and delays
+// the others. Returns a promise that resolves with
+// `{ rateLimited : false, confirmed : true }` once tor has switched, or
+// `{ rateLimited : true, confirmed : true, delay : 7 }` if tor will switch
+// after delay seconds. If tor accepts the signal but reports neither within
+// identity.rateLimitTimeout, the promise resolves with
+// `{ rateLimited : false, confirmed : false }`: tor has most likely switched,
+// but didn't say so.
+identity.newIdentity = function (controlSocket) {
+  let unwatchers = [],
+      timer = null,
+      result = new Promise(function (resolve) {
+        unwatchers.push(
+          event.watchEvent(controlSocket, "SIGNAL",
+                           function ({ Signal }) { return Signal === "NEWNYM"; },
+                           function () {
+                             resolve({ rateLimited : false, confirmed : true });
+                           }),
+          event.watchEvent(controlSocket, "NOTICE",
+                           function ({ Message }) {
+                             return identity.rateLimitPattern.test(Message);
+                           },
+                           function ({ Message }) {
+                             let delay = Number(Message.match(identity.rateLimitPattern)[1]);
+                             resolve({ rateLimited : true, confirmed : true, delay : delay });
+                           }));
+        Promise.all(unwatchers.map(function (unwatch) { return unwatch.subscribed; }))
+          .then(function () {
+            return control.signal(controlSocket, "NEWNYM");
+          }).then(function () {
+            timer = setTimeout(function () {
+              resolve({ rateLimited : false, confirmed : false });
+            }, identity.rateLimitTimeout);
+          }).catch(function (error) { resolve(Promise.reject(error)); });
+      }),
+      cleanUp = function () {
+        clearTimeout(timer);
+        // The result doesn't depend on unsubscribing, which fails if the
+        // connection has closed meanwhile.
+        for (let unwatch of unwatchers) {
+          unwatch().catch(utils.identity);
+        }
+      };
+  return result.then(function (value) {
+    cleanUp();
+    return value;
+  }, function (error) {
+    cleanUp();
+    throw error;
+  });
+};
+
+// ## onion
+// Onion services run by tor for us (ADD_ONION and DEL_ONION), client
+// authorization for onion services we visit (ONION_CLIENT_AUTH_ADD, _REMOVE
+// and _VIEW), and onion service descriptors (HSFETCH and HS_DESC events).
+var onion = onion || {};
+
+// __onion.flags__.
+// The flags that ADD_ONION accepts.
+onion.flags = ["DiscardPK", "Detach", "V3Auth", "NonAnonymous",
+               "MaxStreamsCloseCircuit"];
+
+// __onion.defaultUploadTimeout__.
+// How long, in milliseconds, to wait for tor to upload a new onion service's
+// descriptor to a directory.
+onion.defaultUploadTimeout = 120000;
+
+// __onion.checkServiceID(serviceID)__.
+// Checks that serviceID is a v3 onion address, with or without ".onion", and
+// returns it without.
+onion.checkServiceID = function (serviceID) {
+  return control.check(String(serviceID).replace(/\.onion$/, ""),
+                       /^[a-z2-7]{56}$/, "onion service ID");
+};
+
+// __onion.checkKey(key, keyType, regex, description)__.
+// Checks a key given as `"KeyType:blob"` or just the blob, and returns it as
+// `"KeyType:blob"`.
+onion.checkKey = function (key, keyType, regex, description) {
+  let blob = String(key).startsWith(keyType + ":") ?
+             String(key).substring(keyType.length + 1) : key;
+  return keyType + ":" + control.check(blob, regex, description);
+};
+
+// __onion.portMapping(port)__.
+// Converts a port mapping to an ADD_ONION Port argument. port is a virtual
+// port (`80`), a string such as `"80,127.0.0.1:8080"` or
+// `"80,unix:/path/to/socket"`, or an object `{ virtualPort : 80,
+// target : "127.0.0.1:8080" }`. Returns a commands.pair argument.
+onion.portMapping = function (port) {
+  let string = (port !== null && typeof(port) === "object") ?
+               port.virtualPort + (port.target ? "," + port.target : "") : String(port);
+  return commands.pair("Port", control.check(string, /^\d{1,5}(,[^\s",\\]+)?$/,
+                                             "onion service port"));
+};
+
+// __onion.addOnionReplyParser(reply)__.
+// Parses a reply to ADD_ONION such as
+//
+//     250-ServiceID=sp3k262uwy4r2k3ycr5awluarykdpag6a7y33jxop4cs2lu5uz5sseqd
+//     250-PrivateKey=ED25519-V3:uL7Ey0/b1Dqz...
+//     250 OK
+//
+// to `{ serviceId : "sp3k...", privateKey : "ED25519-V3:uL7Ey0/b1Dqz..." }`.
+// privateKey is null if tor doesn't return one (with DiscardPK, or when we
+// supplied the key).
+onion.addOnionReplyParser = function (reply) {
+  let result = { serviceId : null, privateKey : null };
+  for (let [key, value] of config.keyValuePairsFromReply(reply)) {
+    if (key === "ServiceID") {
+      result.serviceId = value;
+    } else if (key === "PrivateKey") {
+      result.privateKey = value;
+    }
+  }
+  if (!result.serviceId) {
+    throw new Error("unexpected ADD_ONION reply: " + io.replyText(reply));
+  }
+  return result;
+};
+
+// __onion.addOnionCommand(options)__.
+// Builds an ADD_ONION command from the options of onion.addOnion.
+onion.addOnionCommand = function (options) {
+  let key = options.privateKey ?
+            onion.checkKey(options.privateKey, "ED25519-V3", /^[A-Za-z0-9+\/]+=*$/,
+                           "onion service key") : "NEW:ED25519-V3",
+      ports = [].concat(options.ports || []),
+      flags = options.flags || [],
+      clientAuth = options.clientAuthV3 || [];
+  if (ports.length === 0) {
+    throw new Error("ADD_ONION needs at least one port");
+  }
+  for (let flag of flags) {
+    if (onion.flags.indexOf(flag) === -1) {
+      throw new Error("invalid onion service flag: " + flag);
+    }
+  }
+  if (clientAuth.length > 0 && flags.indexOf("V3Auth") === -1) {
+    flags = flags.concat(["V3Auth"]);
+  }
+  return commands.build("add_onion", [key].concat(
+    flags.length > 0 ? [commands.pair("Flags", flags.join(","))] : [],
+    options.maxStreams !== undefined ?
+      [commands.pair("MaxStreams", control.check(options.maxStreams, /^\d+$/,
+                                                 "MaxStreams"))] : [],
+    ports.map(onion.portMapping),
+    clientAuth.map(function (publicKey) {
+      return commands.pair("ClientAuthV3", control.check(publicKey, /^[A-Za-z2-7]{52}$/,
+                                                         "client public key"));
+    })));
+};
+
+// __onion.uploadWatcher(controlSocket)__.
+// Watches HS_DESC events for descriptor uploads, so that we don't miss an
+// upload that happens before we know which service to wait for. Returns
+// `{ subscribed, wait(serviceId, timeout), stop() }`, where wait returns a
+// promise that resolves with the data of the first `HS_DESC UPLOADED` event
+// for the service, or rejects after timeout milliseconds (default
+// onion.defaultUploadTimeout). stop() ignores failures to unsubscribe, such
+// as when the connection has closed.
+onion.uploadWatcher = function (controlSocket) {
+  let uploads = [],
+      waiters = [],
+      unwatch = event.watchEvent(controlSocket, "HS_DESC",
+                                 function ({ Action }) { return Action === "UPLOADED"; },
+                                 function (data) {
+                                   uploads.push(data);
+                                   for (let waiter of waiters.slice()) {
+                                     waiter(data);
+                                   }
+                                 });
+  return { subscribed : unwatch.subscribed,
+           wait : function (serviceId, timeout) {
+             let address = onion.checkServiceID(serviceId),
+                 waiter = null,
+                 timer = null;
+             return new Promise(function (resolve, reject) {
+               let earlier = uploads.find(function (data) {
+                 return data.HSAddress === address;
+               });
+               if (earlier) {
+                 resolve(earlier);
+                 return;
+               }
+               waiter = function (data) {
+                 if (data.HSAddress === address) {
+                   resolve(data);
+                 }
+               };
+               waiters.push(waiter);
+               timer = setTimeout(function () {
+                 reject(new Error("onion service descriptor not uploaded: " + address));
+               }, timeout || onion.defaultUploadTimeout);
+             }).then(function (data) {
+               clearTimeout(timer);
+               waiters = waiters.filter(function (aWaiter) { return aWaiter !== waiter; });
+               return data;
+             }, function (error) {
+               waiters = waiters.filter(function (aWaiter) { return aWaiter !== waiter; });
+               throw error;
+             });
+           },
+           stop : function () {
+             return unwatch().catch(utils.identity);
+           } };
+};
+
+// __onion.addOnion(controlSocket, options)__.
+// Sends ADD_ONION to start an onion service. options is
+//
+//     { ports : [80, "443,127.0.0.1:8443"],  // See onion.portMapping.
+//       privateKey : "ED25519-V3:...",       // Omit to have tor make a new key.
+//       flags : ["Detach"],                  // See onion.flags.
+//       maxStreams : 10,
+//       clientAuthV3 : ["<base32 x25519 public key>", ...],
+//       waitForUpload : true }               // Or a timeout in milliseconds.
+//
+// Unless the Detach flag is given, tor removes the service when this control
+// connection closes. Returns a promise that resolves with
+// `{ serviceId, privateKey }` (see onion.addOnionReplyParser), after tor has
+// uploaded the service's descriptor if waitForUpload is set.
+onion.addOnion = function (controlSocket, options) {
+  let watcher = null;
+  options = options || {};
+  return utils.tryPromise(function () {
+    let command = onion.addOnionCommand(options);
+    if (!options.waitForUpload) {
+      return controlSocket.sendCommand(command);
+    }
+    watcher = onion.uploadWatcher(controlSocket);
+    return watcher.subscribed.then(function () {
+      return controlSocket.sendCommand(command);
+    });
+  }).then(onion.addOnionReplyParser).then(function (result) {
+    if (!watcher) {
+      return result;
+    }
+    let timeout = options.waitForUpload === true ? null : options.waitForUpload;
+    return watcher.wait(result.serviceId, timeout).then(function () {
+      return result;
+    });
+  }).then(function (result) {
+    if (watcher) {
+      watcher.stop();
+    }
+    return result;
+  }, function (error) {
+    if (watcher) {
+      watcher.stop();
+    }
+    throw error;
+  });
+};
+
+// __onion.waitForUpload(controlSocket, serviceId, timeout)__.
+// Returns a promise that resolves with the data of the next `HS_DESC
+// UPLOADED` event for the onion service (as with a descriptor being
+// republished), or rejects after timeout milliseconds.
+onion.waitForUpload = function (controlSocket, serviceId, timeout) {
+  let watcher = onion.uploadWatcher(controlSocket);
+  return watcher.subscribed.then(function () {
+    return watcher.wait(serviceId, timeout);
+  }).then(function (data) {
+    watcher.stop();
+    return data;
+  }, function (error) {
+    watcher.stop();
+    throw error;
+  });
+};
+
+// __onion.delOnion(controlSocket, serviceId)__.
+// Sends DEL_ONION to stop an onion service that this connection added, or
+// that was added with the Detach flag. Returns a promise.
+onion.delOnion = function (controlSocket, serviceId) {
+  return utils.tryPromise(function () {
+    return controlSocket.sendCommand(commands.build("del_onion",
+                                                    [onion.checkServiceID(serviceId)]));
+  });
+};
+
+// __onion.clientAuthAdd(controlSocket, address, privateKey, options)__.
+// Sends ONION_CLIENT_AUTH_ADD, so that tor can visit the onion service at
+// address, which requires client authorization. privateKey is the client's
+// base32 x25519 private key, with or without the `"x25519:"` prefix.
+// options may give `{ clientName, permanent }`; with permanent, tor stores
+// the key on disk. Returns a promise that resolves with the reply's status:
+// 250, or 251 if the key replaced an existing one.
+onion.clientAuthAdd = function (controlSocket, address, privateKey, options) {
+  return utils.tryPromise(function () {
+    options = options || {};
+    return controlSocket.sendCommand(commands.build("onion_client_auth_add", [
+      onion.checkServiceID(address),
+      onion.checkKey(privateKey, "x25519", /^[A-Za-z2-7]{52}=*$/, "client private key"),
+      options.clientName ?
+        commands.pair("ClientName", control.check(options.clientName, /^[^\s"\\]+$/,
+                                                  "client name")) : null,
+      options.permanent ? commands.pair("Flags", "Permanent") : null]));
+  }).then(function (reply) { return reply.status; });
+};
+
+// __onion.clientAuthRemove(controlSocket, address)__.
+// Sends ONION_CLIENT_AUTH_REMOVE to forget the client authorization key for
+// an onion service. Returns a promise that resolves with the reply's status:
+// 250, or 251 if there was no key.
+onion.clientAuthRemove = function (controlSocket, address) {
+  return utils.tryPromise(function () {
+    return controlSocket.sendCommand(commands.build("onion_client_auth_remove",
+                                                    [onion.checkServiceID(address)]));
+  }).then(function (reply) { return reply.status; });
+};
+
+// __onion.clientAuthParser(reply)__.
+// Parses a reply to ONION_CLIENT_AUTH_VIEW such as
+//
+//     250-ONION_CLIENT_AUTH_VIEW
+//     250-CLIENT sp3k...sseqd x25519:2HrBG... ClientName=alice Flags=Permanent
+//     250 OK
+//
+// to an array of `{ address, privateKey, clientName, flags }`, where
+// privateKey keeps its `"x25519:"` prefix, and flags is an array.
+onion.clientAuthParser = function (reply) {
+  return reply.lines.filter(function ({ text }) {
+    return text.startsWith("CLIENT ");
+  }).map(function ({ text }) {
+    let data = utils.listMapData(text.substring("CLIENT ".length),
+                                 ["address", "privateKey"]);
+    return { address : data.address, privateKey : data.privateKey,
+             clientName : data.ClientName || null,
+             flags : data.Flags ? data.Flags.split(",") : [] };
+  });
+};
+
+// __onion.clientAuthView(controlSocket, address)__.
+// Sends ONION_CLIENT_AUTH_VIEW. Returns a promise that resolves with the
+// client authorization keys tor has (see onion.clientAuthParser), for the
+// onion service at address, or for all services if address is omitted.
+onion.clientAuthView = function (controlSocket, address) {
+  return utils.tryPromise(function () {
+    return controlSocket.sendCommand(commands.build("onion_client_auth_view", [
+      address ? onion.checkServiceID(address) : null]));
+  }).then(onion.clientAuthParser);
+};
+
+// __onion.hsFetch(controlSocket, address, servers)__.
+// Sends HSFETCH, asking tor to fetch the descriptor of the onion service at
+// address, optionally from the given array of HSDir servers (fingerprints
+// or nicknames). Tor fetches in the background: watch HS_DESC and
+// HS_DESC_CONTENT events for the result. Returns a promise.
+onion.hsFetch = function (controlSocket, address, servers) {
+  return utils.tryPromise(function () {
+    return controlSocket.sendCommand(commands.build("hsfetch", [
+      onion.checkServiceID(address)].concat((servers || []).map(function (server) {
+        return commands.pair("SERVER", control.check(server, /^\$?[A-Za-z0-9]+$/,
+                                                     "HSDir server"));
+      }))));
+  });
+};
+
+// ## relays
+// A cache of the names, addresses and countries of relays.
+var relays = relays || {};
+
+// __relays.defaultBatchDelay__.
+// How long, in milliseconds, a relay cache collects lookups before sending
+// them to tor together.
+relays.defaultBatchDelay = 10;
+
+// __relays.getInfoEach(controlSocket, keys, stats)__.
+// Sends one GETINFO for all the keys. Tor fails the whole command if it has
+// no value for one of them, replying `552 Unrecognized key "ns/id/..."`, so
+// we then ask again without that key (or, if the reply doesn't say which
+// key, for each key separately). Returns a promise that resolves with an
+// array of values, where the value of each key tor doesn't recognize is
+// null. Other failures reject. Counts the commands sent in stats.commands.
+relays.getInfoEach = function (controlSocket, keys, stats) {
+  if (keys.length === 0) {
+    return Promise.resolve([]);
+  }
+  ++stats.commands;
+  return info.getInfoMultiple(controlSocket, keys).catch(function (error) {
+    if (error.code !== 552) {
+      throw error;
+    }
+    if (keys.length === 1) {
+      return [null];
+    }
+    let match = error.message.match(/Unrecognized key "([^"]*)"/),
+        badIndex = match ? keys.indexOf(match[1]) : -1;
+    if (badIndex === -1) {
+      return Promise.all(keys.map(function (key) {
+        return relays.getInfoEach(controlSocket, [key], stats).then(function ([value]) {
+          return value;
+        });
+      }));
+    }
+    let otherKeys = keys.filter(function (key, i) { return i !== badIndex; });
+    return relays.getInfoEach(controlSocket, otherKeys, stats).then(function (values) {
+      values.splice(badIndex, 0, null);
+      return values;
+    });
+  });
+};
+
+// __relays.lookUpBatch(controlSocket, keys, stats)__.
+// Looks up relays by keys such as `"id/A1B2..."` or `"name/relay1"`: first
+// their consensus entries (`ns/...`), then, for relays given by ID that have
+// none, their descriptors (`desc/...`), then the countries of all their
+// addresses. Returns a promise that resolves with an array of
+// `{ id, name, ip, country }` maps, with null for each relay tor doesn't
+// know about. A country that tor can't tell (`"??"`) is null.
+relays.lookUpBatch = function (controlSocket, keys, stats) {
+  let results = keys.map(function (key) {
+    let [kind, value] = key.split("/");
+    return { id : kind === "id" ? value : null, name : kind === "name" ? value : null,
+             ip : null, country : null };
+  });
+  return relays.getInfoEach(controlSocket, keys.map(function (key) {
+    return "ns/" + key;
+  }), stats).then(function (statuses) {
+    statuses.forEach(function (status, i) {
+      if (status) {
+        results[i].id = results[i].id || status.identity;
+        results[i].name = status.nickname;
+        results[i].ip = status.IP;
+      }
+    });
+    let missing = keys.filter(function (key, i) {
+      return !statuses[i] && key.startsWith("id/");
+    });
+    return relays.getInfoEach(controlSocket, missing.map(function (key) {
+      return "desc/" + key;
+    }), stats).then(function (descriptors) {
+      descriptors.forEach(function (descriptor, j) {
+        let result = results[keys.indexOf(missing[j])];
+        if (descriptor) {
+          result.name = descriptor.nickname;
+          result.ip = descriptor.address;
+        }
+      });
+      return statuses.map(function (status, i) {
+        return status || descriptors[missing.indexOf(keys[i])] ? results[i] : null;
+      });
+    });
+  }).then(function (found) {
+    let ips = Array.from(new Set(found.filter(function (result) {
+      return result && result.ip;
+    }).map(function (result) { return result.ip; })));
+    return relays.getInfoEach(controlSocket, ips.map(function (ip) {
+      return "ip-to-country/" + ip;
+    }), stats).then(function (countries) {
+      for (let result of found) {
+        let country = result && countries[ips.indexOf(result.ip)];
+        if (country && country !== "??") {
+          result.country = country;
+        }
+      }
+      return found;
+    });
+  });
+};
+
+// __relays.cache(controlSocket, options, onError)__.
+// Looks up relays for callers such as a circuit display, which would
+// otherwise ask tor about the same guards for every new circuit. Lookups
+// made within options.batchDelay milliseconds of each other (default
+// relays.defaultBatchDelay) are merged into the same GETINFO commands.
+// Results are remembered, including that tor doesn't know a relay, until
+// tor receives a new consensus (NEWCONSENSUS) or the connection drops.
+// Failed lookups are not remembered. An ID or name that can't be sent to
+// tor (such as one with a space, or an ID that isn't a string) fails only
+// its own lookup. Errors from the NEWCONSENSUS subscription go to onError.
+// Example:
+//
+//     let cache = relays.cache(socket, null, console.log);
+//     cache.lookUp("A1B2...").then(function (relay) {
+//       // relay is { id, name, ip, country }, or null if tor doesn't know it.
+//     });
+//     cache.lookUp(null, "relay1").then(console.log);
+//     console.log(cache.getStats());
+//     // ...later
+//     cache.stop();
+//
+// Returns `{ lookUp(id, name), getStats(), clear(), stop() }`. getStats()
+// returns `{ hits, misses, commands, batches, invalidations, size }`. stop()
+// fails the lookups still waiting for their batch.
+relays.cache = function (controlSocket, options, onError) {
+  let batchDelay = (options && options.batchDelay !== undefined) ?
+                   options.batchDelay : relays.defaultBatchDelay,
+      // Maps keys to promises of their results.
+      entries = new Map(),
+      // Maps the keys waiting for the next batch to their resolve and reject
+      // functions.
+      pending = new Map(),
+      timer = null,
+      stats = { hits : 0, misses : 0, commands : 0, batches : 0, invalidations : 0 },
+      sendBatch = function () {
+        let batch = pending;
+        pending = new Map();
+        timer = null;
+        ++stats.batches;
+        let keys = Array.from(batch.keys());
+        relays.lookUpBatch(controlSocket, keys, stats).then(function (results) {
+          keys.forEach(function (key, i) { batch.get(key).resolve(results[i]); });
+        }, function (error) {
+          for (let key of keys) {
+            batch.get(key).reject(error);
+          }
+        });
+      },
+      clear = function () {
+        entries.clear();
+      },
+      invalidate = function () {
+        ++stats.invalidations;
+        clear();
+      },
+      unwatch = event.watchEvent(controlSocket, "NEWCONSENSUS", null, invalidate),
+      removeStateListener = controlSocket.addStateListener(function (state) {
+        if (state === "reconnecting") {
+          invalidate();
+        }
+      });
+  unwatch.subscribed.catch(onError);
+  return { lookUp : function (id, name) {
+             let key;
+             try {
+               if (id && typeof id !== "string") {
+                 throw new Error("relay ID is not a string: " + id);
+               }
+               key = id ? "id/" + id.replace(/^\$/, "").toUpperCase() : "name/" + name;
+               // Check the key here, as a batch fails as a whole if building
+               // its GETINFO command throws.
+               commands.encodeArgument("ns/" + key);
+             } catch (error) {
+               return Promise.reject(error);
+             }
+             if (entries.has(key)) {
+               ++stats.hits;
+               return entries.get(key);
+             }
+             ++stats.misses;
+             let promise = new Promise(function (resolve, reject) {
+               pending.set(key, { resolve : resolve, reject : reject });
+             });
+             entries.set(key, promise);
+             // Forget failures, so that the next lookup tries again.
+             promise.catch(function () {
+               if (entries.get(key) === promise) {
+                 entries.delete(key);
+               }
+             });
+             if (timer === null) {
+               timer = setTimeout(sendBatch, batchDelay);
+             }
+             return promise;
+           },
+           getStats : function () {
+             return utils.mergeObjects([stats, { size : entries.size }]);
+           },
+           clear : clear,
+           stop : function () {
+             clearTimeout(timer);
+             timer = null;
+             for (let waiter of pending.values()) {
+               waiter.reject(new Error("relay cache stopped"));
+             }
+             pending.clear();
+             removeStateListener();
+             return unwatch();
+           } };
+};
+
+// ## bandwidth
+// Counting the bytes that tor carries, per stream, circuit and domain.
+var bandwidth = bandwidth || {};
+
+// __bandwidth.defaultWindows__.
+// The lengths, in seconds, of the windows over which an accountant averages
+// tor's overall traffic rates.
+bandwidth.defaultWindows = [1, 10, 60];
+
+// __bandwidth.streamDomain(data)__.
+// Returns the domain that a parsed STREAM event's traffic counts for: its
+// SOCKS_USERNAME (Tor Browser's first-party domain), or else the host of
+// its target, such as `"example.com"` for `"example.com:443"`.
+bandwidth.streamDomain = function (data) {
+  if (data.SOCKS_USERNAME) {
+    return data.SOCKS_USERNAME;
+  }
+  return data.Target ? data.Target.replace(/:\d+$/, "").replace(/^\[(.*)\]$/, "$1") : null;
+};
+
+// __bandwidth.rates(samples, windows, now)__.
+// Takes samples `{ time, read, written }` of the bytes tor carried each
+// second, and returns the average rates in bytes per second over the last
+// seconds of each window, such as
+// `[{ seconds : 1, read : 2048, written : 512 }, { seconds : 10, ... }, ...]`.
+bandwidth.rates = function (samples, windows, now) {
+  return windows.map(function (seconds) {
+    let rate = { seconds : seconds, read : 0, written : 0 };
+    for (let { time, read, written } of samples) {
+      if (time > now - seconds * 1000) {
+        rate.read += read / seconds;
+        rate.written += written / seconds;
+      }
+    }
+    return rate;
+  });
+};
+
+// __bandwidth.accountant(controlSocket, options, onError)__.
+// Counts the bytes read and written by tor: per stream (from STREAM_BW
+// events), per circuit (CIRC_BW), per domain (the streams' SOCKS_USERNAME or
+// target host, learned from STREAM events), and overall (BW), with average
+// rates over the last options.windows seconds (default
+// bandwidth.defaultWindows). Stream and circuit counts are dropped when tor
+// closes them; domain and overall counts are kept until reset(). STREAM_BW
+// and CIRC_BW events count only for open streams and circuits: streams we've
+// had a STREAM event for, and circuits from CIRC events or tor's
+// circuit-status (read at the start and again after reconnecting). Records
+// look like `{ id : "40", circuitID : "5", domain : "example.com", read :
+// 1024, written : 512 }`, `{ id : "5", read, written }`,
+// `{ domain : "example.com", read, written }` and, overall,
+// `{ read, written, rates }` (see bandwidth.rates). Listeners receive
+// `{ kind : "stream" | "circuit" | "domain" | "total", record }`, with a copy
+// of each record that changed. Subscription errors go to onError. Example:
+//
+//     let accountant = bandwidth.accountant(socket, null, console.log);
+//     accountant.addListener(function ({ kind, record }) {
+//       if (kind === "domain" && record.domain === "example.com") {
+//         console.log(record.read, record.written);
+//       }
+//     });
+//     console.log(accountant.getTotals().rates);
+//     // ...later
+//     accountant.stop();
+//
+// Returns `{ ready, getStream(id), getCircuit(id), getDomain(domain),
+// getDomains(), getTotals(), addListener(listener) (returning a remover),
+// removeListener(listener), reset(), stop() }`.
+bandwidth.accountant = function (controlSocket, options, onError) {
+  let windows = (options && options.windows) || bandwidth.defaultWindows,
+      longestWindow = Math.max.apply(null, windows),
+      streams = new Map(),
+      circuitMap = new Map(),
+      domains = new Map(),
+      totals = { read : 0, written : 0 },
+      samples = [],
+      listeners = [],
+      stopped = false,
+      notify = function (kind, record) {
+        if (stopped) {
+          return;
+        }
+        for (let listener of listeners.slice()) {
+          listener({ kind : kind, record : utils.mergeObjects([record]) });
+        }
+      },
+      getTotals = function () {
+        return { read : totals.read, written : totals.written,
+                 rates : bandwidth.rates(samples, windows, Date.now()) };
+      },
+      stream = function (id) {
+        if (!streams.has(id)) {
+          streams.set(id, { id : id, circuitID : null, domain : null, read : 0, written : 0 });
+        }
+        return streams.get(id);
+      },
+      // Adds bytes to a domain's count.
+      creditDomain = function (domain, read, written) {
+        if (!domains.has(domain)) {
+          domains.set(domain, { domain : domain, read : 0, written : 0 });
+        }
+        let record = domains.get(domain);
+        record.read += read;
+        record.written += written;
+        notify("domain", record);
+      },
+      onStreamEvent = function (data) {
+        let record = stream(data.StreamID),
+            domain = bandwidth.streamDomain(data);
+        if (data.CircuitID && data.CircuitID !== "0") {
+          record.circuitID = data.CircuitID;
+        }
+        // Bytes counted before we knew the domain count for it now.
+        if (domain && !record.domain) {
+          record.domain = domain;
+          if (record.read > 0 || record.written > 0) {
+            creditDomain(domain, record.read, record.written);
+          }
+        }
+        if (circuits.isClosed(data.StreamStatus)) {
+          streams.delete(record.id);
+        }
+      },
+      onStreamBandwidthEvent = function ({ StreamID, BytesRead, BytesWritten }) {
+        let record = streams.get(StreamID);
+        // Tor can report a stream's last bytes after closing it; a record
+        // made for them would never be dropped.
+        if (!record) {
+          return;
+        }
+        record.read += BytesRead;
+        record.written += BytesWritten;
+        notify("stream", record);
+        if (record.domain) {
+          creditDomain(record.domain, BytesRead, BytesWritten);
+        }
+      },
+      // The IDs of circuits that CIRC events told us about while we read
+      // circuit-status, or null.
+      touched = null,
+      updateCircuit = function (id, status) {
+        if (circuits.isClosed(status)) {
+          circuitMap.delete(id);
+        } else if (!circuitMap.has(id)) {
+          circuitMap.set(id, { id : id, read : 0, written : 0 });
+        }
+      },
+      onCircuitBandwidthEvent = function ({ ID, READ, WRITTEN }) {
+        let record = circuitMap.get(ID);
+        // As with streams, late bytes of a closed circuit don't count.
+        if (!record) {
+          return;
+        }
+        record.read += READ || 0;
+        record.written += WRITTEN || 0;
+        notify("circuit", record);
+      },
+      onCircuitEvent = function ({ id, status }) {
+        if (touched) {
+          touched.add(id);
+        }
+        updateCircuit(id, status);
+      },
+      // Learn which circuits are open, and forget those that closed while we
+      // weren't looking.
+      seedCircuits = function () {
+        if (stopped) {
+          return Promise.resolve();
+        }
+        touched = new Set();
+        return info.getInfo(controlSocket, "circuit-status").then(function (circuitList) {
+          let open = new Set();
+          for (let { id, status } of circuitList) {
+            open.add(id);
+            if (!touched.has(id)) {
+              updateCircuit(id, status);
+            }
+          }
+          for (let id of Array.from(circuitMap.keys())) {
+            if (!open.has(id) && !touched.has(id)) {
+              circuitMap.delete(id);
+            }
+          }
+          touched = null;
+        }, function (error) {
+          touched = null;
+          throw error;
+        });
+      },
+      onBandwidthEvent = function ({ BytesRead, BytesWritten }) {
+        let now = Date.now();
+        totals.read += BytesRead;
+        totals.written += BytesWritten;
+        samples.push({ time : now, read : BytesRead, written : BytesWritten });
+        while (samples.length > 0 && samples[0].time <= now - longestWindow * 1000) {
+          samples.shift();
+        }
+        notify("total", getTotals());
+      },
+      unwatchers = [event.watchEvent(controlSocket, "STREAM", null, onStreamEvent),
+                    event.watchEvent(controlSocket, "STREAM_BW", null, onStreamBandwidthEvent),
+                    event.watchEvent(controlSocket, "CIRC", null, onCircuitEvent),
+                    event.watchEvent(controlSocket, "CIRC_BW", null, onCircuitBandwidthEvent),
+                    event.watchEvent(controlSocket, "BW", null, onBandwidthEvent)],
+      initial = true,
+      removeStateListener = controlSocket.addStateListener(function (state) {
+        if (state === "authenticated" && !initial) {
+          Promise.resolve().then(seedCircuits).catch(onError);
+        }
+      }),
+      ready = Promise.all(unwatchers.map(function (unwatch) {
+        return unwatch.subscribed;
+      })).then(seedCircuits).then(function () {
+        initial = false;
+      }, function (error) {
+        initial = false;
+        if (!stopped) {
+          onError(error);
+        }
+        throw error;
+      }),
+      copyOf = function (record) {
+        return record ? utils.mergeObjects([record]) : null;
+      },
+      removeListener = function (listener) {
+        listeners = listeners.filter(function (aListener) { return aListener !== listener; });
+      };
+  // Callers who only use queries shouldn't see unhandled rejections.
+  ready.catch(utils.identity);
+  return { ready : ready,
+           getStream : function (id) { return copyOf(streams.get(String(id))); },
+           getCircuit : function (id) { return copyOf(circuitMap.get(String(id))); },
+           getDomain : function (domain) { return copyOf(domains.get(domain)); },
+           getDomains : function () { return Array.from(domains.values()).map(copyOf); },
+           getTotals : getTotals,
+           addListener : function (listener) {
+             listeners.push(listener);
+             return function () { removeListener(listener); };
+           },
+           removeListener : removeListener,
+           reset : function () {
+             for (let record of streams.values()) {
+               record.read = record.written = 0;
+             }
+             for (let record of circuitMap.values()) {
+               record.read = record.written = 0;
+             }
+             domains.clear();
+             totals = { read : 0, written : 0 };
+             samples = [];
+           },
+           stop : function () {
+             stopped = true;
+             removeStateListener();
+             return Promise.all(unwatchers.map(function (unwatch) { return unwatch(); }));
+           } };
+};
+
+// ## logs
+// Tor's own log messages, from its log events.
+var logs = logs || {};
+
+// __logs.severities__.
+// Tor's log severities, from least to most severe. Each is also an event type.
+logs.severities = ["DEBUG", "INFO", "NOTICE", "WARN", "ERR"];
+
+// __logs.mergedSeverities__.
+// Severities whose identical repeated messages are merged into one entry.
+logs.mergedSeverities = ["WARN", "ERR"];
+
+// __logs.defaultMaxEntries__.
+// How many log entries a monitor keeps by default.
+logs.defaultMaxEntries = 500;
+
+// __logs.severityRank(severity)__.
+// Returns the position of severity in logs.severities, or throws if it
+// isn't a tor log severity.
+logs.severityRank = function (severity) {
+  let rank = logs.severities.indexOf(String(severity).toUpperCase());
+  if (rank === -1) {
+    throw new Error("unknown log severity: " + severity);
+  }
+  return rank;
+};
+
+// __logs.monitor(controlSocket, options, onError)__.
+// Watches tor's log messages of options.minSeverity (default "NOTICE") and
+// above, keeping the latest options.maxEntries (default
+// logs.defaultMaxEntries) in memory. Entries look like
+// `{ severity : "WARN", message : "...", time, lastTime, count : 3 }`, where
+// times are in milliseconds since the epoch. A WARN or ERR message identical to
+// one still kept isn't added again: the kept entry's count and lastTime go up,
+// and it becomes the newest entry. Listeners receive a copy of each new or
+// merged entry. Subscription errors go to onError. Example:
+//
+//     let monitor = logs.monitor(socket, { minSeverity : "WARN" }, console.log);
+//     monitor.addListener(function ({ severity, message, count }) {
+//       console.log(severity, message, count);
+//     });
+//     // WARN and ERR messages of the last five minutes
+//     monitor.find({ minSeverity : "WARN", since : Date.now() - 300000 });
+//     // ...later
+//     monitor.stop();
+//
+// find(query) returns copies of the entries, oldest first, with a severity at
+// or above query.minSeverity, and seen at some time from query.since to
+// query.until (all optional). Returns `{ ready, find(query),
+// addListener(listener) (returning a remover), removeListener(listener),
+// clear(), stop() }`.
+logs.monitor = function (controlSocket, options, onError) {
+  options = options || {};
+  let minRank = logs.severityRank(options.minSeverity || "NOTICE"),
+      maxEntries = options.maxEntries || logs.defaultMaxEntries,
+      entries = [],
+      listeners = [],
+      stopped = false,
+      copyOf = function (entry) { return utils.mergeObjects([entry]); },
+      onLog = function ({ Severity, Message }) {
+        let now = Date.now(),
+            entry = logs.mergedSeverities.indexOf(Severity) === -1 ? null :
+                    entries.find(function (anEntry) {
+                      return anEntry.severity === Severity && anEntry.message === Message;
+                    });
+        if (entry) {
+          entries.splice(entries.indexOf(entry), 1);
+          entry.count += 1;
+          entry.lastTime = now;
+        } else {
+          entry = { severity : Severity, message : Message, time : now,
+                    lastTime : now, count : 1 };
+        }
+        entries.push(entry);
+        if (entries.length > maxEntries) {
+          entries.shift();
+        }
+        for (let listener of listeners.slice()) {
+          listener(copyOf(entry));
+        }
+      },
+      unwatchers = logs.severities.slice(minRank).map(function (severity) {
+        return event.watchEvent(controlSocket, severity, null, onLog);
+      }),
+      ready = Promise.all(unwatchers.map(function (unwatch) {
+        return unwatch.subscribed;
+      })).then(utils.identity, function (error) {
+        if (!stopped) {
+          onError(error);
+        }
+        throw error;
+      }),
+      removeListener = function (listener) {
+        listeners = listeners.filter(function (aListener) { return aListener !== listener; });
+      };
+  // Callers who only use find() shouldn't see unhandled rejections.
+  ready.catch(utils.identity);
+  return { ready : ready,
+           find : function (query) {
+             let { minSeverity, since, until } = query || {},
+                 rank = minSeverity ? logs.severityRank(minSeverity) : 0;
+             return entries.filter(function (entry) {
+               return logs.severityRank(entry.severity) >= rank &&
+                      (since === undefined || entry.lastTime >= since) &&
+                      (until === undefined || entry.time <= until);
+             }).map(copyOf);
+           },
+           addListener : function (listener) {
+             listeners.push(listener);
+             return function () { removeListener(listener); };
+           },
+           removeListener : removeListener,
+           clear : function () { entries = []; },
+           stop : function () {
+             stopped = true;
+             return Promise.all(unwatchers.map(function (unwatch) { return unwatch(); }));
+           } };
+};
+
+// ## tor
+// Things related to the main controller.
+var tor = tor || {};
+
+// __tor.controllerForSocket(socket, options, onError)__.
+// Creates a tor controller that sends its commands through a control socket
+// (see io.controlSocket). options is a password string or an options object;
+// only its unknownInfoKeys setting matters here. Methods that send commands
+// return promises; for compatibility they also accept an optional success
+// callback, in which case failures go to onError. So do failures to
+// subscribe to the events given to watchEvent.
+tor.controllerForSocket = function (socket, options, onError) {
+  let rawUnknownKeys = auth.normalizeOptions(options).unknownInfoKeys === "raw";
+  return { getInfo : function (key, onValue) {
+             return utils.thenCallbacks(info.getInfo(socket, key, rawUnknownKeys),
+                                        onValue, onError);
+           },
+           getInfoMultiple : function (keys, onData) {
+             return utils.thenCallbacks(info.getInfoMultiple(socket, keys, rawUnknownKeys),
+                                        onData, onError);
+           },
+           registerInfoParser : info.registerParser,
+           getConf : function (keys) { return config.getConf(socket, keys); },
+           setConf : function (settings) { return config.setConf(socket, settings); },
+           resetConf : function (keysOrSettings) {
+             return config.resetConf(socket, keysOrSettings);
+           },
+           saveConf : function (force) { return config.saveConf(socket, force); },
+           loadConf : function (text) { return config.loadConf(socket, text); },
+           extendCircuit : function (circuitID, path, purpose) {
+             return control.extendCircuit(socket, circuitID, path, purpose);
+           },
+           setCircuitPurpose : function (circuitID, purpose) {
+             return control.setCircuitPurpose(socket, circuitID, purpose);
+           },
+           closeCircuit : function (circuitID, ifUnused) {
+             return control.closeCircuit(socket, circuitID, ifUnused);
+           },
+           attachStream : function (streamID, circuitID, hop) {
+             return control.attachStream(socket, streamID, circuitID, hop);
+           },
+           redirectStream : function (streamID, address, port) {
+             return control.redirectStream(socket, streamID, address, port);
+           },
+           closeStream : function (streamID, reason) {
+             return control.closeStream(socket, streamID, reason);
+           },
+           leaveStreamsUnattached : function (enabled) {
+             return control.leaveStreamsUnattached(socket, enabled);
+           },
+           signal : function (signal) { return control.signal(socket, signal); },
+           newIdentity : function () { return identity.newIdentity(socket); },
+           addOnion : function (options) { return onion.addOnion(socket, options); },
+           delOnion : function (serviceId) { return onion.delOnion(socket, serviceId); },
+           waitForOnionUpload : function (serviceId, timeout) {
+             return onion.waitForUpload(socket, serviceId, timeout);
+           },
+           onionClientAuthAdd : function (address, privateKey, options) {
+             return onion.clientAuthAdd(socket, address, privateKey, options);
+           },
+           onionClientAuthRemove : function (address) {
+             return onion.clientAuthRemove(socket, address);
+           },
+           onionClientAuthView : function (address) {
+             return onion.clientAuthView(socket, address);
+           },
+           hsFetch : function (address, servers) {
+             return onion.hsFetch(socket, address, servers);
+           },
+           watchEvent : function (type, filter, onData) {
+             return event.watchEvent(socket, type, filter, onData, onError);
+           },
+           onBootstrap : function (onProgress, options) {
+             return bootstrap.monitor(socket, onProgress, options, onError);
+           },
+           circuitStore : function (options) {
+             return circuits.store(socket, options, onError);
+           },
+           relayCache : function (options) {
+             return relays.cache(socket, options, onError);
+           },
+           bandwidthAccountant : function (options) {
+             return bandwidth.accountant(socket, options, onError);
+           },
+           logMonitor : function (options) {
+             return logs.monitor(socket, options, onError);
+           },
+           getState : socket.getState,
+           addStateListener : socket.addStateListener,
+           removeStateListener : socket.removeStateListener,
+           close : socket.close };
+};
+
+// __tor.controller(host, port, options, onError)__.
+// Creates a tor controller at the given host and port, with a control socket
+// of its own, authenticating and reconnecting according to options (a
+// password string or an options object; see io.controlSocket). onError
+// returns asynchronously whenever a connection error occurs.
+tor.controller = function (host, port, options, onError) {
+  return tor.controllerForSocket(io.controlSocket(host, port, options, onError),
+                                 options, onError);
+};
+
+// __tor.controllerCache__.
+// A map from registry keys (see tor.controllerKey) to the entries
+// `{ socket, handles }` of open control sockets, where handles is the set
+// of controller handles sharing the socket. Prevents redundant instantiation
+// of control sockets.
+tor.controllerCache__ = new Map();
+
+// __tor.controllerKey(host, port, options)__.
+// Returns the registry key for a control port endpoint and the credentials
+// in options. Callers with different credentials get separate sockets, so
+// that a wrong password doesn't reuse someone else's authenticated socket.
+// So do callers with different trace recorders, so that each records, and
+// callers with different reconnect options (see io.reconnectOptions), so
+// that each gets the reconnection it asked for.
+tor.controllerKey = function (host, port, options) {
+  let { password, cookiePath, trace, reconnect } = auth.normalizeOptions(options);
+  return JSON.stringify([io.endpoint(host, port), password || null, cookiePath || null,
+                         trace ? trace.id : null, io.reconnectOptions(reconnect)]);
+};
+
+// __tor.registryEntry(key, host, port, options)__.
+// Returns the registry entry for key, opening a control socket if there is
+// none. Connection errors go to the error listeners of every handle on the
+// socket. Once the socket closes for good, the entry is removed, and every
+// handle is closed and its close listeners called.
+tor.registryEntry = function (key, host, port, options) {
+  let entry = tor.controllerCache__.get(key);
+  if (entry) {
+    return entry;
+  }
+  entry = { handles : new Set() };
+  entry.socket = io.controlSocket(host, port, options, function (error) {
+    for (let handle of Array.from(entry.handles)) {
+      handle.reportError(error);
+    }
+  });
+  entry.socket.addStateListener(function (state) {
+    if (state !== "closed") {
+      return;
+    }
+    if (tor.controllerCache__.get(key) === entry) {
+      tor.controllerCache__.delete(key);
+    }
+    for (let handle of Array.from(entry.handles)) {
+      handle.reportClose();
+    }
+  });
+  tor.controllerCache__.set(key, entry);
+  return entry;
+};
+
+// __tor.controllerHandle(host, port, options, onError)__.
+// Returns a handle to the shared controller for host, port and the
+// credentials in options, opening its control socket if needed. A handle has
+// the methods of tor.controllerForSocket, and its own listeners:
+// onError receives connection errors and failures of commands sent with a
+// success callback, and `addErrorListener(listener)` and
+// `addCloseListener(listener)` (each returning a remover) add more. Close
+// listeners are called when the socket closes for good, not when the handle
+// itself is closed. handle.close() removes every event watcher, bootstrap
+// monitor, circuit store, relay cache, bandwidth accountant, log monitor and
+// state listener created through the handle, and closes the socket once no
+// other handle uses it.
+tor.controllerHandle = function (host, port, options, onError) {
+  let key = tor.controllerKey(host, port, options),
+      entry = tor.registryEntry(key, host, port, options),
+      errorListeners = onError ? [onError] : [],
+      closeListeners = [],
+      // Functions undoing what was registered through this handle.
+      cleanUps = new Set(),
+      closed = false,
+      reportError = function (error) {
+        for (let listener of errorListeners.slice()) {
+          listener(error);
+        }
+      },
+      // Remembers undo until the handle closes. Returns a version of undo
+      // that also forgets it.
+      track = function (undo) {
+        let tracked = function () {
+          cleanUps.delete(tracked);
+          return undo.apply(null, arguments);
+        };
+        cleanUps.add(tracked);
+        return tracked;
+      },
+      trackStop = function (object) {
+        object.stop = track(object.stop);
+        return object;
+      },
+      // Stops using the socket, undoing all our registrations.
+      release = function () {
+        if (closed) {
+          return false;
+        }
+        closed = true;
+        entry.handles.delete(member);
+        for (let cleanUp of Array.from(cleanUps)) {
+          Promise.resolve(cleanUp()).catch(utils.identity);
+        }
+        return true;
+      },
+      member = { reportError : reportError,
+                 reportClose : function () {
+                   if (release()) {
+                     for (let listener of closeListeners.slice()) {
+                       listener();
+                     }
+                   }
+                 } },
+      shared = tor.controllerForSocket(entry.socket, options, reportError),
+      handle = {},
+      addListener = function (listeners, listener) {
+        listeners.push(listener);
+        return function () {
+          let index = listeners.indexOf(listener);
+          if (index !== -1) {
+            listeners.splice(index, 1);
+          }
+        };
+      };
+  entry.handles.add(member);
+  let registering = {
+        watchEvent : function (type, filter, onData) {
+          let unwatch = shared.watchEvent(type, filter, onData),
+              tracked = track(unwatch);
+          tracked.subscribed = unwatch.subscribed;
+          return tracked;
+        },
+        onBootstrap : function (onProgress, bootstrapOptions) {
+          return track(shared.onBootstrap(onProgress, bootstrapOptions));
+        },
+        circuitStore : function (storeOptions) {
+          return trackStop(shared.circuitStore(storeOptions));
+        },
+        relayCache : function (cacheOptions) {
+          return trackStop(shared.relayCache(cacheOptions));
+        },
+        bandwidthAccountant : function (accountantOptions) {
+          return trackStop(shared.bandwidthAccountant(accountantOptions));
+        },
+        logMonitor : function (monitorOptions) {
+          return trackStop(shared.logMonitor(monitorOptions));
+        },
+        addStateListener : function (listener) {
+          return track(shared.addStateListener(listener));
+        } };
+  // A closed handle refuses to be used.
+  for (let name of Object.keys(shared)) {
+    let method = registering[name] || shared[name];
+    handle[name] = function () {
+      if (closed) {
+        throw new Error("controller handle is closed");
+      }
+      return method.apply(null, arguments);
+    };
+  }
+  // Parsers are shared by all controllers, so registering one needs no socket.
+  handle.registerInfoParser = shared.registerInfoParser;
+  handle.getState = function () { return closed ? "closed" : shared.getState(); };
+  handle.removeStateListener = shared.removeStateListener;
+  handle.addErrorListener = function (listener) {
+    return addListener(errorListeners, listener);
+  };
+  handle.addCloseListener = function (listener) {
+    return addListener(closeListeners, listener);
+  };
+  handle.close = function () {
+    if (release() && entry.handles.size === 0) {
+      if (tor.controllerCache__.get(key) === entry) {
+        tor.controllerCache__.delete(key);
+      }
+      entry.socket.close();
+    }
+  };
+  return handle;
+};
 
 // ## Export
 
-// __controller(host, port, password, onError)__.
-// Instantiates and returns a controller object connected to a tor ControlPort
-// at host:port, authenticating with the given password, if the controller doesn't yet
-// exist. Otherwise returns the existing controller to the given host:port.
+// __controller(host, port, options, onError)__.
+// Returns a handle to a controller connected to a tor ControlPort at
+// host:port. Callers asking for the same host:port with the same credentials
+// share one connection, but each gets a handle of its own (see
+// tor.controllerHandle): closing a handle only stops its own watchers and
+// listeners, and the connection closes with the last handle. options may be a
+// password string, or an object `{ password, cookiePath, reconnect,
+// unknownInfoKeys, trace }`; the controller negotiates NULL, HASHEDPASSWORD, COOKIE
+// or SAFECOOKIE authentication via PROTOCOLINFO, and reconnects if the
+// connection drops. getInfo refuses keys without a parser unless
+// `unknownInfoKeys : "raw"`, which returns their values as plain strings.
+// A `trace` made by trace.recorder() records the connection's traffic.
+// To use a ControlSocket instead of a TCP ControlPort, pass host as
+// `"unix:/path/to/socket"`; port is then ignored.
 // onError is called with an error object as its single argument whenever
-// an error occurs. Example:
+// an error occurs on the connection, or a command sent through this handle
+// with a success callback fails. Example:
 //
 //     // Get the controller
 //     let c = controller("127.0.0.1", 9151, "MyPassw0rd",
 //                    function (error) { console.log(error.message || error); });
+//     // Or, through a ControlSocket:
+//     let c1 = controller("unix:/var/run/tor/control", null, null,
+//                         function (error) { console.log(error.message || error); });
+//     // Or, for a tor with CookieAuthentication 1:
+//     let c2 = controller("127.0.0.1", 9151,
+//                         { cookiePath : "/var/run/tor/control.authcookie" },
+//                         function (error) { console.log(error.message || error); });
 //     // Send command and receive `250` reply or error message
 //     c.getInfo("ip-to-country/16.16.16.16", console.log);
-//     // Close the controller permanently
+//     // Parse a GETINFO key we don't know about yet
+//     c.registerInfoParser("uptime", function (text) { return parseInt(text, 10); });
+//     // ...or use the returned promise
+//     c.getInfo("version").then(console.log, function (error) {
+//       console.log(error.code, error.message, error.command);
+//     });
+//     // Start an onion service for a local web server, once it is reachable
+//     c.addOnion({ ports : ["80,127.0.0.1:8080"], waitForUpload : true })
+//      .then(function ({ serviceId, privateKey }) { console.log(serviceId); });
+//     // Keep tor's warnings and errors, with repeats counted
+//     let torLog = c.logMonitor({ minSeverity : "WARN" });
+//     torLog.find({ since : Date.now() - 60000 }); // --> [{ severity, message, count, ... }]
+//     // Watch the connection state ("connecting", "authenticated",
+//     // "reconnecting" or "closed")
+//     c.addStateListener(console.log);
+//     // Find out when the connection closes for good
+//     c.addCloseListener(function () { console.log("closed"); });
+//     // Record a connection's traffic, with passwords and keys redacted
+//     let recorder = trace.recorder({ maxEntries : 500 });
+//     let c3 = controller("127.0.0.1", 9151, { password : "MyPassw0rd", trace : recorder });
+//     console.log(recorder.toTranscript());
+//     // Release the handle (closing the connection if no one else uses it)
 //     c.close();
-let controller = function (host, port, password, onError) {
-  let dest = host + ":" + port;
-  return (tor.controller[dest] = tor.controller[dest] ||
-          tor.controller(host, port, password, onError));
+let controller = function (host, port, options, onError) {
+  return tor.controllerHandle(host, port, options, onError);
 };
 
-// Export the controller function for external use.g
-var EXPORTED_SYMBOLS = ["controller"];
+// Export the controller function for external use, and trace for making
+// trace recorders to pass to it.
+var EXPORTED_SYMBOLS = ["controller", "trace"];
+// Under Node.js, also export the namespaces, so that tools such as
+// fakeControlPort.js can build on the same protocol code.
+if (!isMozilla) {
+  module.exports = { controller : controller, utils : utils, commands : commands,
+                     io : io, auth : auth, info : info, config : config, control : control,
+                     event : event, bootstrap : bootstrap, circuits : circuits,
+                     identity : identity, onion : onion, relays : relays,
+                     bandwidth : bandwidth, logs : logs, trace : trace, tor : tor };
+}
@@ -0,0 +1,492 @@
+// A filtering proxy for tor's ControlPort, for Node.js. It gives untrusted
+// clients, such as sandboxed tools, a limited view of tor: the proxy
+// authenticates to tor itself, and passes on only the commands, GETINFO
+// keys, events, circuits and streams that its policy allows. It is built on
+// the io layer of controlPort.js.
+//
+// This file is written in call stack order (later functions
+// call earlier functions). The file can be processed
+// with docco.js to produce pretty documentation.
+//
+// To use the proxy, run
+//
+//     let { controlPortProxy } = require("path/to/controlPortProxy.js");
+//
+// See the last function defined in this file,
+// controlPortProxy(host, port, options, policy, onError), for usage.
+
+/* jshint moz: true */
+/* jshint -W097 */
+/* global require, module */
+"use strict";
+
+let net = require("net"),
+    { utils, io, info, event, circuits } = require("./controlPort.js");
+
+// ## proxy
+// A namespace for the proxy's building blocks.
+var proxy = proxy || {};
+
+// __proxy.idArguments__.
+// For the commands that name circuits or streams, what their leading
+// arguments are. A client may only name circuits and streams it can see.
+proxy.idArguments = {
+  "EXTENDCIRCUIT" : ["circuit"], "SETCIRCUITPURPOSE" : ["circuit"],
+  "CLOSECIRCUIT" : ["circuit"], "ATTACHSTREAM" : ["stream", "circuit"],
+  "REDIRECTSTREAM" : ["stream"], "CLOSESTREAM" : ["stream"]
+};
+
+// __proxy.ownershipEvents__.
+// The events that tell the proxy which circuits and streams each client can
+// see, with `visibility : "own"`.
+proxy.ownershipEvents = ["CIRC", "CIRC_MINOR", "STREAM"];
+
+// __proxy.normalizePolicy(policy)__.
+// Fills in the defaults of a policy (see controlPortProxy), and makes
+// command keywords and event types uppercase.
+proxy.normalizePolicy = function (policy) {
+  policy = policy || {};
+  let upperCaseKeys = function (table) {
+    let result = {};
+    for (let key of Object.keys(table || {})) {
+      result[key.toUpperCase()] = table[key];
+    }
+    return result;
+  };
+  return { commands : upperCaseKeys(policy.commands),
+           getInfo : policy.getInfo || [],
+           events : upperCaseKeys(policy.events),
+           visibility : policy.visibility || "all",
+           socksUsernames : policy.socksUsernames || [],
+           password : policy.password || null };
+};
+
+// __proxy.matches(pattern, value, client)__.
+// Tests a value against a policy pattern: true (anything), a RegExp, a
+// function (value, client) returning a boolean, a string (the value itself,
+// or, if it ends in "/", any value with that prefix), or an array of these.
+proxy.matches = function (pattern, value, client) {
+  if (pattern === true) {
+    return true;
+  } else if (Array.isArray(pattern)) {
+    return pattern.some(function (aPattern) {
+      return proxy.matches(aPattern, value, client);
+    });
+  } else if (pattern instanceof RegExp) {
+    return pattern.test(value);
+  } else if (typeof(pattern) === "function") {
+    return Boolean(pattern(value, client));
+  } else if (utils.isString(pattern)) {
+    return pattern.endsWith("/") ? value.startsWith(pattern) : value === pattern;
+  }
+  return false;
+};
+
+// __proxy.canSee(policy, client, kind, id)__.
+// True if the client may see the circuit or stream (kind is "circuit" or
+// "stream") with the given ID. With `visibility : "own"`, clients only see
+// the circuits they built, and the circuits and streams that carry one of
+// the policy's SOCKS usernames or are attached to their circuits.
+proxy.canSee = function (policy, client, kind, id) {
+  return policy.visibility === "all" ||
+         (kind === "circuit" ? client.circuits : client.streams).has(id);
+};
+
+// __proxy.claim(policy, client, kind, data)__.
+// Records that the client can see the circuit or stream described by data
+// (parsed from an event or a status line), if it carries one of the
+// policy's SOCKS usernames, or is a stream on one of the client's circuits.
+// Forgets circuits and streams once they are closed. Returns true if the
+// client can see it.
+proxy.claim = function (policy, client, kind, data) {
+  let id = kind === "circuit" ? data.id : data.StreamID,
+      set = kind === "circuit" ? client.circuits : client.streams,
+      status = kind === "circuit" ? data.status : data.StreamStatus;
+  if (policy.socksUsernames.indexOf(data.SOCKS_USERNAME) !== -1 ||
+      (kind === "stream" && client.circuits.has(data.CircuitID))) {
+    set.add(id);
+  }
+  let visible = proxy.canSee(policy, client, kind, id);
+  if (circuits.isClosed(status)) {
+    set.delete(id);
+  }
+  return visible;
+};
+
+// __proxy.eventVisible(policy, client, type, data)__.
+// True if the client may see an event about circuits or streams. Other
+// events are always visible.
+proxy.eventVisible = function (policy, client, type, data) {
+  if (type === "CIRC" || type === "CIRC_MINOR") {
+    return proxy.claim(policy, client, "circuit", data);
+  } else if (type === "STREAM") {
+    return proxy.claim(policy, client, "stream", data);
+  } else if (type === "CIRC_BW") {
+    return proxy.canSee(policy, client, "circuit", data.ID);
+  } else if (type === "STREAM_BW") {
+    return proxy.canSee(policy, client, "stream", data.StreamID);
+  }
+  return true;
+};
+
+// __proxy.filterStatusReply(policy, client, reply)__.
+// Removes the circuits and streams that the client can't see from the
+// `circuit-status` and `stream-status` values in a GETINFO reply.
+proxy.filterStatusReply = function (policy, client, reply) {
+  if (policy.visibility === "all") {
+    return reply;
+  }
+  let filters = { "circuit-status" : ["circuit", info.circuitStatusParser],
+                  "stream-status" : ["stream", info.streamStatusParser] },
+      lines = reply.lines.map(function (line) {
+        let key = line.text.substring(0, line.text.indexOf("="));
+        if (!filters[key]) {
+          return line;
+        }
+        let [kind, parser] = filters[key],
+            value = line.type === "+" ? line.data : line.text.substring(key.length + 1),
+            visible = utils.splitLines(value).filter(function (statusLine) {
+              return statusLine !== "" &&
+                     proxy.claim(policy, client, kind, parser(statusLine));
+            });
+        return visible.length > 1 ?
+               { type : "+", text : key + "=", data : visible.join("\n") } :
+               { type : line.type === "+" ? "-" : line.type,
+                 text : key + "=" + (visible[0] || ""), data : null };
+      });
+  return { status : reply.status, lines : lines };
+};
+
+// __proxy.filterEventNames(policy, reply)__.
+// Leaves only the event types that clients may subscribe to in the
+// `events/names` value of a GETINFO reply, so that clients such as
+// controller() don't try to watch events the proxy would refuse.
+proxy.filterEventNames = function (policy, reply) {
+  let lines = reply.lines.map(function (line) {
+    if (!line.text.startsWith("events/names=")) {
+      return line;
+    }
+    let names = utils.splitAtSpaces(line.text.substring("events/names=".length))
+                     .filter(function (type) { return policy.events[type]; });
+    return { type : line.type, text : "events/names=" + names.join(" "), data : null };
+  });
+  return { status : reply.status, lines : lines };
+};
+
+// __proxy.refusal(keyword, argumentString, policy, client)__.
+// Returns the error reply the proxy gives instead of passing the command to
+// tor, or null if the policy allows it: `510` for commands, and `552` for
+// arguments, GETINFO keys, and circuits and streams the client can't see.
+proxy.refusal = function (keyword, argumentString, policy, client) {
+  let pattern = policy.commands[keyword];
+  if (pattern === undefined || pattern === false) {
+    return "510 Unrecognized command \"" + keyword + "\"";
+  }
+  if (!proxy.matches(pattern, argumentString, client)) {
+    return "552 Argument not allowed";
+  }
+  let checked = keyword === "GETINFO" || proxy.idArguments[keyword];
+  // Tor splits GETINFO keys and IDs at spaces, quotes or not, so we must
+  // too. Quotes and backslashes in them could only serve to read them
+  // differently from tor.
+  if (checked && /["\\]/.test(argumentString)) {
+    return "552 Argument not allowed";
+  }
+  let args = argumentString.split(/ +/).filter(function (arg) { return arg !== ""; });
+  if (keyword === "GETINFO") {
+    for (let key of args) {
+      // Clients may always ask which events they can watch.
+      if (key !== "events/names" && !proxy.matches(policy.getInfo, key, client)) {
+        return "552 Unrecognized key \"" + key + "\"";
+      }
+    }
+  }
+  let kinds = proxy.idArguments[keyword] || [];
+  for (let i = 0; i < kinds.length; ++i) {
+    // Circuit 0 asks tor for a new circuit, or lets it choose one.
+    if (!(kinds[i] === "circuit" && args[i] === "0") &&
+        !proxy.canSee(policy, client, kinds[i], args[i])) {
+      return "552 Unknown " + kinds[i] + " \"" + args[i] + "\"";
+    }
+  }
+  return null;
+};
+
+// __proxy.connection(socket, server)__.
+// Serves one client connection on socket, answering authentication and
+// SETEVENTS itself and passing allowed commands on to tor through
+// server.upstream. Returns the client object `{ write(lines), onEvent(type,
+// reply), close(), events, circuits, streams, authenticated }`, where
+// circuits and streams are the IDs it can see.
+proxy.connection = function (socket, server) {
+  let policy = server.policy,
+      upstream = server.upstream,
+      closed = false,
+      // Replies are written in the order of their commands.
+      lastReply = Promise.resolve(),
+      client = {
+        events : new Set(),
+        circuits : new Set(),
+        streams : new Set(),
+        authenticated : false,
+        write : function (lines) {
+          if (!closed && lines.length > 0) {
+            socket.write(lines.join("\r\n") + "\r\n");
+          }
+        },
+        // Pass on an event from tor, if the client asked for it and may see it.
+        // Events about circuits and streams are claimed (see proxy.claim)
+        // whether or not the client asked for them.
+        onEvent : function (type, reply) {
+          let watched = client.authenticated && client.events.has(type),
+              owning = policy.visibility === "own" &&
+                       proxy.ownershipEvents.indexOf(type) !== -1;
+          if (!watched && !owning) {
+            return;
+          }
+          let visible = proxy.eventVisible(policy, client, type,
+                                           event.messageToData(type, reply));
+          if (!watched || !visible) {
+            return;
+          }
+          let rewrite = policy.events[type],
+              // Each client's rewrite gets a copy of its own.
+              rewritten = typeof(rewrite) === "function" ?
+                          rewrite({ status : reply.status,
+                                    lines : reply.lines.map(function (line) {
+                                      return utils.mergeObjects([line]);
+                                    }) }, client) : reply;
+          if (rewritten) {
+            client.write(io.linesFromReply(rewritten));
+          }
+        },
+        close : function () {
+          if (closed) {
+            return;
+          }
+          closed = true;
+          socket.destroy();
+          setEvents([]).catch(utils.identity);
+          server.clients.delete(client);
+        }
+      },
+      // Subscribe to the client's new event types at tor, and unsubscribe
+      // from the ones it dropped.
+      setEvents = function (types) {
+        let added = types.filter(function (type) { return !client.events.has(type); }),
+            removed = Array.from(client.events).filter(function (type) {
+              return types.indexOf(type) === -1;
+            });
+        client.events = new Set(types);
+        for (let type of removed) {
+          // Failing to unsubscribe only means tor sends events no one reads.
+          upstream.unsubscribeEvent(type).catch(utils.identity);
+        }
+        return Promise.all(added.map(function (type) {
+          return upstream.subscribeEvent(type);
+        })).catch(function (error) {
+          for (let type of added) {
+            client.events.delete(type);
+          }
+          throw error;
+        });
+      },
+      // A promise for the lines of a reply from tor, or of its error reply.
+      forward = function (command, keyword) {
+        return upstream.sendCommand(command).then(function (reply) {
+          if (keyword === "GETINFO") {
+            reply = proxy.filterEventNames(policy,
+                      proxy.filterStatusReply(policy, client, reply));
+          }
+          let extended = keyword === "EXTENDCIRCUIT" &&
+                         reply.lines[0].text.match(/^EXTENDED (\S+)/);
+          if (extended) {
+            client.circuits.add(extended[1]);
+          }
+          return io.linesFromReply(reply);
+        }, function (error) {
+          return error.reply ? io.linesFromReply(error.reply) :
+                               ["551 " + error.message.replace(/[\r\n]+/g, " ")];
+        });
+      },
+      authenticate = function (argumentString) {
+        let secret = argumentString.trim();
+        if (policy.password !== null &&
+            !(secret.startsWith("\"") && utils.dequote(secret) === policy.password)) {
+          // Like tor, hang up after a failed authentication.
+          setTimeout(client.close, 0);
+          return "515 Authentication failed: Password did not match";
+        }
+        client.authenticated = true;
+        return "250 OK";
+      },
+      protocolInfo = function () {
+        return info.getInfo(upstream, "version").then(function (version) {
+          return ["250-PROTOCOLINFO 1",
+                  "250-AUTH METHODS=" + (policy.password !== null ? "HASHEDPASSWORD" : "NULL"),
+                  "250-VERSION Tor=" + utils.quote(version),
+                  "250 OK"];
+        }, function (error) {
+          return ["551 " + error.message.replace(/[\r\n]+/g, " ")];
+        });
+      },
+      // Returns the reply to a command: an array of lines, a string, or a
+      // promise of either.
+      reply = function (command) {
+        let [, keyword, argumentString] = command.match(/^\+?(\S*) ?([\s\S]*)$/);
+        keyword = keyword.toUpperCase();
+        if (keyword === "PROTOCOLINFO") {
+          return protocolInfo();
+        } else if (keyword === "AUTHENTICATE") {
+          return authenticate(argumentString);
+        } else if (keyword === "AUTHCHALLENGE") {
+          return "513 AUTHCHALLENGE only supports SAFECOOKIE authentication";
+        } else if (keyword === "QUIT") {
+          setTimeout(client.close, 0);
+          return "250 closing connection";
+        } else if (!client.authenticated) {
+          return "514 Authentication required.";
+        } else if (keyword === "SETEVENTS") {
+          let types = utils.splitAtSpaces(argumentString.toUpperCase()).filter(function (type) {
+            return type !== "EXTENDED";
+          });
+          for (let type of types) {
+            if (!policy.events[type]) {
+              return "552 Unrecognized event \"" + type + "\"";
+            }
+          }
+          return setEvents(types).then(function () {
+            return "250 OK";
+          }, function (error) {
+            return error.reply ? io.linesFromReply(error.reply) :
+                                 "551 " + error.message.replace(/[\r\n]+/g, " ");
+          });
+        }
+        return proxy.refusal(keyword, argumentString, policy, client) ||
+               forward(command, keyword);
+      },
+      onCommand = function (command) {
+        let result = Promise.resolve(reply(command)).then(function (lines) {
+          return utils.isString(lines) ? [lines] : lines;
+        });
+        lastReply = lastReply.then(function () { return result; }).then(client.write);
+      },
+      onData = io.onDataFromOnLine(io.onCommandFromOnLine(onCommand));
+  socket.setEncoding("utf8");
+  socket.on("data", function (data) {
+    try {
+      onData(data);
+    } catch (error) {
+      server.errors.push(error);
+    }
+  });
+  socket.on("error", function (error) {
+    server.errors.push(error);
+  });
+  socket.on("close", client.close);
+  return client;
+};
+
+// ## Export
+
+// __controlPortProxy(host, port, options, policy, onError)__.
+// Creates a proxy for the tor ControlPort at host and port (or the
+// ControlSocket at `"unix:/path"`), which the proxy authenticates to
+// according to options (see controller() in controlPort.js). Connection
+// errors go to onError. policy is an object with any of:
+//
+// * `commands`: an object mapping the command keywords that clients may
+//   send to patterns their arguments must match (see proxy.matches), such
+//   as `{ GETINFO : true, SIGNAL : /^NEWNYM$/ }`. Other commands get
+//   `510 Unrecognized command`. Clients always may authenticate, send
+//   SETEVENTS and QUIT.
+// * `getInfo`: a pattern the keys of GETINFO must match, such as
+//   `["version", "status/", /^ip-to-country\//]`. Clients may always ask
+//   for `events/names`, which lists only the events they may watch.
+// * `events`: an object mapping the event types clients may subscribe to
+//   either to true, or to a function (reply, client) that rewrites an event
+//   reply `{ status, lines : [{ type, text, data }] }`, returning the new
+//   reply or null to drop it.
+// * `visibility`: `"all"` (the default), or `"own"`, in which case each client
+//   only sees the circuits it built with EXTENDCIRCUIT and the circuits and
+//   streams that use one of `socksUsernames` (or are attached to its
+//   circuits), in events, `circuit-status`, `stream-status`, and commands
+//   taking circuit or stream IDs. The proxy then watches CIRC, CIRC_MINOR
+//   and STREAM events itself, to learn which those are.
+// * `password`: a password that clients must authenticate with (by default,
+//   clients need none).
+//
+// Example:
+//
+//     let proxyServer = controlPortProxy("127.0.0.1", 9151, { cookiePath : cookie },
+//       { commands : { GETINFO : true, SIGNAL : /^NEWNYM$/, EXTENDCIRCUIT : true },
+//         getInfo : ["version", "circuit-status", "stream-status"],
+//         events : { CIRC : true,
+//                    STREAM : function (reply) {
+//                      reply.lines[0].text = reply.lines[0].text.replace(
+//                        / SOCKS_PASSWORD="[^"]*"/, "");
+//                      return reply;
+//                    } },
+//         visibility : "own", socksUsernames : ["my-tool"] },
+//       console.log);
+//     proxyServer.listen("unix:/run/my-tool/control").then(function ([host, port]) {
+//       // Hand host to the sandboxed tool.
+//     });
+//     // Later...
+//     proxyServer.close();
+//
+// proxyServer.clients holds the connected clients, and proxyServer.errors
+// any failures to read their commands and errors on their connections.
+let controlPortProxy = function (host, port, options, policy, onError) {
+  let upstream = io.controlSocket(host, port, options, onError || utils.identity),
+      netServer = net.createServer(function (socket) {
+        server.clients.add(proxy.connection(socket, server));
+      }),
+      server = {
+        policy : proxy.normalizePolicy(policy),
+        upstream : upstream,
+        clients : new Set(),
+        errors : [],
+        // Start listening at host:port (default 127.0.0.1 and any free port),
+        // or at a Unix domain socket given as `"unix:/path"`. Returns a promise
+        // resolving to `[host, port]`, ready to pass to controller().
+        listen : function (host, port) {
+          let endpoint = io.endpoint(host || "127.0.0.1", port || 0);
+          return new Promise(function (resolve, reject) {
+            netServer.once("error", reject);
+            let onListening = function () {
+              resolve(endpoint.path ? [host, null] :
+                      [endpoint.host, netServer.address().port]);
+            };
+            if (endpoint.path) {
+              netServer.listen(endpoint.path, onListening);
+            } else {
+              netServer.listen(endpoint.port, endpoint.host, onListening);
+            }
+          });
+        },
+        // Drop all clients, stop listening and close the connection to tor.
+        close : function () {
+          for (let client of Array.from(server.clients)) {
+            client.close();
+          }
+          upstream.close();
+          return new Promise(function (resolve) { netServer.close(resolve); });
+        }
+      };
+  if (server.policy.visibility === "own") {
+    for (let type of proxy.ownershipEvents) {
+      upstream.subscribeEvent(type).catch(onError || utils.identity);
+    }
+  }
+  // Pass events on to the clients that asked for them.
+  upstream.addNotificationCallback(/^650/, function (reply) {
+    let type = reply.lines[0].text.split(" ")[0].toUpperCase();
+    for (let client of server.clients) {
+      client.onEvent(type, reply);
+    }
+  });
+  return server;
+};
+
+module.exports = { controlPortProxy : controlPortProxy, proxy : proxy };
@@ -0,0 +1,678 @@
+// A scriptable fake tor ControlPort server for Node.js, so that code using
+// controlPort.js can be exercised without a running tor. It reuses the
+// framing, quoting and authentication code of controlPort.js.
+//
+// This file is written in call stack order (later functions
+// call earlier functions). The file can be processed
+// with docco.js to produce pretty documentation.
+//
+// To use the fake server, run
+//
+//     let { fakeControlPort } = require("path/to/fakeControlPort.js");
+//
+// See the last function defined in this file, fakeControlPort(options),
+// for usage.
+
+/* jshint moz: true */
+/* jshint -W097 */
+/* global require, module, Buffer, setTimeout, clearTimeout, setInterval, clearInterval */
+"use strict";
+
+let net = require("net"),
+    fs = require("fs"),
+    crypto = require("crypto"),
+    { utils, io, auth, event, trace } = require("./controlPort.js");
+
+// ## fake
+// A namespace for the fake server's building blocks.
+var fake = fake || {};
+
+// __fake.defaultInfo__.
+// The GETINFO values a fake server knows without being told.
+fake.defaultInfo = {
+  "version" : "0.4.8.9",
+  "events/names" : Object.keys(event.parsers).map(function (type) {
+                     return type.toUpperCase();
+                   }).join(" "),
+  "config/names" : ["SocksPort LineList", "ControlPort LineList", "Bridge LineList",
+                    "UseBridges Boolean", "EntryNodes RouterList", "ExitNodes RouterList",
+                    "StrictNodes Boolean", "DisableNetwork Boolean",
+                    "__LeaveStreamsUnattached Boolean"].join("\n")
+};
+
+// __fake.replyLines(reply)__.
+// Converts a canned reply to an array of lines. A reply may be a string,
+// possibly spanning several lines (`"250-a=1\n250 OK"`), an array of lines,
+// or a reply object `{ status, lines : [{ type, text, data }] }` as produced
+// by io.onLineFromOnReply.
+fake.replyLines = function (reply) {
+  if (utils.isString(reply)) {
+    return utils.splitLines(reply.replace(/\r?\n$/, ""));
+  }
+  if (Array.isArray(reply)) {
+    return reply;
+  }
+  return io.linesFromReply(reply);
+};
+
+// __fake.lookUp(table, key)__.
+// Finds key in a table of GETINFO or GETCONF values. Table keys ending in "/"
+// match any key with that prefix (longest prefix first). A function value is
+// called with the key. Returns undefined for unknown keys.
+fake.lookUp = function (table, key) {
+  let value = table[key];
+  if (value === undefined) {
+    let prefixes = Object.keys(table).filter(function (prefix) {
+      return prefix.endsWith("/") && key.startsWith(prefix);
+    }).sort(function (a, b) { return b.length - a.length; });
+    value = prefixes.length ? table[prefixes[0]] : undefined;
+  }
+  return (typeof(value) === "function") ? value(key) : value;
+};
+
+// __fake.getInfoReply(keys, info)__.
+// Answers a GETINFO for keys from the info table. Multi-line values are sent
+// as data blocks. Unknown keys are refused with 552, as tor does.
+fake.getInfoReply = function (keys, info) {
+  let lines = [];
+  for (let key of keys) {
+    let value = fake.lookUp(info, key);
+    if (value === undefined || value === null) {
+      return ["552 Unrecognized key \"" + key + "\""];
+    }
+    value = String(value);
+    if (value.includes("\n")) {
+      lines = lines.concat(["250+" + key + "="], io.dataLines(value));
+    } else {
+      lines.push("250-" + key + "=" + value);
+    }
+  }
+  return lines.concat(["250 OK"]);
+};
+
+// __fake.getConfReply(keys, conf)__.
+// Answers a GETCONF for keys from the conf table, where a value may be a
+// string, an array of strings (one line each) or null (the default value).
+fake.getConfReply = function (keys, conf) {
+  let lines = [];
+  for (let key of keys) {
+    let name = Object.keys(conf).find(function (name) {
+      return name.toLowerCase() === key.toLowerCase();
+    });
+    if (name === undefined) {
+      return ["552 Unrecognized configuration key \"" + key + "\""];
+    }
+    let values = [].concat(conf[name]);
+    for (let value of values) {
+      lines.push(value === null ? "250-" + name :
+                 "250-" + name + "=" + (value.match(/[\s"\\]/) ? utils.quote(value) : value));
+    }
+  }
+  if (lines.length === 0) {
+    return ["250 OK"];
+  }
+  lines[lines.length - 1] = lines[lines.length - 1].replace(/^250-/, "250 ");
+  return lines;
+};
+
+// __fake.setConf(argumentString, conf)__.
+// Applies the `KEY=VALUE` and bare `KEY` arguments of SETCONF or RESETCONF to
+// the conf table. Repeated keys collect into arrays. Returns the CONF_CHANGED
+// event lines for the change.
+fake.setConf = function (argumentString, conf) {
+  let changed = {};
+  for (let chunk of utils.splitAtSpaces(argumentString)) {
+    let [key, value] = utils.keywordArgument(chunk) || [chunk, null];
+    changed[key] = (key in changed && value !== null) ?
+                   [].concat(changed[key], value) : value;
+  }
+  let lines = ["650-CONF_CHANGED"];
+  for (let key of Object.keys(changed)) {
+    conf[key] = changed[key];
+    for (let value of [].concat(changed[key])) {
+      lines.push("650-" + key + (value === null ? "" : "=" + value));
+    }
+  }
+  return lines.concat(["650 OK"]);
+};
+
+// __fake.parseTranscript(text)__.
+// Parses a session transcript, where each line sent by the controller starts
+// with `C: ` and each line sent by tor starts with `S: `, optionally after a
+// time (as trace recorders in controlPort.js write them). Returns
+// `{ greeting, steps }`, where greeting holds any tor lines before the first
+// command and steps is an array of `{ command, reply }`, reply being the
+// array of tor lines (including events) that followed the command. Other
+// lines are ignored.
+fake.parseTranscript = function (text) {
+  let greeting = [],
+      steps = [],
+      commandLines = null;
+  for (let line of utils.splitLines(text)) {
+    let match = line.match(/^(?:\d[\d:.TZ-]* )?([CS]): ?([\s\S]*)$/);
+    if (!match) {
+      continue;
+    }
+    let [, side, content] = match;
+    if (side === "C") {
+      if (commandLines === null) {
+        commandLines = [];
+        steps.push({ command : null, reply : [] });
+      }
+      commandLines.push(content);
+      // Multi-line commands end with a lone ".".
+      if (!commandLines[0].startsWith("+") || content === ".") {
+        steps[steps.length - 1].command = commandLines.join("\r\n");
+        commandLines = null;
+      }
+    } else {
+      (steps.length ? steps[steps.length - 1].reply : greeting).push(content);
+    }
+  }
+  return { greeting : greeting, steps : steps };
+};
+
+// __fake.sameCommand(expected, actual)__.
+// Compares a transcript command with one the controller sent. The keyword is
+// case-insensitive, as in tor, and a redacted secret in a recorded trace
+// matches any text.
+fake.sameCommand = function (expected, actual) {
+  let keyword = function (command) { return command.split(/[ \r]/)[0].toLowerCase(); },
+      expectedRest = expected.substring(keyword(expected).length),
+      actualRest = actual.substring(keyword(actual).length),
+      pattern = new RegExp("^" + expectedRest.split(trace.redacted).map(function (part) {
+        return part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      }).join("[\\s\\S]+?") + "$");
+  return keyword(expected) === keyword(actual) && pattern.test(actualRest);
+};
+
+// __fake.base32(bytes)__.
+// Encodes a Buffer in lowercase base32 without padding, as onion addresses are.
+fake.base32 = function (bytes) {
+  let alphabet = "abcdefghijklmnopqrstuvwxyz234567",
+      bits = 0,
+      value = 0,
+      result = "";
+  for (let byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      result += alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+  return bits > 0 ? result + alphabet[(value << (5 - bits)) & 31] : result;
+};
+
+// __fake.addOnion(argumentString, server, client)__.
+// Answers ADD_ONION like tor: makes up a key (unless one is given) and a
+// service ID derived from it, remembers the service in server.onions, and,
+// after options.uploadDelay milliseconds, emits the HS_DESC events of
+// uploading its descriptor.
+fake.addOnion = function (argumentString, server, client) {
+  let [keyArgument, ...rest] = utils.splitAtSpaces(argumentString),
+      [keyType, keyBlob] = (keyArgument || "").split(":"),
+      newKey = keyType === "NEW",
+      args = utils.listMapData(rest.join(" "), []),
+      flags = args.Flags ? args.Flags.split(",") : [];
+  if (!keyBlob || (!newKey && keyType !== "ED25519-V3") || !/\bPort=/.test(argumentString)) {
+    return "512 Invalid ADD_ONION arguments";
+  }
+  if (newKey) {
+    keyBlob = crypto.randomBytes(64).toString("base64");
+  }
+  let serviceID = fake.base32(crypto.createHash("sha512").update(keyBlob)
+                                    .digest().slice(0, 35));
+  if (server.onions.has(serviceID)) {
+    return "550 Onion address collision";
+  }
+  server.onions.set(serviceID, { client : flags.includes("Detach") ? null : client,
+                                 flags : flags });
+  setTimeout(function () {
+    let hsDir = "$" + "A".repeat(40) + "~hsdir";
+    server.emit("650 HS_DESC UPLOAD " + serviceID + " UNKNOWN " + hsDir + " " +
+                crypto.randomBytes(32).toString("base64").replace(/=+$/, ""));
+    server.emit("650 HS_DESC UPLOADED " + serviceID + " UNKNOWN " + hsDir);
+  }, server.options.uploadDelay);
+  return ["250-ServiceID=" + serviceID].concat(
+    (newKey && !flags.includes("DiscardPK")) ? ["250-PrivateKey=ED25519-V3:" + keyBlob] : [],
+    ["250 OK"]);
+};
+
+// __fake.clientAuth(keyword, argumentString, server)__.
+// Answers ONION_CLIENT_AUTH_ADD, _REMOVE and _VIEW like tor, keeping the
+// keys in server.clientAuth.
+fake.clientAuth = function (keyword, argumentString, server) {
+  let [address, ...rest] = utils.splitAtSpaces(argumentString);
+  if (keyword === "ONION_CLIENT_AUTH_ADD") {
+    let [key, ...more] = rest,
+        existed = server.clientAuth.has(address);
+    if (!address || !key || !key.startsWith("x25519:")) {
+      return "512 Invalid ONION_CLIENT_AUTH_ADD arguments";
+    }
+    server.clientAuth.set(address, [address, key].concat(more).join(" "));
+    return existed ? "251 Client for onion existed and replaced" : "250 OK";
+  }
+  if (keyword === "ONION_CLIENT_AUTH_REMOVE") {
+    if (!server.clientAuth.delete(address)) {
+      return "251 No credentials for \"" + address + "\"";
+    }
+    return "250 OK";
+  }
+  let lines = ["250-ONION_CLIENT_AUTH_VIEW" + (address ? " " + address : "")];
+  for (let [anAddress, line] of server.clientAuth) {
+    if (!address || anAddress === address) {
+      lines.push("250-CLIENT " + line);
+    }
+  }
+  return lines.concat(["250 OK"]);
+};
+
+// __fake.connection(socket, server)__.
+// Serves one controller connection on socket. Returns the client object
+// passed to reply functions: `{ write(reply), emit(event),
+// disconnect(), events, authenticated }`.
+fake.connection = function (socket, server) {
+  let options = server.options,
+      queue = [],
+      writeTimer = null,
+      closed = false,
+      // Per-connection state of a replayed transcript.
+      replaySteps = server.transcript ? server.transcript.steps.slice() : null,
+      // State of an AUTHCHALLENGE in progress.
+      clientNonce = null,
+      serverNonce = null,
+      // Send queued chunks, spacing them by options.writeDelay milliseconds.
+      pump = function () {
+        if (writeTimer !== null || closed) {
+          return;
+        }
+        if (!options.writeDelay) {
+          while (queue.length) {
+            socket.write(queue.shift());
+          }
+          return;
+        }
+        if (queue.length) {
+          writeTimer = setTimeout(function () {
+            writeTimer = null;
+            if (!closed) {
+              socket.write(queue.shift());
+              pump();
+            }
+          }, options.writeDelay);
+        }
+      },
+      client = {
+        events : new Set(),
+        authenticated : false,
+        // Send a reply (see fake.replyLines), optionally in fragments of
+        // options.fragmentSize characters.
+        write : function (reply) {
+          let lines = fake.replyLines(reply);
+          if (closed || lines.length === 0) {
+            return;
+          }
+          for (let line of lines) {
+            server.log.push("S: " + line);
+          }
+          let text = lines.join("\r\n") + "\r\n";
+          queue = queue.concat(options.fragmentSize ?
+                  utils.capture(text, new RegExp("([\\s\\S]{1," +
+                                                 options.fragmentSize + "})", "g")) :
+                  [text]);
+          pump();
+        },
+        // Send an event if the controller has subscribed to its type.
+        emit : function (eventReply) {
+          let lines = fake.replyLines(eventReply),
+              match = lines[0].match(/^650[ +-](\S+)/);
+          if (client.authenticated && match &&
+              client.events.has(match[1].toUpperCase())) {
+            client.write(lines);
+          }
+        },
+        // Drop the connection without a reply.
+        disconnect : function () {
+          closed = true;
+          clearTimeout(writeTimer);
+          socket.destroy();
+        }
+      },
+      cookie = function () {
+        return io.readBytesFromFile(options.cookieFile);
+      },
+      authFailure = function (reason) {
+        client.write("515 Authentication failed: " + reason);
+        // Like tor, hang up after a failed authentication.
+        setTimeout(client.disconnect, 0);
+        return null;
+      },
+      protocolInfo = function () {
+        let methods = options.authMethods,
+            cookieFile = (methods.includes("COOKIE") || methods.includes("SAFECOOKIE")) ?
+                         " COOKIEFILE=" + utils.quote(options.cookieFile) : "";
+        return ["250-PROTOCOLINFO 1",
+                "250-AUTH METHODS=" + methods.join(",") + cookieFile,
+                "250-VERSION Tor=" + utils.quote(fake.lookUp(server.info, "version")),
+                "250 OK"];
+      },
+      authChallenge = function (argumentString) {
+        let [type, nonce] = utils.splitAtSpaces(argumentString);
+        if (type !== "SAFECOOKIE" || !nonce || !options.authMethods.includes("SAFECOOKIE")) {
+          return "513 Invalid AUTHCHALLENGE argument";
+        }
+        clientNonce = utils.hexToBytes(nonce);
+        serverNonce = auth.randomBytes(32);
+        let message = cookie().concat(clientNonce, serverNonce);
+        return "250 AUTHCHALLENGE SERVERHASH=" +
+               auth.hmacSha256(auth.safeCookieKeys.server, message) +
+               " SERVERNONCE=" + utils.bytesToHex(serverNonce);
+      },
+      authenticate = function (argumentString) {
+        let methods = options.authMethods,
+            secret = argumentString.trim(),
+            accepted = false;
+        if (options.rejectAuth) {
+          return authFailure("rejected by the fake server");
+        }
+        if (methods.includes("NULL")) {
+          accepted = true;
+        } else if (serverNonce) {
+          let message = cookie().concat(clientNonce, serverNonce);
+          accepted = secret.toUpperCase() ===
+                     auth.hmacSha256(auth.safeCookieKeys.controller, message);
+          serverNonce = null;
+        } else if (secret.startsWith("\"")) {
+          accepted = methods.includes("HASHEDPASSWORD") &&
+                     utils.dequote(secret) === options.password;
+        } else if (methods.includes("COOKIE")) {
+          accepted = secret.toUpperCase() === utils.bytesToHex(cookie());
+        }
+        if (!accepted) {
+          return authFailure("Password did not match");
+        }
+        client.authenticated = true;
+        return "250 OK";
+      },
+      // The replies tor would give by itself.
+      builtIn = function (command) {
+        let [, keyword, argumentString] = command.match(/^(\+?\S*) ?([\s\S]*)$/);
+        keyword = keyword.toUpperCase();
+        if (keyword === "PROTOCOLINFO") {
+          return protocolInfo();
+        } else if (keyword === "AUTHCHALLENGE") {
+          return authChallenge(argumentString);
+        } else if (keyword === "AUTHENTICATE") {
+          return authenticate(argumentString);
+        } else if (keyword === "QUIT") {
+          setTimeout(client.disconnect, 0);
+          return "250 closing connection";
+        } else if (!client.authenticated) {
+          return "514 Authentication required.";
+        } else if (keyword === "GETINFO") {
+          return fake.getInfoReply(utils.splitAtSpaces(argumentString), server.info);
+        } else if (keyword === "GETCONF") {
+          return fake.getConfReply(utils.splitAtSpaces(argumentString), server.conf);
+        } else if (keyword === "SETCONF" || keyword === "RESETCONF") {
+          server.emit(fake.setConf(argumentString, server.conf));
+          return "250 OK";
+        } else if (keyword === "SETEVENTS") {
+          client.events = new Set(utils.splitAtSpaces(argumentString.toUpperCase()));
+          return "250 OK";
+        } else if (keyword === "SIGNAL") {
+          // Like tor, reply before acting on the signal.
+          setTimeout(function () { server.signal(argumentString.toUpperCase()); }, 0);
+          return "250 OK";
+        } else if (["SAVECONF", "+LOADCONF", "SETCIRCUITPURPOSE", "CLOSECIRCUIT",
+                    "ATTACHSTREAM", "REDIRECTSTREAM", "CLOSESTREAM"].includes(keyword)) {
+          return "250 OK";
+        } else if (keyword === "ADD_ONION") {
+          return fake.addOnion(argumentString, server, client);
+        } else if (keyword === "DEL_ONION") {
+          return server.onions.delete(argumentString.trim()) ? "250 OK" :
+                 "552 Unknown Onion Service id";
+        } else if (keyword.startsWith("ONION_CLIENT_AUTH_")) {
+          return fake.clientAuth(keyword, argumentString, server);
+        } else if (keyword === "HSFETCH") {
+          return "250 OK";
+        } else if (keyword === "EXTENDCIRCUIT") {
+          let id = utils.splitAtSpaces(argumentString)[0];
+          return "250 EXTENDED " + (id === "0" ? String(++server.lastCircuitID) : id);
+        }
+        return "510 Unrecognized command \"" + keyword + "\"";
+      },
+      // The next reply from a replayed transcript.
+      replayed = function (command) {
+        let step = replaySteps.shift();
+        if (!step || !fake.sameCommand(step.command, command)) {
+          server.errors.push(new Error("unexpected command in replay: " + command +
+                                       (step ? " (expected " + step.command + ")" : "")));
+          return "510 Unexpected command";
+        }
+        // Track SETEVENTS so emit() keeps working during replay.
+        let match = command.match(/^setevents ?(.*)$/i);
+        if (match) {
+          client.events = new Set(utils.splitAtSpaces(match[1].toUpperCase()));
+        }
+        client.authenticated = true;
+        return step.reply;
+      },
+      onCommand = function (command) {
+        for (let line of command.split("\r\n")) {
+          server.log.push("C: " + line);
+        }
+        server.commands.push(command);
+        if (replaySteps) {
+          client.write(replayed(command));
+          return;
+        }
+        for (let [regex, reply] of server.rules) {
+          let match = command.match(regex);
+          if (match) {
+            let result = (typeof(reply) === "function") ?
+                         reply(command, match, client) : reply;
+            if (result !== null && result !== undefined) {
+              client.write(result);
+            }
+            return;
+          }
+        }
+        client.write(builtIn(command));
+      },
+      onData = io.onDataFromOnLine(io.onCommandFromOnLine(onCommand));
+  socket.setEncoding("utf8");
+  socket.on("data", function (data) {
+    try {
+      onData(data);
+    } catch (error) {
+      server.errors.push(error);
+    }
+  });
+  socket.on("error", function (error) { });
+  socket.on("close", function () {
+    closed = true;
+    clearTimeout(writeTimer);
+    server.clients.delete(client);
+    // Like tor, forget the onion services this connection added, unless detached.
+    for (let [serviceID, service] of server.onions) {
+      if (service.client === client) {
+        server.onions.delete(serviceID);
+      }
+    }
+  });
+  if (server.transcript) {
+    client.write(server.transcript.greeting);
+  }
+  return client;
+};
+
+// ## Export
+
+// __fakeControlPort(options)__.
+// Creates a fake tor ControlPort server. options is an object with any of:
+//
+// * `authMethods`: the methods offered by PROTOCOLINFO (default `["NULL"]`)
+// * `password`: the password accepted for HASHEDPASSWORD
+// * `cookieFile`: the cookie for COOKIE and SAFECOOKIE; 32 random bytes are
+//   written there if the file doesn't exist
+// * `rejectAuth`: refuse every AUTHENTICATE with 515
+// * `info`, `conf`: tables of GETINFO and GETCONF values (see fake.lookUp)
+// * `writeDelay`: milliseconds to wait before each chunk tor writes
+// * `fragmentSize`: split everything tor writes into chunks of this many characters
+// * `newnymInterval`: milliseconds within which a second NEWNYM is delayed,
+//   with a rate-limiting NOTICE, as tor does (default 0, never)
+// * `uploadDelay`: milliseconds after ADD_ONION before the service's
+//   descriptor counts as uploaded (default 0)
+//
+// Without rules, the server behaves like a minimal tor: it answers
+// PROTOCOLINFO, AUTHCHALLENGE, AUTHENTICATE, GETINFO, GETCONF, SETCONF,
+// SETEVENTS, SIGNAL, the circuit and stream commands, and the onion service
+// commands (keeping services in server.onions and client authorization keys
+// in server.clientAuth). Example:
+//
+//     let server = fakeControlPort({ authMethods : ["HASHEDPASSWORD"],
+//                                    password : "secret",
+//                                    info : { "ns/id/" : routerStatusText } });
+//     // Answer commands matching a regex with a canned reply, or with a
+//     // function (command, match, client) returning one. Later rules win.
+//     server.rule(/^getinfo ip-to-country\//i, "552 Unrecognized key");
+//     server.rule(/^getinfo circuit-status/i,
+//                 ["250+circuit-status=", "5 BUILT $A~a,$B~b,$C~c", ".", "250 OK"]);
+//     // Refuse to answer, and hang up instead.
+//     server.rule(/^extendcircuit/i, function (command, match, client) {
+//       client.disconnect();
+//     });
+//     server.listen().then(function ([host, port]) {
+//       let c = controller(host, port, "secret", console.log);
+//       // Send an event to subscribed controllers now, and every second.
+//       server.emit("650 CIRC 5 BUILT $A~a,$B~b,$C~c");
+//       let stop = server.emitEvery(1000, "650 BW 1024 2048");
+//       // Drop all connections (the controller will reconnect).
+//       server.disconnect();
+//       // Later...
+//       stop();
+//       server.close();
+//     });
+//     // Replay a transcript recorded as server.log.join("\n") or written by hand:
+//     server.replay("C: PROTOCOLINFO 1\nS: 250-PROTOCOLINFO 1\n...");
+//
+// server.commands holds every command received, server.log the session in
+// transcript form, and server.errors any failures (such as a replayed
+// command that didn't match the transcript).
+let fakeControlPort = function (options) {
+  options = utils.mergeObjects([{ authMethods : ["NULL"], writeDelay : 0,
+                                  fragmentSize : 0, uploadDelay : 0 }, options || {}]);
+  if (options.cookieFile && !fs.existsSync(options.cookieFile)) {
+    fs.writeFileSync(options.cookieFile, Buffer.from(auth.randomBytes(32)));
+  }
+  let timers = new Set(),
+      netServer = net.createServer(function (socket) {
+        server.clients.add(fake.connection(socket, server));
+      }),
+      server = {
+        options : options,
+        info : utils.mergeObjects([fake.defaultInfo, options.info || {}]),
+        conf : utils.mergeObjects([options.conf || {}]),
+        rules : [],
+        clients : new Set(),
+        commands : [],
+        log : [],
+        errors : [],
+        transcript : null,
+        lastCircuitID : 0,
+        onions : new Map(),
+        clientAuth : new Map(),
+        lastNewnym : null,
+        newnymTimer : null,
+        // Carry out a signal, emitting its SIGNAL event. A NEWNYM that comes
+        // too soon after the previous one is delayed.
+        signal : function (name) {
+          if (name !== "NEWNYM" || !options.newnymInterval) {
+            server.emit("650 SIGNAL " + name);
+            return;
+          }
+          let wait = server.lastNewnym === null ? 0 :
+                     server.lastNewnym + options.newnymInterval - Date.now();
+          if (wait <= 0) {
+            server.lastNewnym = Date.now();
+            server.emit("650 SIGNAL NEWNYM");
+          } else if (server.newnymTimer === null) {
+            server.emit("650 NOTICE Rate limiting NEWNYM request: delaying by " +
+                        Math.ceil(wait / 1000) + " second(s)");
+            server.newnymTimer = setTimeout(function () {
+              server.newnymTimer = null;
+              server.signal("NEWNYM");
+            }, wait);
+          }
+        },
+        // Add a rule, checked before earlier rules and before the built-in
+        // replies. Returns a function that removes the rule.
+        rule : function (regex, reply) {
+          let pair = [regex, reply];
+          server.rules.unshift(pair);
+          return function () {
+            server.rules = server.rules.filter(function (aPair) { return aPair !== pair; });
+          };
+        },
+        // Serve connections from the start of a transcript instead of the
+        // rules. Record transcripts with NULL, COOKIE or password authentication:
+        // SAFECOOKIE nonces differ on every run.
+        replay : function (transcriptText) {
+          server.transcript = fake.parseTranscript(transcriptText);
+        },
+        // Send an event to every controller subscribed to its type.
+        emit : function (eventReply) {
+          for (let client of server.clients) {
+            client.emit(eventReply);
+          }
+        },
+        // Send an event every interval milliseconds. Returns a function that stops it.
+        emitEvery : function (interval, eventReply) {
+          let timer = setInterval(function () { server.emit(eventReply); }, interval);
+          timers.add(timer);
+          return function () {
+            clearInterval(timer);
+            timers.delete(timer);
+          };
+        },
+        // Drop every connection.
+        disconnect : function () {
+          for (let client of server.clients) {
+            client.disconnect();
+          }
+        },
+        // Start listening at host:port (default 127.0.0.1 and any free port),
+        // or at a Unix domain socket given as `"unix:/path"`. Returns a promise
+        // resolving to `[host, port]`, ready to pass to controller().
+        listen : function (host, port) {
+          let endpoint = io.endpoint(host || "127.0.0.1", port || 0);
+          return new Promise(function (resolve, reject) {
+            netServer.once("error", reject);
+            let onListening = function () {
+              resolve(endpoint.path ? [host, null] :
+                      [endpoint.host, netServer.address().port]);
+            };
+            if (endpoint.path) {
+              netServer.listen(endpoint.path, onListening);
+            } else {
+              netServer.listen(endpoint.port, endpoint.host, onListening);
+            }
+          });
+        },
+        // Stop all timers, drop all connections and stop listening.
+        close : function () {
+          for (let timer of timers) {
+            clearInterval(timer);
+          }
+          clearTimeout(server.newnymTimer);
+          timers.clear();
+          server.disconnect();
+          return new Promise(function (resolve) { netServer.close(resolve); });
+        }
+      };
+  return server;
+};
+
+module.exports = { fakeControlPort : fakeControlPort, fake : fake };
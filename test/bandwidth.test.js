@@ -0,0 +1,69 @@
+// Tests of the bandwidth accountant against the fake ControlPort.
+
+"use strict";
+
+let test = require("node:test"),
+    assert = require("node:assert"),
+    { waitFor, startFakeTor } = require("./helpers.js");
+
+test("counts stream bytes per stream and domain until tor closes the stream", async function () {
+  let tor = await startFakeTor({ info : { "circuit-status" : "" } }),
+      accountant = tor.controller.bandwidthAccountant(),
+      changes = [];
+  try {
+    await accountant.ready;
+    accountant.addListener(function ({ kind, record }) { changes.push(kind + " " + record.read); });
+    let server = tor.server;
+    server.emit("650 STREAM 7 SUCCEEDED 5 example.com:443 SOCKS_USERNAME=\"example.com\"");
+    server.emit("650 STREAM_BW 7 20 100 2024-01-01T00:00:00.000000");
+    await waitFor(function () { return changes.length === 2; });
+    assert.deepStrictEqual(accountant.getStream("7"),
+                           { id : "7", circuitID : "5", domain : "example.com",
+                             read : 100, written : 20 });
+    server.emit("650 STREAM 7 CLOSED 5 example.com:443 SOCKS_USERNAME=\"example.com\"");
+    // Bytes reported after the stream closed, and for a stream we never saw.
+    server.emit("650 STREAM_BW 7 50 10 2024-01-01T00:00:01.000000");
+    server.emit("650 STREAM_BW 8 50 10 2024-01-01T00:00:01.000000");
+    server.emit("650 BW 300 40");
+    await waitFor(function () { return changes.length === 3; });
+    assert.deepStrictEqual(changes, ["stream 100", "domain 100", "total 300"]);
+    assert.strictEqual(accountant.getStream("7"), null);
+    assert.strictEqual(accountant.getStream("8"), null);
+    assert.deepStrictEqual(accountant.getDomain("example.com"),
+                           { domain : "example.com", read : 100, written : 20 });
+  } finally {
+    await accountant.stop();
+    await tor.stop();
+  }
+});
+
+test("counts circuit bytes only while the circuit is open", async function () {
+  let tor = await startFakeTor({ info : { "circuit-status" : "5 BUILT $A~a,$B~b\n" +
+                                                             "6 LAUNCHED" } }),
+      accountant = tor.controller.bandwidthAccountant(),
+      changes = [];
+  try {
+    await accountant.ready;
+    accountant.addListener(function ({ kind, record }) {
+      changes.push(kind + " " + record.id + " " + record.read);
+    });
+    let server = tor.server;
+    server.emit("650 CIRC_BW ID=5 READ=100 WRITTEN=20");
+    server.emit("650 CIRC 7 LAUNCHED");
+    server.emit("650 CIRC_BW ID=7 READ=30 WRITTEN=10");
+    await waitFor(function () { return changes.length === 2; });
+    server.emit("650 CIRC 5 CLOSED $A~a,$B~b REASON=FINISHED");
+    // Bytes reported after the circuit closed, and for a circuit we never saw.
+    server.emit("650 CIRC_BW ID=5 READ=50 WRITTEN=10");
+    server.emit("650 CIRC_BW ID=8 READ=50 WRITTEN=10");
+    server.emit("650 CIRC_BW ID=6 READ=1 WRITTEN=1");
+    await waitFor(function () { return changes.length === 3; });
+    assert.deepStrictEqual(changes, ["circuit 5 100", "circuit 7 30", "circuit 6 1"]);
+    assert.strictEqual(accountant.getCircuit("5"), null);
+    assert.strictEqual(accountant.getCircuit("8"), null);
+    assert.deepStrictEqual(accountant.getCircuit("7"), { id : "7", read : 30, written : 10 });
+  } finally {
+    await accountant.stop();
+    await tor.stop();
+  }
+});
@@ -0,0 +1,144 @@
+// Tests of the bootstrap monitor against the fake ControlPort.
+
+"use strict";
+
+let test = require("node:test"),
+    assert = require("node:assert"),
+    { wait, waitFor, startFakeTor } = require("./helpers.js");
+
+// __bootstrapInfo(progress, tag, summary)__.
+// GETINFO values for tor at the given bootstrap phase.
+let bootstrapInfo = function (progress, tag, summary) {
+  return { "status/bootstrap-phase" : "NOTICE BOOTSTRAP PROGRESS=" + progress +
+                                      " TAG=" + tag + " SUMMARY=\"" + summary + "\"",
+           "status/circuit-established" : progress === 100 ? "1" : "0" };
+};
+
+test("reports the current phase, then the progress in STATUS_CLIENT events",
+     async function () {
+  let tor = await startFakeTor({ info : bootstrapInfo(10, "conn_done",
+                                                      "Connected to a relay") }),
+      updates = [],
+      stop = tor.controller.onBootstrap(function (status) { updates.push(status); });
+  try {
+    await waitFor(function () { return updates.length === 1; });
+    assert.deepStrictEqual(updates[0], { state : "bootstrapping", progress : 10,
+                                         tag : "conn_done",
+                                         summary : "Connected to a relay",
+                                         warning : null, circuitEstablished : false });
+    tor.server.emit("650 STATUS_CLIENT NOTICE BOOTSTRAP PROGRESS=85 TAG=ap_conn " +
+                    "SUMMARY=\"Connecting to a relay to build circuits\"");
+    tor.server.emit("650 STATUS_CLIENT NOTICE CIRCUIT_ESTABLISHED");
+    tor.server.emit("650 STATUS_CLIENT NOTICE BOOTSTRAP PROGRESS=100 TAG=done " +
+                    "SUMMARY=\"Done\"");
+    await waitFor(function () { return updates.length === 4; });
+    assert.deepStrictEqual(updates.slice(1).map(function (status) {
+      return [status.state, status.progress, status.tag, status.circuitEstablished];
+    }), [["bootstrapping", 85, "ap_conn", false], ["bootstrapping", 85, "ap_conn", true],
+         ["done", 100, "done", true]]);
+    assert.deepStrictEqual(tor.errors, []);
+  } finally {
+    await stop();
+    await tor.stop();
+  }
+});
+
+test("reports warnings from tor", async function () {
+  let tor = await startFakeTor({ info : bootstrapInfo(5, "conn", "Connecting to a relay") }),
+      updates = [],
+      stop = tor.controller.onBootstrap(function (status) { updates.push(status); });
+  try {
+    await waitFor(function () { return updates.length === 1; });
+    tor.server.emit("650 STATUS_CLIENT WARN BOOTSTRAP PROGRESS=10 TAG=conn_done " +
+                    "SUMMARY=\"Connected to a relay\" WARNING=\"Connection refused\" " +
+                    "REASON=CONNECTREFUSED COUNT=3 RECOMMENDATION=ignore " +
+                    "HOSTID=\"7ED90E2833EE38A75795BA9237B0A4560E51E1A0\" " +
+                    "HOSTADDR=\"86.59.21.38:443\"");
+    await waitFor(function () { return updates.length === 2; });
+    let { state, warning } = updates[1];
+    assert.strictEqual(state, "warning");
+    assert.deepStrictEqual([warning.message, warning.reason, warning.count,
+                            warning.recommendation, warning.hostID],
+                           ["Connection refused", "CONNECTREFUSED", 3, "ignore",
+                            "7ED90E2833EE38A75795BA9237B0A4560E51E1A0"]);
+  } finally {
+    await stop();
+    await tor.stop();
+  }
+});
+
+test("reports a stall when progress stops, until it resumes", async function () {
+  let tor = await startFakeTor({ info : bootstrapInfo(10, "conn_done",
+                                                      "Connected to a relay") }),
+      updates = [],
+      stop = tor.controller.onBootstrap(function (status) { updates.push(status); },
+                                        { stallTimeout : 50 });
+  try {
+    await waitFor(function () { return updates.length === 2; });
+    assert.deepStrictEqual(updates.map(function ({ state }) { return state; }),
+                           ["bootstrapping", "stalled"]);
+    // Repeating the same progress isn't progress.
+    tor.server.emit("650 STATUS_CLIENT NOTICE BOOTSTRAP PROGRESS=10 TAG=conn_done " +
+                    "SUMMARY=\"Connected to a relay\"");
+    await waitFor(function () { return updates.length === 3; });
+    assert.strictEqual(updates[2].state, "stalled");
+    tor.server.emit("650 STATUS_CLIENT NOTICE BOOTSTRAP PROGRESS=14 TAG=handshake " +
+                    "SUMMARY=\"Handshaking with a relay\"");
+    await waitFor(function () { return updates.length === 4; });
+    assert.strictEqual(updates[3].state, "bootstrapping");
+  } finally {
+    await stop();
+    await tor.stop();
+  }
+});
+
+test("doesn't count a finished bootstrap as stalled", async function () {
+  let tor = await startFakeTor({ info : bootstrapInfo(100, "done", "Done") }),
+      updates = [],
+      stop = tor.controller.onBootstrap(function (status) { updates.push(status); },
+                                        { stallTimeout : 20 });
+  try {
+    await waitFor(function () { return updates.length === 1; });
+    await wait(60);
+    assert.deepStrictEqual(updates.map(function ({ state, circuitEstablished }) {
+      return [state, circuitEstablished];
+    }), [["done", true]]);
+  } finally {
+    await stop();
+    await tor.stop();
+  }
+});
+
+test("reports a failure to get the current phase to onError", async function () {
+  let tor = await startFakeTor(),
+      updates = [],
+      stop = tor.controller.onBootstrap(function (status) { updates.push(status); });
+  try {
+    await waitFor(function () { return tor.errors.length === 1; });
+    assert.match(tor.errors[0].message, /552 Unrecognized key "status\/bootstrap-phase"/);
+    assert.deepStrictEqual(updates, []);
+  } finally {
+    await stop();
+    await tor.stop();
+  }
+});
+
+test("stops reporting once stopped", async function () {
+  let tor = await startFakeTor({ info : bootstrapInfo(10, "conn_done",
+                                                      "Connected to a relay") }),
+      updates = [],
+      stop = tor.controller.onBootstrap(function (status) { updates.push(status); },
+                                        { stallTimeout : 20 });
+  try {
+    await waitFor(function () { return updates.length === 1; });
+    await stop();
+    tor.server.emit("650 STATUS_CLIENT NOTICE BOOTSTRAP PROGRESS=100 TAG=done " +
+                    "SUMMARY=\"Done\"");
+    await wait(60);
+    assert.strictEqual(updates.length, 1);
+    // Nothing else watches STATUS_CLIENT, so tor no longer sends it.
+    assert.strictEqual(tor.server.commands[tor.server.commands.length - 1], "setevents");
+  } finally {
+    await tor.stop();
+  }
+});
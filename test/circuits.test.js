@@ -0,0 +1,184 @@
+// Tests of the circuit and stream store against the fake ControlPort.
+
+"use strict";
+
+let test = require("node:test"),
+    assert = require("node:assert"),
+    { wait, waitFor, startFakeTor } = require("./helpers.js");
+
+let pathA = "$A1~relayA1,$B2~relayB2,$C3~relayC3",
+    parsedPathA = [["$A1", "relayA1"], ["$B2", "relayB2"], ["$C3", "relayC3"]];
+
+// __storeInfo__.
+// GETINFO values for tor with one built circuit carrying one stream.
+let storeInfo = function () {
+  return { "circuit-status" : "5 BUILT " + pathA + " BUILD_FLAGS=NEED_CAPACITY " +
+                              "PURPOSE=GENERAL SOCKS_USERNAME=\"example.com\"\n" +
+                              "6 LAUNCHED PURPOSE=GENERAL",
+           "stream-status" : "40 SUCCEEDED 5 example.com:443" };
+};
+
+test("seeds itself from circuit-status and stream-status", async function () {
+  let tor = await startFakeTor({ info : storeInfo() }),
+      store = tor.controller.circuitStore();
+  try {
+    await store.ready;
+    let circuit = store.getCircuit(5);
+    assert.deepStrictEqual([circuit.id, circuit.status, circuit.path, circuit.buildFlags,
+                            circuit.purpose, circuit.socksUsername, circuit.streams],
+                           ["5", "BUILT", parsedPathA, ["NEED_CAPACITY"], "GENERAL",
+                            "example.com", ["40"]]);
+    assert.deepStrictEqual(store.getCircuit("6").path, []);
+    assert.deepStrictEqual(store.getStream("40"),
+                           { id : "40", status : "SUCCEEDED", circuitID : "5",
+                             target : "example.com:443",
+                             history : store.getStream("40").history });
+    assert.deepStrictEqual(store.getStreamsForCircuit(5).map(function ({ id }) { return id; }),
+                           ["40"]);
+    assert.deepStrictEqual(store.getCircuits(function ({ status }) {
+      return status === "LAUNCHED";
+    }).map(function ({ id }) { return id; }), ["6"]);
+    assert.strictEqual(store.getCircuit("7"), null);
+    // Callers get copies.
+    store.getCircuit("5").streams.push("41");
+    assert.deepStrictEqual(store.getCircuit("5").streams, ["40"]);
+  } finally {
+    await store.stop();
+    await tor.stop();
+  }
+});
+
+test("follows circuits and streams through their events", async function () {
+  let tor = await startFakeTor({ info : { "circuit-status" : "", "stream-status" : "" } }),
+      store = tor.controller.circuitStore(),
+      changes = [];
+  store.addListener(function ({ kind, change, record }) {
+    changes.push([kind, change, record.id, record.status]);
+  });
+  try {
+    await store.ready;
+    tor.server.emit("650 CIRC 7 LAUNCHED PURPOSE=GENERAL");
+    tor.server.emit("650 CIRC 7 BUILT " + pathA + " PURPOSE=GENERAL");
+    tor.server.emit("650 STREAM 50 NEW 0 example.org:443 SOURCE_ADDR=127.0.0.1:5000 " +
+                    "PURPOSE=USER");
+    tor.server.emit("650 STREAM 50 SUCCEEDED 7 93.184.216.34:443");
+    tor.server.emit("650 CIRC_MINOR 7 PURPOSE_CHANGED " + pathA +
+                    " PURPOSE=CONTROLLER OLD_PURPOSE=GENERAL");
+    await waitFor(function () { return changes.length === 5; });
+    let circuit = store.getCircuit("7");
+    assert.deepStrictEqual([circuit.status, circuit.purpose, circuit.path, circuit.streams],
+                           ["BUILT", "CONTROLLER", parsedPathA, ["50"]]);
+    assert.deepStrictEqual(circuit.history.map(function ({ event }) { return event; }),
+                           ["LAUNCHED", "BUILT", "PURPOSE_CHANGED"]);
+    assert.deepStrictEqual(store.getStream("50").sourceAddress, "127.0.0.1:5000");
+    tor.server.emit("650 STREAM 50 CLOSED 7 93.184.216.34:443 REASON=DONE");
+    tor.server.emit("650 CIRC 7 CLOSED " + pathA + " REASON=FINISHED");
+    await waitFor(function () { return changes.length === 9; });
+    assert.deepStrictEqual(changes, [
+      ["circuit", "added", "7", "LAUNCHED"], ["circuit", "updated", "7", "BUILT"],
+      ["stream", "added", "50", "NEW"], ["stream", "updated", "50", "SUCCEEDED"],
+      ["circuit", "updated", "7", "BUILT"],
+      ["stream", "updated", "50", "CLOSED"], ["stream", "removed", "50", "CLOSED"],
+      ["circuit", "updated", "7", "CLOSED"], ["circuit", "removed", "7", "CLOSED"]]);
+    assert.deepStrictEqual(store.getCircuits(), []);
+    assert.deepStrictEqual(store.getStreams(), []);
+  } finally {
+    await store.stop();
+    await tor.stop();
+  }
+});
+
+test("keeps closed records for closedRetention milliseconds", async function () {
+  let tor = await startFakeTor({ info : storeInfo() }),
+      store = tor.controller.circuitStore({ closedRetention : 50 });
+  try {
+    await store.ready;
+    tor.server.emit("650 CIRC 6 FAILED PURPOSE=GENERAL REASON=TIMEOUT");
+    await waitFor(function () { return store.getCircuit("6").status === "FAILED"; });
+    assert.strictEqual(store.getCircuit("6").reason, "TIMEOUT");
+    await waitFor(function () { return store.getCircuit("6") === null; });
+  } finally {
+    await store.stop();
+    await tor.stop();
+  }
+});
+
+test("doesn't let the seed undo events that arrive while it is requested",
+     async function () {
+  let tor = await startFakeTor(),
+      store = null;
+  tor.server.rule(/^getinfo circuit-status stream-status$/i, function () {
+    // Tor sends the event before its reply to our GETINFO.
+    tor.server.emit("650 CIRC 5 CLOSED " + pathA + " REASON=FINISHED");
+    return ["250+circuit-status=", "5 BUILT " + pathA, "6 BUILT " + pathA, ".",
+            "250-stream-status=", "250 OK"];
+  });
+  try {
+    store = tor.controller.circuitStore();
+    await store.ready;
+    assert.strictEqual(store.getCircuit("5"), null);
+    assert.strictEqual(store.getCircuit("6").status, "BUILT");
+  } finally {
+    await store.stop();
+    await tor.stop();
+  }
+});
+
+test("seeds itself again after reconnecting", async function () {
+  let tor = await startFakeTor({ info : storeInfo() }, { reconnect : { initialDelay : 10 } }),
+      store = tor.controller.circuitStore();
+  try {
+    await store.ready;
+    assert.deepStrictEqual(store.getCircuits().map(function ({ id }) { return id; }),
+                           ["5", "6"]);
+    // Meanwhile, circuit 5 closed and circuit 8 was built.
+    tor.server.info["circuit-status"] = "6 BUILT " + pathA + "\n8 BUILT " + pathA;
+    tor.server.info["stream-status"] = "";
+    tor.server.disconnect();
+    await waitFor(function () { return store.getCircuit("8") !== null; });
+    assert.deepStrictEqual(store.getCircuits().map(function ({ id }) { return id; }),
+                           ["6", "8"]);
+    assert.strictEqual(store.getStream("40"), null);
+    assert.deepStrictEqual(tor.errors, []);
+  } finally {
+    await store.stop();
+    await tor.stop();
+  }
+});
+
+test("reports a failed seed to onError and rejects ready", async function () {
+  let tor = await startFakeTor(),
+      store = tor.controller.circuitStore();
+  try {
+    await assert.rejects(store.ready, /552 Unrecognized key "circuit-status"/);
+    assert.strictEqual(tor.errors.length, 1);
+  } finally {
+    await store.stop();
+    await tor.stop();
+  }
+});
+
+test("stops notifying removed listeners, and all listeners once stopped",
+     async function () {
+  let tor = await startFakeTor({ info : storeInfo() }),
+      store = tor.controller.circuitStore(),
+      kept = [],
+      removed = [];
+  try {
+    await store.ready;
+    store.addListener(function (change) { kept.push(change); });
+    let removeListener = store.addListener(function (change) { removed.push(change); });
+    tor.server.emit("650 CIRC 6 BUILT " + pathA);
+    await waitFor(function () { return kept.length === 1; });
+    removeListener();
+    tor.server.emit("650 CIRC 6 EXTENDED " + pathA);
+    await waitFor(function () { return kept.length === 2; });
+    assert.strictEqual(removed.length, 1);
+    await store.stop();
+    tor.server.emit("650 CIRC 5 CLOSED " + pathA);
+    await wait(30);
+    assert.strictEqual(kept.length, 2);
+  } finally {
+    await tor.stop();
+  }
+});
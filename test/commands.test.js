@@ -0,0 +1,103 @@
+// Tests of the command builder, and of how control sockets refuse command
+// text that could smuggle in another command.
+
+"use strict";
+
+let test = require("node:test"),
+    assert = require("node:assert"),
+    { commands, io, utils } = require("../controlPort.js"),
+    { fakeControlPort } = require("../fakeControlPort.js"),
+    { wait, startFakeTor } = require("./helpers.js");
+
+test("build joins the keyword and arguments, leaving out null ones", function () {
+  assert.strictEqual(commands.build("getinfo", ["version", null, "config/names", undefined]),
+                     "getinfo version config/names");
+  assert.strictEqual(commands.build("saveconf"), "saveconf");
+  assert.strictEqual(commands.build("setconf", [commands.pair("ExitNodes", "{de}"),
+                                                commands.pair("Nickname",
+                                                              commands.quoted("my relay"))]),
+                     "setconf ExitNodes={de} Nickname=\"my relay\"");
+});
+
+test("quoted arguments survive quotes, backslashes and line breaks", function () {
+  for (let string of ["say \"hi\"", "C:\\tor\\cookie", "two\r\nlines", "", "\u0007"]) {
+    let text = commands.build("authenticate", [commands.quoted(string)]);
+    assert.ok(commands.isSafe(text), JSON.stringify(text));
+    assert.strictEqual(utils.dequote(text.substring("authenticate ".length)), string);
+  }
+});
+
+test("refuses keywords and plain arguments that would break the command", function () {
+  for (let keyword of ["get info", "getinfo\r\n", "", "+loadconf", null]) {
+    assert.throws(function () { commands.build(keyword, []); }, /invalid command keyword/);
+  }
+  for (let argument of ["a b", "a\"b", "a\\b", "", "\t"]) {
+    assert.throws(function () { commands.build("getinfo", [argument]); },
+                  /invalid command argument/);
+  }
+  for (let argument of ["version\r\nsignal halt", "version\n", "\r"]) {
+    assert.throws(function () { commands.build("getinfo", [argument]); },
+                  /line break in command argument/);
+  }
+  assert.throws(function () {
+    commands.build("setconf", [commands.pair("Exit Nodes", "{de}")]);
+  }, /invalid command keyword/);
+  assert.throws(function () {
+    commands.build("setconf", [commands.pair("ExitNodes", "{de} UseBridges=1")]);
+  }, /invalid command argument/);
+});
+
+test("buildMultiLine dot-stuffs the body and ends it", function () {
+  assert.strictEqual(commands.buildMultiLine("loadconf", [], "SocksPort 9150\n.\n..x"),
+                     "+loadconf\r\nSocksPort 9150\r\n..\r\n...x\r\n.");
+  let purpose = commands.pair("purpose", "general");
+  assert.strictEqual(commands.buildMultiLine("postdescriptor", [purpose], "router a\r\nend"),
+                     "+postdescriptor purpose=general\r\nrouter a\r\nend\r\n.");
+  assert.throws(function () { commands.buildMultiLine("loadconf", [], "a\rb"); },
+                /carriage return in command body/);
+});
+
+test("isSafe accepts one line, or a multi-line command with its end", function () {
+  assert.ok(commands.isSafe("getinfo version"));
+  assert.ok(commands.isSafe("+loadconf\r\nSocksPort 9150\r\n."));
+  assert.ok(!commands.isSafe("getinfo version\r\nsignal halt"));
+  assert.ok(!commands.isSafe("getinfo version\n"));
+  assert.ok(!commands.isSafe("+loadconf\r\nSocksPort 9150"));
+  assert.ok(!commands.isSafe("+loadconf\r\nSocksPort 9150\r\n.\r\nsignal halt"));
+  assert.ok(!commands.isSafe("+loadconf\r\na\nb\r\n."));
+  assert.ok(!commands.isSafe(null));
+});
+
+test("control sockets refuse unsafe command text without sending it", async function () {
+  let server = fakeControlPort();
+  let [host, port] = await server.listen(),
+      errors = [],
+      socket = io.controlSocket(host, port, null, function (error) { errors.push(error); });
+  try {
+    assert.strictEqual((await socket.sendCommand("getinfo version")).status, 250);
+    await assert.rejects(socket.sendCommand("getinfo version\r\nsignal HALT"),
+                         /unsafe command text/);
+    await assert.rejects(socket.sendCommand("+loadconf\r\nSocksPort 9150"),
+                         /unsafe command text/);
+    await wait(20);
+    assert.deepStrictEqual(server.commands.filter(function (command) {
+      return /^(signal|\+loadconf)/i.test(command);
+    }), []);
+    assert.deepStrictEqual(errors, []);
+  } finally {
+    socket.close();
+    await server.close();
+  }
+});
+
+test("sends passwords with quotes and backslashes as quoted strings", async function () {
+  let password = "pass \"word\" \\ with\ttab",
+      tor = await startFakeTor({ authMethods : ["HASHEDPASSWORD"], password : password },
+                               password);
+  try {
+    assert.strictEqual(await tor.controller.getInfo("version"), "0.4.8.9");
+    assert.ok(tor.server.commands.indexOf("AUTHENTICATE " + utils.quote(password)) !== -1);
+  } finally {
+    await tor.stop();
+  }
+});
@@ -0,0 +1,127 @@
+// Tests of the configuration commands (GETCONF, SETCONF, RESETCONF, SAVECONF
+// and LOADCONF) against the fake ControlPort.
+
+"use strict";
+
+let test = require("node:test"),
+    assert = require("node:assert"),
+    { startFakeTor } = require("./helpers.js");
+
+// __configNames__.
+// A `config/names` value with options of the types that get converted.
+let configNames = ["SocksPort LineList", "Bridge LineList", "UseBridges Boolean",
+                   "ExitNodes RouterList", "NumEntryGuards Integer",
+                   "CircuitBuildTimeout TimeInterval", "ClientUseIPv6 Autobool",
+                   "Nickname String", "V3AuthNIntervalsValid Integer"].join("\n");
+
+// __sent(server, regex)__.
+// The commands the server received that match regex.
+let sent = function (server, regex) {
+  return server.commands.filter(function (command) { return regex.test(command); });
+};
+
+test("getConf converts values according to their types", async function () {
+  let tor = await startFakeTor({
+        info : { "config/names" : configNames },
+        conf : { SocksPort : ["9150", "127.0.0.1:9250 IsolateDestAddr"],
+                 Bridge : null, UseBridges : "1", ExitNodes : "{de},{nl}",
+                 NumEntryGuards : "3", CircuitBuildTimeout : "60", ClientUseIPv6 : "auto",
+                 Nickname : "my relay" } });
+  try {
+    assert.deepStrictEqual(
+      await tor.controller.getConf(["socksport", "Bridge", "UseBridges", "ExitNodes",
+                                    "NumEntryGuards", "CircuitBuildTimeout",
+                                    "ClientUseIPv6", "Nickname"]),
+      { SocksPort : ["9150", "127.0.0.1:9250 IsolateDestAddr"], Bridge : [],
+        UseBridges : true, ExitNodes : ["{de}", "{nl}"], NumEntryGuards : 3,
+        CircuitBuildTimeout : 60, ClientUseIPv6 : "auto", Nickname : "my relay" });
+    assert.deepStrictEqual(await tor.controller.getConf("UseBridges"), { UseBridges : true });
+    // The option types are asked for only once.
+    assert.strictEqual(sent(tor.server, /^getinfo config\/names$/i).length, 1);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("getConf rejects with tor's 552 for an unknown option", async function () {
+  let tor = await startFakeTor({ conf : { UseBridges : "0" } });
+  try {
+    await assert.rejects(tor.controller.getConf(["UseBridges", "NoSuchOption"]),
+                         /552 Unrecognized configuration key "NoSuchOption"/);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("refuses option names that aren't plain words before asking tor", async function () {
+  let tor = await startFakeTor();
+  try {
+    await assert.rejects(tor.controller.getConf(["UseBridges ExitNodes"]),
+                         /invalid configuration key/);
+    await assert.rejects(tor.controller.getConf(["UseBridges\r\nSIGNAL HALT"]),
+                         /invalid configuration key/);
+    await assert.rejects(tor.controller.setConf({ "ExitNodes={de} UseBridges" : 1 }),
+                         /invalid configuration key/);
+    assert.deepStrictEqual(sent(tor.server, /^(getconf|setconf|signal)/i), []);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("setConf encodes values and repeats list options", async function () {
+  let tor = await startFakeTor({ info : { "config/names" : configNames } });
+  try {
+    let changes = [],
+        unwatch = tor.controller.watchEvent("CONF_CHANGED", null, function (data) {
+          changes.push(data);
+        });
+    await unwatch.subscribed;
+    await tor.controller.setConf({ UseBridges : true,
+                                   Bridge : ["obfs4 192.0.2.1:443 cert=abc", "192.0.2.2:443"],
+                                   ExitNodes : ["{de}", "{nl}"], NumEntryGuards : 2,
+                                   Nickname : "say \"hi\"", SocksPort : null });
+    assert.deepStrictEqual(sent(tor.server, /^setconf/i), [
+      "setconf UseBridges=1 Bridge=\"obfs4 192.0.2.1:443 cert=abc\" Bridge=192.0.2.2:443 " +
+      "ExitNodes={de},{nl} NumEntryGuards=2 Nickname=\"say \\\"hi\\\"\" SocksPort"]);
+    assert.deepStrictEqual(tor.server.conf.Bridge,
+                           ["obfs4 192.0.2.1:443 cert=abc", "192.0.2.2:443"]);
+    assert.strictEqual(tor.server.conf.SocksPort, null);
+    assert.deepStrictEqual(await tor.controller.getConf(["UseBridges", "Bridge", "Nickname"]),
+                           { UseBridges : true,
+                             Bridge : ["obfs4 192.0.2.1:443 cert=abc", "192.0.2.2:443"],
+                             Nickname : "say \"hi\"" });
+    assert.strictEqual(changes.length, 1);
+    await unwatch();
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("resetConf takes option names or settings", async function () {
+  let tor = await startFakeTor({ info : { "config/names" : configNames } });
+  try {
+    await tor.controller.resetConf(["ExitNodes", "UseBridges"]);
+    await tor.controller.resetConf({ NumEntryGuards : 1, Bridge : [] });
+    assert.deepStrictEqual(sent(tor.server, /^resetconf/i),
+                           ["resetconf ExitNodes UseBridges",
+                            "resetconf NumEntryGuards=1 Bridge"]);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("saveConf and loadConf send their commands", async function () {
+  let tor = await startFakeTor();
+  try {
+    await tor.controller.saveConf();
+    await tor.controller.saveConf(true);
+    await tor.controller.loadConf("SocksPort 9150\n.hidden\nUseBridges 1");
+    assert.deepStrictEqual(sent(tor.server, /^(saveconf|\+loadconf)/i),
+                           ["saveconf", "saveconf FORCE",
+                            "+loadconf\r\nSocksPort 9150\r\n..hidden\r\nUseBridges 1\r\n."]);
+    await assert.rejects(tor.controller.loadConf("SocksPort 9150\rSIGNAL HALT"),
+                         /carriage return/);
+  } finally {
+    await tor.stop();
+  }
+});
@@ -0,0 +1,118 @@
+// Tests of the circuit and stream commands, and of SIGNAL, against the fake
+// ControlPort.
+
+"use strict";
+
+let test = require("node:test"),
+    assert = require("node:assert"),
+    { startFakeTor } = require("./helpers.js");
+
+// __sent(server, regex)__.
+// The commands the server received that match regex.
+let sent = function (server, regex) {
+  return server.commands.filter(function (command) { return regex.test(command); });
+};
+
+let relayA = "$" + "A".repeat(40),
+    relayB = "$" + "B".repeat(40) + "~relayB";
+
+test("extendCircuit builds circuits and resolves with their IDs", async function () {
+  let tor = await startFakeTor();
+  try {
+    assert.strictEqual(await tor.controller.extendCircuit("0"), "1");
+    assert.strictEqual(await tor.controller.extendCircuit("0", [relayA, relayB, "relayC"],
+                                                          "controller"), "2");
+    assert.strictEqual(await tor.controller.extendCircuit(2, ["relayD"]), "2");
+    assert.deepStrictEqual(sent(tor.server, /^extendcircuit/i),
+                           ["extendcircuit 0",
+                            "extendcircuit 0 " + relayA + "," + relayB +
+                            ",relayC purpose=controller",
+                            "extendcircuit 2 relayD"]);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("extendCircuit rejects with tor's error, or an unexpected reply", async function () {
+  let tor = await startFakeTor();
+  try {
+    tor.server.rule(/^extendcircuit 7/i, "552 Unknown circuit \"7\"");
+    tor.server.rule(/^extendcircuit 8/i, "250 OK");
+    await assert.rejects(tor.controller.extendCircuit("7", ["relayA"]),
+                         /552 Unknown circuit "7"/);
+    await assert.rejects(tor.controller.extendCircuit("8", ["relayA"]),
+                         /unexpected EXTENDCIRCUIT reply: OK$/);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("sends the circuit and stream commands with their arguments", async function () {
+  let tor = await startFakeTor();
+  try {
+    await tor.controller.setCircuitPurpose("5", "general");
+    await tor.controller.closeCircuit("5");
+    await tor.controller.closeCircuit(6, true);
+    await tor.controller.attachStream("12", "0");
+    await tor.controller.attachStream("12", "5", 2);
+    await tor.controller.redirectStream("13", "example.com");
+    await tor.controller.redirectStream("13", "192.0.2.1", 8080);
+    await tor.controller.closeStream("14");
+    await tor.controller.closeStream("14", "TIMEOUT");
+    await tor.controller.closeStream("14", 3);
+    await tor.controller.leaveStreamsUnattached(true);
+    await tor.controller.leaveStreamsUnattached(false);
+    assert.deepStrictEqual(
+      sent(tor.server,
+           /^(setcircuitpurpose|closecircuit|attachstream|redirectstream|closestream|setconf)/i),
+      ["setcircuitpurpose 5 purpose=general", "closecircuit 5", "closecircuit 6 IfUnused",
+       "attachstream 12 0", "attachstream 12 5 HOP=2", "redirectstream 13 example.com",
+       "redirectstream 13 192.0.2.1 8080", "closestream 14 1", "closestream 14 7",
+       "closestream 14 3", "setconf __LeaveStreamsUnattached=1",
+       "setconf __LeaveStreamsUnattached=0"]);
+    assert.strictEqual(tor.server.conf.__LeaveStreamsUnattached, "0");
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("refuses bad arguments without sending anything", async function () {
+  let tor = await startFakeTor(),
+      before = null;
+  try {
+    await tor.controller.getInfo("version");
+    before = tor.server.commands.length;
+    let attempts = [
+      [tor.controller.extendCircuit("0 purpose=general"), /invalid circuit ID/],
+      [tor.controller.extendCircuit("0", ["relayA relayB"]), /invalid relay/],
+      [tor.controller.extendCircuit("0", ["relayA"], "measure"), /invalid circuit purpose/],
+      [tor.controller.setCircuitPurpose("5", "general\r\nSIGNAL HALT"),
+       /invalid circuit purpose/],
+      [tor.controller.closeCircuit(""), /invalid circuit ID/],
+      [tor.controller.attachStream("12", "5", "last"), /invalid hop/],
+      [tor.controller.redirectStream("13", "example.com 80"), /invalid address/],
+      [tor.controller.redirectStream("13", "example.com", "http"), /invalid port/],
+      [tor.controller.closeStream("14", "BORED"), /invalid reason/],
+      [tor.controller.closeStream("14\nSIGNAL HALT"), /invalid stream ID/],
+      [tor.controller.signal("NEWNYM\r\nSIGNAL HALT"), /invalid signal/],
+      [tor.controller.signal("SELFDESTRUCT"), /invalid signal/]];
+    for (let [promise, expected] of attempts) {
+      await assert.rejects(promise, expected);
+    }
+    assert.strictEqual(tor.server.commands.length, before);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("signal sends known signals in upper case", async function () {
+  let tor = await startFakeTor();
+  try {
+    await tor.controller.signal("cleardnscache");
+    await tor.controller.signal("HEARTBEAT");
+    assert.deepStrictEqual(sent(tor.server, /^signal/i),
+                           ["signal CLEARDNSCACHE", "signal HEARTBEAT"]);
+  } finally {
+    await tor.stop();
+  }
+});
@@ -0,0 +1,258 @@
+// End-to-end tests of the filtering proxy, between controllers and the fake
+// ControlPort.
+
+"use strict";
+
+let test = require("node:test"),
+    assert = require("node:assert"),
+    fs = require("fs"),
+    net = require("net"),
+    os = require("os"),
+    path = require("path"),
+    { controller } = require("../controlPort.js"),
+    { fakeControlPort } = require("../fakeControlPort.js"),
+    { controlPortProxy } = require("../controlPortProxy.js"),
+    { wait, waitFor } = require("./helpers.js");
+
+// A policy for a tool that may see its own circuits, watch circuits and
+// streams (without their SOCKS passwords), and ask for new identities.
+let toolPolicy = {
+  commands : { GETINFO : true, SIGNAL : /^NEWNYM$/i, EXTENDCIRCUIT : true,
+               CLOSECIRCUIT : true },
+  getInfo : ["version", "circuit-status", "stream-status", "status/"],
+  events : { CIRC : true, SIGNAL : true,
+             STREAM : function (reply) {
+               reply.lines[0].text = reply.lines[0].text.replace(/ SOCKS_PASSWORD="[^"]*"/, "");
+               return reply;
+             } },
+  visibility : "own",
+  socksUsernames : ["tool"],
+  password : "proxy secret"
+};
+
+// __startProxy(policy)__.
+// Starts a fake tor with password authentication, a proxy for it with
+// policy, and a controller connected through the proxy. Returns a promise for
+// `{ server, proxy, controller, errors, stop() }`.
+let startProxy = function (policy) {
+  let server = fakeControlPort({
+        authMethods : ["HASHEDPASSWORD"], password : "tor secret",
+        info : { "circuit-status" : "1 BUILT $A~a SOCKS_USERNAME=\"tool\"\n" +
+                                    "2 BUILT $B~b SOCKS_USERNAME=\"browser\"\n" +
+                                    "3 BUILT $C~c",
+                 "stream-status" : "" } }),
+      errors = [];
+  return server.listen().then(function ([torHost, torPort]) {
+    let proxy = controlPortProxy(torHost, torPort, "tor secret", policy,
+                                 function (error) { errors.push(error); });
+    return proxy.listen().then(function ([host, port]) {
+      let aController = controller(host, port, { password : "proxy secret", reconnect : false },
+                                   function (error) { errors.push(error); });
+      return { server : server, proxy : proxy, host : host, port : port,
+               controller : aController, errors : errors,
+               stop : function () {
+                 aController.close();
+                 return proxy.close().then(function () { return server.close(); });
+               } };
+    });
+  });
+};
+
+test("passes allowed commands and GETINFO keys on to tor", async function () {
+  let setup = await startProxy(toolPolicy),
+      c = setup.controller;
+  try {
+    assert.strictEqual(await c.getInfo("version"), "0.4.8.9");
+    await c.signal("NEWNYM");
+    // The proxy logs in to tor with its own password.
+    assert.ok(setup.server.commands.indexOf("AUTHENTICATE \"tor secret\"") !== -1);
+    assert.ok(setup.server.commands.indexOf("signal NEWNYM") !== -1);
+    assert.deepStrictEqual(setup.errors, []);
+  } finally {
+    await setup.stop();
+  }
+});
+
+test("refuses commands, arguments and GETINFO keys the policy forbids", async function () {
+  let setup = await startProxy(toolPolicy),
+      c = setup.controller;
+  try {
+    await assert.rejects(c.getConf(["SocksPort"]),
+                         function (error) { return error.code === 510; });
+    await assert.rejects(c.signal("HUP"), /552 Argument not allowed/);
+    await assert.rejects(c.getInfoMultiple(["version", "config-file"]),
+                         /552 Unrecognized key "config-file"/);
+    // None of it reached tor.
+    assert.ok(!setup.server.commands.some(function (command) {
+      return /getconf|signal HUP|config-file/i.test(command);
+    }));
+  } finally {
+    await setup.stop();
+  }
+});
+
+test("refuses GETINFO keys and IDs that tor would split differently", async function () {
+  let setup = await startProxy(toolPolicy),
+      socket = net.connect(setup.port, setup.host),
+      received = "";
+  try {
+    socket.setEncoding("utf8");
+    socket.on("data", function (data) { received += data; });
+    // Tor reads the keys `status/"`, `config-text` and `"` here.
+    socket.write("AUTHENTICATE \"proxy secret\"\r\n" +
+                 "GETINFO status/\" config-text \"\r\n" +
+                 "GETINFO status/\\ config-text\r\n" +
+                 "CLOSECIRCUIT \"1\"\r\n" +
+                 "GETINFO  version\r\n");
+    await waitFor(function () { return /version=/.test(received); });
+    assert.strictEqual(received, "250 OK\r\n" +
+                                 "552 Argument not allowed\r\n" +
+                                 "552 Argument not allowed\r\n" +
+                                 "552 Argument not allowed\r\n" +
+                                 "250-version=0.4.8.9\r\n250 OK\r\n");
+    assert.ok(!setup.server.commands.some(function (command) {
+      return /config-text|closecircuit/i.test(command);
+    }));
+  } finally {
+    socket.destroy();
+    await setup.stop();
+  }
+});
+
+test("shows a client only its own circuits", async function () {
+  let setup = await startProxy(toolPolicy),
+      c = setup.controller;
+  try {
+    let circuitStatus = await c.getInfo("circuit-status");
+    assert.deepStrictEqual(circuitStatus.map(function (circuit) { return circuit.id; }), ["1"]);
+    await assert.rejects(c.closeCircuit("2"), /552 Unknown circuit "2"/);
+    // Circuits the client builds are its own.
+    let id = await c.extendCircuit("0", null);
+    await c.closeCircuit(id);
+    assert.ok(setup.server.commands.indexOf("closecircuit " + id) !== -1);
+    assert.ok(setup.server.commands.indexOf("closecircuit 2") === -1);
+  } finally {
+    await setup.stop();
+  }
+});
+
+test("lets a client own circuits without watching their events", async function () {
+  let setup = await startProxy(toolPolicy),
+      c = setup.controller,
+      server = setup.server;
+  try {
+    await c.getInfo("version");
+    await waitFor(function () {
+      return server.commands.indexOf("setevents CIRC CIRC_MINOR STREAM") !== -1;
+    });
+    server.emit("650 CIRC 4 BUILT $A~a SOCKS_USERNAME=\"tool\"");
+    server.emit("650 CIRC 5 BUILT $B~b SOCKS_USERNAME=\"browser\"");
+    await waitFor(function () {
+      return Array.from(setup.proxy.clients).some(function (client) {
+        return client.circuits.has("4");
+      });
+    });
+    await c.closeCircuit("4");
+    await assert.rejects(c.closeCircuit("5"), /552 Unknown circuit "5"/);
+    assert.ok(server.commands.indexOf("closecircuit 4") !== -1);
+  } finally {
+    await setup.stop();
+  }
+});
+
+test("filters and rewrites events", async function () {
+  let setup = await startProxy(toolPolicy),
+      c = setup.controller,
+      seen = [];
+  try {
+    let unwatchCircuits = c.watchEvent("CIRC", null, function (data) { seen.push("circuit " + data.id); }),
+        unwatchStreams = c.watchEvent("STREAM", null, function (data) {
+          seen.push("stream " + data.StreamID + " " + (data.SOCKS_PASSWORD || "-"));
+        });
+    await unwatchCircuits.subscribed;
+    await unwatchStreams.subscribed;
+    // Events the policy doesn't allow aren't offered, and can't be watched.
+    let names = await c.getInfo("events/names");
+    assert.deepStrictEqual(names.slice().sort(), ["CIRC", "SIGNAL", "STREAM"]);
+    await assert.rejects(c.watchEvent("BW", null, function () { }).subscribed,
+                         /unknown event type/);
+    let server = setup.server;
+    server.emit("650 CIRC 2 EXTENDED $B~b SOCKS_USERNAME=\"browser\"");
+    server.emit("650 CIRC 1 EXTENDED $A~a SOCKS_USERNAME=\"tool\"");
+    server.emit("650 STREAM 9 SUCCEEDED 1 example.com:443 SOCKS_USERNAME=\"tool\" " +
+                "SOCKS_PASSWORD=\"secret\"");
+    server.emit("650 STREAM 10 SUCCEEDED 2 example.org:443");
+    await waitFor(function () { return seen.length === 2; });
+    await wait(30);
+    assert.deepStrictEqual(seen, ["circuit 1", "stream 9 -"]);
+  } finally {
+    await setup.stop();
+  }
+});
+
+test("refuses a client with the wrong password", async function () {
+  let setup = await startProxy(toolPolicy),
+      errors = [],
+      intruder = controller(setup.host, setup.port, { password : "guess", reconnect : false },
+                            function (error) { errors.push(error); });
+  try {
+    await assert.rejects(intruder.getInfo("version"), /515 Authentication failed/);
+    assert.strictEqual(errors.length, 1);
+  } finally {
+    intruder.close();
+    await setup.stop();
+  }
+});
+
+test("asks clients to authenticate before anything else", async function () {
+  let setup = await startProxy(toolPolicy),
+      socket = net.connect(setup.port, setup.host),
+      received = "";
+  try {
+    socket.setEncoding("utf8");
+    socket.on("data", function (data) { received += data; });
+    socket.write("GETINFO version\r\nPROTOCOLINFO 1\r\n");
+    await waitFor(function () { return /250 OK\r\n$/.test(received); });
+    assert.strictEqual(received, "514 Authentication required.\r\n" +
+                                 "250-PROTOCOLINFO 1\r\n" +
+                                 "250-AUTH METHODS=HASHEDPASSWORD\r\n" +
+                                 "250-VERSION Tor=\"0.4.8.9\"\r\n" +
+                                 "250 OK\r\n");
+  } finally {
+    socket.destroy();
+    await setup.stop();
+  }
+});
+
+test("records errors on client connections", async function () {
+  let setup = await startProxy(toolPolicy),
+      socket = net.connect(setup.port, setup.host);
+  try {
+    await new Promise(function (resolve) { socket.on("connect", resolve); });
+    await waitFor(function () { return setup.proxy.clients.size === 2; });
+    socket.resetAndDestroy();
+    await waitFor(function () { return setup.proxy.errors.length === 1; });
+    assert.strictEqual(setup.proxy.errors[0].code, "ECONNRESET");
+    await waitFor(function () { return setup.proxy.clients.size === 1; });
+  } finally {
+    await setup.stop();
+  }
+});
+
+test("listens on a Unix domain socket", async function () {
+  let directory = fs.mkdtempSync(path.join(os.tmpdir(), "proxy-")),
+      server = fakeControlPort(),
+      [torHost, torPort] = await server.listen(),
+      proxy = controlPortProxy(torHost, torPort, null,
+                               { commands : { GETINFO : true }, getInfo : ["version"] }),
+      [host] = await proxy.listen("unix:" + path.join(directory, "control")),
+      aController = controller(host, null, { reconnect : false }, function () { });
+  try {
+    assert.strictEqual(await aController.getInfo("version"), "0.4.8.9");
+  } finally {
+    aController.close();
+    await proxy.close();
+    await server.close();
+    fs.rmSync(directory, { recursive : true, force : true });
+  }
+});
@@ -0,0 +1,242 @@
+// Tests of the controller against the fake ControlPort: GETINFO, events and
+// authentication.
+
+"use strict";
+
+let test = require("node:test"),
+    assert = require("node:assert"),
+    fs = require("fs"),
+    os = require("os"),
+    path = require("path"),
+    { controller } = require("../controlPort.js"),
+    { fakeControlPort } = require("../fakeControlPort.js"),
+    { wait, waitFor, startFakeTor } = require("./helpers.js");
+
+test("getInfoMultiple parses several keys in one command", async function () {
+  let tor = await startFakeTor({ info : {
+        "circuit-status" : "5 BUILT $AAAA~a,$BBBB~b PURPOSE=GENERAL\n6 LAUNCHED",
+        "ip-to-country/1.2.3.4" : "de" } });
+  try {
+    let [version, circuits, country] = await tor.controller.getInfoMultiple(
+          ["version", "circuit-status", "ip-to-country/1.2.3.4"]);
+    assert.strictEqual(version, "0.4.8.9");
+    assert.deepStrictEqual(circuits.map(function (c) { return c.id; }), ["5", "6"]);
+    assert.deepStrictEqual(circuits[0].circuit, [["$AAAA", "a"], ["$BBBB", "b"]]);
+    assert.strictEqual(country, "de");
+    assert.deepStrictEqual(tor.server.commands.filter(function (command) {
+      return /^getinfo/i.test(command);
+    }), ["getinfo version circuit-status ip-to-country/1.2.3.4"]);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("getInfoMultiple rejects with tor's 552 for a key tor doesn't know", async function () {
+  let tor = await startFakeTor();
+  try {
+    await assert.rejects(tor.controller.getInfoMultiple(["version", "ip-to-country/9.9.9.9"]),
+                         function (error) {
+                           return error.code === 552 && /ip-to-country/.test(error.message);
+                         });
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("getInfoMultiple refuses keys without a parser before asking tor", async function () {
+  let tor = await startFakeTor();
+  try {
+    await assert.rejects(tor.controller.getInfoMultiple(["version", "no-such-key"]),
+                         /unknown key: no-such-key/);
+    assert.ok(!tor.server.commands.some(function (command) {
+      return /no-such-key/.test(command);
+    }));
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("watchEvent subscribes, parses events and unsubscribes", async function () {
+  let tor = await startFakeTor(),
+      seen = [];
+  try {
+    let unwatch = tor.controller.watchEvent("CIRC", function (data) {
+          return data.status === "BUILT";
+        }, function (data) { seen.push(data); });
+    await unwatch.subscribed;
+    assert.strictEqual(tor.server.commands.slice(-1)[0], "setevents CIRC");
+    tor.server.emit("650 CIRC 7 LAUNCHED PURPOSE=GENERAL");
+    tor.server.emit("650 CIRC 7 BUILT $AAAA~a,$BBBB~b,$CCCC~c PURPOSE=GENERAL");
+    await waitFor(function () { return seen.length === 1; });
+    assert.strictEqual(seen[0].id, "7");
+    assert.strictEqual(seen[0].circuit.length, 3);
+    await unwatch();
+    assert.strictEqual(tor.server.commands.slice(-1)[0], "setevents");
+    tor.server.emit("650 CIRC 8 BUILT $AAAA~a");
+    await wait(30);
+    assert.strictEqual(seen.length, 1);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("watchEvent rejects subscribed for an event type tor doesn't know", async function () {
+  let tor = await startFakeTor();
+  try {
+    let unwatch = tor.controller.watchEvent("NO_SUCH_EVENT", null, function () { });
+    await assert.rejects(unwatch.subscribed, /unknown event type/);
+    assert.strictEqual(tor.errors.length, 1);
+    assert.match(tor.errors[0].message, /unknown event type: NO_SUCH_EVENT/);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("watchEvent reports a failed subscription to onError without rejecting unhandled",
+     async function () {
+  let tor = await startFakeTor(),
+      unhandled = [],
+      onUnhandled = function (reason) { unhandled.push(reason); };
+  process.on("unhandledRejection", onUnhandled);
+  try {
+    tor.controller.watchEvent("NO_SUCH_EVENT", null, function () { });
+    await waitFor(function () { return tor.errors.length === 1; });
+    await wait(20);
+    assert.deepStrictEqual(unhandled, []);
+  } finally {
+    process.removeListener("unhandledRejection", onUnhandled);
+    await tor.stop();
+  }
+});
+
+test("watchEvent rejects subscribed for a type that isn't a plain word", async function () {
+  let tor = await startFakeTor();
+  try {
+    for (let type of ["CIRC(", "CIRC|STREAM", "CIRC SIGNAL", ""]) {
+      let unwatch = tor.controller.watchEvent(type, null, function () { });
+      await assert.rejects(unwatch.subscribed, /unknown event type/);
+      await unwatch();
+    }
+    assert.ok(!tor.server.commands.some(function (command) {
+      return /^setevents|events\/names/i.test(command);
+    }));
+  } finally {
+    await tor.stop();
+  }
+});
+
+// Each authentication method, and how the controller is configured for it.
+let authCases = [
+  { method : "NULL", controllerOptions : null },
+  { method : "HASHEDPASSWORD", password : "secret", controllerOptions : "secret" },
+  { method : "COOKIE", cookie : true, controllerOptions : {} },
+  { method : "SAFECOOKIE", cookie : true, controllerOptions : {} }
+];
+
+for (let { method, password, cookie, controllerOptions } of authCases) {
+  test("authenticates with " + method, async function () {
+    let directory = cookie ? fs.mkdtempSync(path.join(os.tmpdir(), "fake-tor-")) : null,
+        tor = await startFakeTor({ authMethods : [method], password : password,
+                                   cookieFile : cookie ? path.join(directory, "cookie") : undefined },
+                                 controllerOptions);
+    try {
+      assert.strictEqual(await tor.controller.getInfo("version"), "0.4.8.9");
+      assert.strictEqual(tor.controller.getState(), "authenticated");
+      let authenticate = tor.server.commands.find(function (command) {
+        return /^AUTHENTICATE/.test(command);
+      });
+      assert.ok(authenticate);
+      if (method === "SAFECOOKIE") {
+        assert.ok(tor.server.commands.some(function (command) {
+          return /^AUTHCHALLENGE SAFECOOKIE /.test(command);
+        }));
+      }
+      assert.deepStrictEqual(tor.errors, []);
+    } finally {
+      await tor.stop();
+      if (directory) {
+        fs.rmSync(directory, { recursive : true });
+      }
+    }
+  });
+}
+
+test("prefers SAFECOOKIE over the other methods tor offers", async function () {
+  let directory = fs.mkdtempSync(path.join(os.tmpdir(), "fake-tor-")),
+      tor = await startFakeTor({ authMethods : ["NULL", "HASHEDPASSWORD", "COOKIE", "SAFECOOKIE"],
+                                 password : "secret",
+                                 cookieFile : path.join(directory, "cookie") }, "secret");
+  try {
+    await tor.controller.getInfo("version");
+    assert.ok(tor.server.commands.some(function (command) {
+      return /^AUTHCHALLENGE/.test(command);
+    }));
+  } finally {
+    await tor.stop();
+    fs.rmSync(directory, { recursive : true });
+  }
+});
+
+test("fails commands when tor refuses the password", async function () {
+  let server = fakeControlPort({ authMethods : ["HASHEDPASSWORD"], password : "secret" }),
+      [host, port] = await server.listen(),
+      aController = controller(host, port, { password : "wrong", reconnect : false },
+                               function () { });
+  try {
+    await assert.rejects(aController.getInfo("version"), /authentication failed/);
+    await waitFor(function () { return aController.getState() === "closed"; });
+  } finally {
+    aController.close();
+    await server.close();
+  }
+});
+
+test("reports a refused password to onError and every error listener", async function () {
+  let server = fakeControlPort({ authMethods : ["HASHEDPASSWORD"], password : "secret" }),
+      [host, port] = await server.listen(),
+      errors = [],
+      listened = [],
+      closes = 0,
+      first = controller(host, port, { password : "wrong", reconnect : false },
+                         function (error) { errors.push(error); }),
+      second = controller(host, port, { password : "wrong", reconnect : false });
+  second.addErrorListener(function (error) { listened.push(error); });
+  second.addCloseListener(function () { ++closes; });
+  try {
+    await waitFor(function () { return closes === 1; });
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0].message, /authentication failed: 515/);
+    assert.deepStrictEqual(listened, errors);
+  } finally {
+    first.close();
+    second.close();
+    await server.close();
+  }
+});
+
+test("shares a control socket only between callers with the same reconnect options",
+     async function () {
+  let server = fakeControlPort(),
+      [host, port] = await server.listen(),
+      first = controller(host, port, { reconnect : { maxAttempts : 3 } }, function () { }),
+      same = controller(host, port, { reconnect : { maxAttempts : 3 } }, function () { }),
+      noReconnect = controller(host, port, { reconnect : false }, function () { }),
+      otherBackoff = controller(host, port, { reconnect : { maxAttempts : 3, maxDelay : 100 } },
+                                function () { });
+  try {
+    await Promise.all([first, same, noReconnect, otherBackoff].map(function (c) {
+      return c.getInfo("version");
+    }));
+    assert.strictEqual(server.clients.size, 3);
+    // Dropping the connections closes only the socket that doesn't reconnect.
+    server.disconnect();
+    await waitFor(function () { return noReconnect.getState() === "closed"; });
+    assert.strictEqual(await same.getInfo("version"), "0.4.8.9");
+    assert.strictEqual(await otherBackoff.getInfo("version"), "0.4.8.9");
+  } finally {
+    for (let c of [first, same, noReconnect, otherBackoff]) {
+      c.close();
+    }
+    await server.close();
+  }
+});
@@ -0,0 +1,161 @@
+// Tests of the parsers for consensus documents, server descriptors and
+// microdescriptors, against the documents in fixtures/documents.txt.
+
+"use strict";
+
+let test = require("node:test"),
+    assert = require("node:assert"),
+    fs = require("fs"),
+    path = require("path"),
+    { info } = require("../controlPort.js"),
+    { startFakeTor } = require("./helpers.js");
+
+// __readFixtures(text)__.
+// Splits the fixtures file into a map from section names to document texts.
+let readFixtures = function (text) {
+  let sections = new Map(),
+      lines = null;
+  for (let line of text.split(/\r?\n/)) {
+    let match = line.match(/^== (.*)$/);
+    if (match) {
+      lines = [];
+      sections.set(match[1], lines);
+    } else if (lines && line !== "" && !line.startsWith("#")) {
+      lines.push(line);
+    }
+  }
+  return new Map(Array.from(sections).map(function ([name, sectionLines]) {
+    return [name, sectionLines.join("\n")];
+  }));
+};
+
+let fixtures = readFixtures(fs.readFileSync(path.join(__dirname, "fixtures", "documents.txt"),
+                                            "utf8"));
+
+let protocols = { Conflux : "1", Cons : "1-2", Desc : "1-2", DirCache : "2", FlowCtrl : "1-2",
+                  HSDir : "2", HSIntro : "4-5", HSRend : "1-2", Link : "1-5",
+                  LinkAuth : "1,3", Microdesc : "1-2", Padding : "2", Relay : "1-4" },
+    calyxFingerprint = "0011BD2485AD45D984EC4159C88FC066E5E3300E",
+    calyxFamily = ["$" + calyxFingerprint, "$0111BD2485AD45D984EC4159C88FC066E5E3300E",
+                   "CalyxInstitute15"],
+    onionKey = "-----BEGIN RSA PUBLIC KEY-----\n" +
+               "MIGJAoGBAMMtLJuZpkVk64K0PgHz0cH5QJ5dGhaHTSdWoWnTWx0L0oX3cyHcvC9y\n" +
+               "AgMBAAE=\n" +
+               "-----END RSA PUBLIC KEY-----";
+
+test("parses a consensus into its router status entries", function () {
+  let entries = info.getParser("dir/status-vote/current/consensus")(fixtures.get("consensus"));
+  assert.strictEqual(entries.length, 2);
+  assert.deepStrictEqual(entries[0], {
+    orAddresses : ["[2600:1700:6a0:2440::46]:9001"], nickname : "seele",
+    identity : "AAoQ1DAR6kkoo19hBAX5K0QztNw", digest : "8U4j9pXWOL0rC9+dJUmsxrUyc9I",
+    publicationDate : "2024-03-14", publicationTime : "05:43:48", IP : "104.53.221.159",
+    ORPort : "9001", DirPort : "0", statusFlags : ["Running", "Stable", "V2Dir", "Valid"],
+    version : "Tor 0.4.8.10", protocols : protocols, Bandwidth : 2940,
+    exitPolicy : { action : "reject", ports : ["1-65535"] } });
+  let calyx = entries[1];
+  assert.strictEqual(calyx.nickname, "CalyxInstitute14");
+  assert.strictEqual(calyx.DirPort, "80");
+  assert.deepStrictEqual(calyx.statusFlags, ["Exit", "Fast", "Guard", "HSDir", "Running",
+                                             "Stable", "V2Dir", "Valid"]);
+  assert.strictEqual(calyx.Bandwidth, 32000);
+  assert.strictEqual(calyx.exitPolicy.action, "accept");
+  assert.strictEqual(calyx.exitPolicy.ports.length, 66);
+  assert.deepStrictEqual(calyx.exitPolicy.ports.slice(0, 4), ["20-23", "43", "53", "79-81"]);
+  // The footer's signature isn't taken for part of the last entry.
+  assert.deepStrictEqual(Object.keys(calyx).sort(), Object.keys(entries[0]).sort());
+  assert.strictEqual(info.getParser("ns/all"), info.getParser("dir/status-vote/current/consensus"));
+});
+
+test("parses a microdescriptor consensus, with microdescriptor digests", function () {
+  let entries = info.getParser("dir/status-vote/current/consensus-microdesc")(
+        fixtures.get("consensus-microdesc"));
+  assert.deepStrictEqual(entries.map(function (entry) {
+    return [entry.nickname, entry.identity, entry.digest, entry.IP,
+            entry.microdescriptorDigest, entry.Bandwidth];
+  }), [["seele", "AAoQ1DAR6kkoo19hBAX5K0QztNw", undefined, "104.53.221.159",
+        "1d1OOHzC2nw+3GzFmCa8r3eQaYdZY5UUvlYYSdpyDxo", 2940],
+       ["CalyxInstitute14", "ABG9JIWtRdmE7EFZyI/AZuXjMA4", undefined, "162.247.74.201",
+        "pW+JDNMzt9AVZ8Ybq5ZITeIe2vlHHjEsSQwWOJGtt+E", 32000]]);
+  assert.strictEqual(entries[0].publicationTime, "05:43:48");
+});
+
+test("parses a server descriptor", function () {
+  let descriptor = info.getParser("desc/id/" + calyxFingerprint)(
+        fixtures.get("server descriptor"));
+  assert.deepStrictEqual(descriptor, {
+    orAddresses : ["[2620:18c:0:192::e0:201]:443"], family : calyxFamily,
+    exitPolicy : [{ action : "reject", pattern : "0.0.0.0/8:*" },
+                  { action : "reject", pattern : "169.254.0.0/16:*" },
+                  { action : "reject", pattern : "162.247.74.201:*" },
+                  { action : "accept", pattern : "*:20-23" },
+                  { action : "accept", pattern : "*:443" },
+                  { action : "reject", pattern : "*:*" }],
+    nickname : "CalyxInstitute14", address : "162.247.74.201", ORPort : 443,
+    SOCKSPort : 0, DirPort : 80, platform : "Tor 0.4.8.10 on Linux", protocols : protocols,
+    published : "2024-03-14 04:31:04", fingerprint : calyxFingerprint, uptime : 1728053,
+    bandwidth : { average : 1073741824, burst : 1073741824, observed : 39810374 },
+    onionKey : "-----BEGIN RSA PUBLIC KEY-----\n" +
+               "MIGJAoGBAMMtLJuZpkVk64K0PgHz0cH5QJ5dGhaHTSdWoWnTWx0L0oX3cyHcvC9y\n" +
+               "WQx1ueG1eCfBqDd8rSxYKrSL2TRdCvqFZqPiE5YDpbcAeBTOHPJkV16vdFxG8pYY\n" +
+               "AgMBAAE=\n" +
+               "-----END RSA PUBLIC KEY-----",
+    signingKey : "-----BEGIN RSA PUBLIC KEY-----\n" +
+                 "MIGJAoGBAL0b6Dq7pPsbzWXvb0pNJp3VdBx1c/7Y+y6kbdM34L2sfIXVqA3sE4KQ\n" +
+                 "AgMBAAE=\n" +
+                 "-----END RSA PUBLIC KEY-----",
+    ntorOnionKey : "lS8Zv8V3hD6SYNfEVzF81DAnQmhpRfKn10HXGY2A7yI",
+    contact : "tor-operator at calyxinstitute dot org",
+    ipv6ExitPolicy : { action : "accept", ports : ["20-23", "43", "53", "79-81", "443"] } });
+});
+
+test("splits desc/all-recent into its server descriptors", function () {
+  let descriptors = info.getParser("desc/all-recent")(fixtures.get("server descriptors"));
+  assert.deepStrictEqual(descriptors.map(function (descriptor) {
+    return [descriptor.nickname, descriptor.fingerprint, descriptor.uptime,
+            descriptor.hibernating, descriptor.exitPolicy.length];
+  }), [["seele", "000A10D43011EA4928A35F610405F92B4433B4DC", 60, true, 1],
+       ["CalyxInstitute14", calyxFingerprint, 1728053, undefined, 2]]);
+  assert.deepStrictEqual(descriptors[0].orAddresses, ["[2600:1700:6a0:2440::46]:9001"]);
+  assert.deepStrictEqual(descriptors[1].family, []);
+});
+
+test("parses a microdescriptor", function () {
+  assert.deepStrictEqual(info.getParser("md/id/" + calyxFingerprint)(
+    fixtures.get("microdescriptor")), {
+    onionKey : onionKey, orAddresses : ["[2620:18c:0:192::e0:201]:443"],
+    family : calyxFamily, ids : { ed25519 : "wcGbFELGKwSd5ga1JEfCppM/cbzWtqrUQlOXMnes83g" },
+    ntorOnionKey : "lS8Zv8V3hD6SYNfEVzF81DAnQmhpRfKn10HXGY2A7yI",
+    exitPolicy : { action : "accept", ports : ["20-23", "43", "53", "79-81", "443"] },
+    ipv6ExitPolicy : { action : "accept", ports : ["20-23", "43", "53", "79-81", "443"] } });
+});
+
+test("splits md/all into its microdescriptors, including those without an RSA key",
+     function () {
+  assert.deepStrictEqual(info.getParser("md/all")(fixtures.get("microdescriptors")), [
+    { onionKey : onionKey, orAddresses : [], family : [],
+      ids : { ed25519 : "wcGbFELGKwSd5ga1JEfCppM/cbzWtqrUQlOXMnes83g" },
+      ntorOnionKey : "lS8Zv8V3hD6SYNfEVzF81DAnQmhpRfKn10HXGY2A7yI",
+      exitPolicy : { action : "accept", ports : ["443"] } },
+    { onionKey : null, orAddresses : [], family : [],
+      ids : { ed25519 : "XLgzB4bDrpyqFZCTxLoK8JnAQ3WDe7jxAAgP8I5pSVU" },
+      ntorOnionKey : "Np8wgQ9dlr1XcbN1lsc+UyfSePlTHq3GzTSMHDXRbgo" }]);
+});
+
+test("reads documents from tor's data blocks", async function () {
+  let tor = await startFakeTor({ info : {
+        "ns/all" : fixtures.get("consensus"),
+        "desc/id/" : fixtures.get("server descriptor"),
+        "md/all" : fixtures.get("microdescriptors") } });
+  try {
+    let [entries, descriptor, microdescriptors] = await tor.controller.getInfoMultiple(
+          ["ns/all", "desc/id/" + calyxFingerprint, "md/all"]);
+    assert.deepStrictEqual(entries.map(function (entry) { return entry.nickname; }),
+                           ["seele", "CalyxInstitute14"]);
+    assert.strictEqual(descriptor.fingerprint, calyxFingerprint);
+    assert.strictEqual(descriptor.exitPolicy.length, 6);
+    assert.strictEqual(microdescriptors.length, 2);
+  } finally {
+    await tor.stop();
+  }
+});
@@ -0,0 +1,330 @@
+// Tests of the event parsers, against the events in fixtures/events.txt as
+// tor sends them.
+
+"use strict";
+
+let test = require("node:test"),
+    assert = require("node:assert"),
+    fs = require("fs"),
+    path = require("path"),
+    { io, event } = require("../controlPort.js");
+
+// __readFixtures(text)__.
+// Splits the fixtures file into a map from section names to reply lines.
+let readFixtures = function (text) {
+  let sections = new Map(),
+      lines = null;
+  for (let line of text.split(/\r?\n/)) {
+    let match = line.match(/^== (.*)$/);
+    if (match) {
+      lines = [];
+      sections.set(match[1], lines);
+    } else if (lines && line !== "" && !line.startsWith("#")) {
+      lines.push(line);
+    }
+  }
+  return sections;
+};
+
+// __replyFromLines(lines)__.
+// Reads reply lines the way the controller does, returning the one reply.
+let replyFromLines = function (lines) {
+  let replies = [],
+      onLine = io.onLineFromOnReply(function (reply) { replies.push(reply); });
+  lines.forEach(onLine);
+  assert.strictEqual(replies.length, 1);
+  return replies[0];
+};
+
+let fixtures = readFixtures(fs.readFileSync(path.join(__dirname, "fixtures", "events.txt"),
+                                            "utf8"));
+
+// What each fixture parses to.
+let expected = {
+  "circ launched" : {
+    id : "1016",
+    status : "LAUNCHED",
+    BUILD_FLAGS : "NEED_CAPACITY",
+    PURPOSE : "GENERAL",
+    TIME_CREATED : "2023-03-14T09:12:51.330466"
+  },
+  "circ built" : {
+    id : "4",
+    status : "BUILT",
+    circuit : [
+      ["$5CECC5C30ACC4B3DE462792323967087CC53D947", "Punani"],
+      ["$3303F7F09C2C9B22BB2A6C1A7D8E39A0CDF2D0C4", "jaures2"],
+      ["$F98C2E9F9F4D2EA3E70C4CC3DA5DA24E74C6D2D0", "chaoscomputerclub28"]
+    ],
+    BUILD_FLAGS : "NEED_CAPACITY",
+    PURPOSE : "GENERAL",
+    TIME_CREATED : "2023-03-14T09:12:51.330466",
+    SOCKS_USERNAME : "example.com",
+    SOCKS_PASSWORD : "4c3b2a1f0e9d8c7b"
+  },
+  "circ closed" : {
+    id : "4",
+    status : "CLOSED",
+    circuit : [["$5CECC5C30ACC4B3DE462792323967087CC53D947", "Punani"]],
+    BUILD_FLAGS : "NEED_CAPACITY",
+    PURPOSE : "GENERAL",
+    TIME_CREATED : "2023-03-14T09:12:51.330466",
+    REASON : "FINISHED"
+  },
+  "circ_minor" : {
+    id : "12",
+    event : "PURPOSE_CHANGED",
+    circuit : [
+      ["$67B2BDA4264D8A189D9270E28B1D30A262838243", "europa1"],
+      ["$A59E1E7C4EAEE083D756EE1FF6EC31CA3D8651D7", "chaoscomputerclub19"]
+    ],
+    BUILD_FLAGS : "IS_INTERNAL,NEED_CAPACITY",
+    PURPOSE : "HS_CLIENT_REND",
+    HS_STATE : "HSCR_JOINED",
+    REND_QUERY : "duckduckgogg42xjoc72x3sjasowoarfbgcmvfimaftt6twagswzczad",
+    TIME_CREATED : "2023-03-14T09:14:02.118843",
+    OLD_PURPOSE : "HS_CLIENT_INTRO",
+    OLD_HS_STATE : "HSCI_DONE"
+  },
+  "stream" : {
+    StreamID : "18",
+    StreamStatus : "SENTCONNECT",
+    CircuitID : "4",
+    Target : "www.example.com:443",
+    SOURCE_ADDR : "127.0.0.1:52780",
+    PURPOSE : "USER",
+    SOCKS_USERNAME : "example.com",
+    SOCKS_PASSWORD : "4c3b2a1f0e9d8c7b",
+    CLIENT_PROTOCOL : "SOCKS5",
+    NYM_EPOCH : "0",
+    SESSION_GROUP : "-4",
+    ISO_FIELDS : "SOCKS_USERNAME,SOCKS_PASSWORD,CLIENTADDR,SESSION_GROUP,NYM_EPOCH"
+  },
+  "stream closed" : {
+    StreamID : "18",
+    StreamStatus : "CLOSED",
+    CircuitID : "4",
+    Target : "93.184.216.34:443",
+    REASON : "DONE"
+  },
+  "orconn" : {
+    Target : "$7ED90E2833EE38A75795BA9237B0A4560E51E1A0~GreenDragon",
+    ORStatus : "CONNECTED",
+    ID : "18"
+  },
+  "orconn closed" : {
+    Target : "$7ED90E2833EE38A75795BA9237B0A4560E51E1A0~GreenDragon",
+    ORStatus : "CLOSED",
+    REASON : "DONE",
+    NCIRCS : "2",
+    ID : "18"
+  },
+  "bw" : { BytesRead : 1532, BytesWritten : 2816 },
+  "stream_bw" : {
+    StreamID : "18",
+    BytesWritten : 2456,
+    BytesRead : 33014,
+    Time : "2023-03-14T09:13:02.114853"
+  },
+  "circ_bw" : {
+    ID : "4",
+    READ : 1018,
+    WRITTEN : 498,
+    TIME : "2023-03-14T09:13:02.115100",
+    DELIVERED_READ : 954,
+    OVERHEAD_READ : 64,
+    DELIVERED_WRITTEN : 0,
+    OVERHEAD_WRITTEN : 498
+  },
+  "conn_bw" : { ID : "18", TYPE : "OR", READ : 1018, WRITTEN : 531 },
+  "status_client" : {
+    Severity : "NOTICE",
+    Action : "BOOTSTRAP",
+    PROGRESS : "100",
+    TAG : "done",
+    SUMMARY : "Done"
+  },
+  "status_client warning" : {
+    Severity : "WARN",
+    Action : "BOOTSTRAP",
+    PROGRESS : "10",
+    TAG : "conn_done",
+    SUMMARY : "Connected to a relay",
+    WARNING : "Connection refused",
+    REASON : "CONNECTREFUSED",
+    COUNT : "3",
+    RECOMMENDATION : "ignore",
+    HOSTID : "7ED90E2833EE38A75795BA9237B0A4560E51E1A0",
+    HOSTADDR : "86.59.21.38:443"
+  },
+  "status_general" : {
+    Severity : "WARN",
+    Action : "CLOCK_SKEW",
+    SKEW : "-3600",
+    SOURCE : "OR:86.59.21.38:443"
+  },
+  "status_server" : {
+    Severity : "NOTICE",
+    Action : "EXTERNAL_ADDRESS",
+    ADDRESS : "203.0.113.7",
+    METHOD : "INTERFACE"
+  },
+  "guard" : {
+    Type : "ENTRY",
+    Name : "$36B5DBA788246E8369DBAF58577C6BC044A9A374~Moria",
+    Status : "NEW"
+  },
+  "hs_desc" : {
+    Action : "RECEIVED",
+    HSAddress : "duckduckgogg42xjoc72x3sjasowoarfbgcmvfimaftt6twagswzczad",
+    AuthType : "NO_AUTH",
+    HsDir : "$67B2BDA4264D8A189D9270E28B1D30A262838243~europa1",
+    DescriptorID : "Hxn3DKmSZ3eIMvhV3E9Ylh5OCKHoRTxuxqOeQnQpEHE",
+    HSDIR_INDEX : "A5C6F2C4C2B3D8E9F0A1B2C3D4E5F60718293A4B5C6D7E8F9012A3B4C5D6E7F8"
+  },
+  "hs_desc failed" : {
+    Action : "FAILED",
+    HSAddress : "duckduckgogg42xjoc72x3sjasowoarfbgcmvfimaftt6twagswzczad",
+    AuthType : "NO_AUTH",
+    HsDir : "$67B2BDA4264D8A189D9270E28B1D30A262838243~europa1",
+    DescriptorID : "Hxn3DKmSZ3eIMvhV3E9Ylh5OCKHoRTxuxqOeQnQpEHE",
+    REASON : "NOT_FOUND"
+  },
+  "hs_desc_content" : {
+    HSAddress : "duckduckgogg42xjoc72x3sjasowoarfbgcmvfimaftt6twagswzczad",
+    DescId : "Hxn3DKmSZ3eIMvhV3E9Ylh5OCKHoRTxuxqOeQnQpEHE",
+    HsDir : "$67B2BDA4264D8A189D9270E28B1D30A262838243~europa1",
+    Descriptor : "hs-descriptor 3\ndescriptor-lifetime 180\nrevision-counter 1518"
+  },
+  "addrmap" : {
+    Address : "www.example.com",
+    NewAddress : "93.184.216.34",
+    Expiry : "2023-03-14 09:43:02",
+    EXPIRES : "2023-03-14 09:43:02",
+    CACHED : "YES",
+    STREAMID : "18"
+  },
+  "newdesc" : {
+    ServerIDs : [
+      "$7ED90E2833EE38A75795BA9237B0A4560E51E1A0~GreenDragon",
+      "$36B5DBA788246E8369DBAF58577C6BC044A9A374~Moria"
+    ]
+  },
+  "descchanged" : {},
+  "newconsensus" : [
+    {
+      orAddresses : [],
+      nickname : "GreenDragon",
+      identity : "ftkOKDPuOKdXlbqSN7CkVg5R4aA",
+      digest : "2P7pHgbVNDaBwZmaRxCRbcsU5EQ",
+      publicationDate : "2023-03-14",
+      publicationTime : "08:32:12",
+      IP : "86.59.21.38",
+      ORPort : "443",
+      DirPort : "0",
+      statusFlags : ["Fast", "Guard", "Running", "Stable", "Valid"],
+      Bandwidth : 9150
+    },
+    {
+      orAddresses : [],
+      nickname : "Moria",
+      identity : "NrXbp4gkboNp269YV3xrwESpo3Q",
+      digest : "ABUcbmPSPfPTnU3fcdBfHg6rGDk",
+      publicationDate : "2023-03-14",
+      publicationTime : "07:56:41",
+      IP : "128.31.0.34",
+      ORPort : "9101",
+      DirPort : "9131",
+      statusFlags : ["Authority", "Fast", "Running", "V2Dir", "Valid"],
+      Bandwidth : 20
+    }
+  ],
+  "ns" : [
+    {
+      orAddresses : [],
+      nickname : "GreenDragon",
+      identity : "ftkOKDPuOKdXlbqSN7CkVg5R4aA",
+      digest : "2P7pHgbVNDaBwZmaRxCRbcsU5EQ",
+      publicationDate : "2023-03-14",
+      publicationTime : "08:32:12",
+      IP : "86.59.21.38",
+      ORPort : "443",
+      DirPort : "0",
+      statusFlags : ["Fast", "Guard", "Running", "Stable", "Valid"]
+    }
+  ],
+  "conf_changed" : {
+    SocksPort : "9150",
+    ExitNodes : null,
+    Bridge : [
+      "obfs4 192.0.2.3:443 0123456789ABCDEF0123456789ABCDEF01234567 cert=abc iat-mode=0",
+      "obfs4 192.0.2.4:443 89ABCDEF0123456789ABCDEF0123456789ABCDEF cert=def iat-mode=0"
+    ]
+  },
+  "signal" : { Signal : "NEWNYM" },
+  "buildtimeout_set" : {
+    SetType : "COMPUTED",
+    TOTAL_TIMES : "1000",
+    TIMEOUT_MS : "1500",
+    XM : "875",
+    ALPHA : "1.968180",
+    CUTOFF_QUANTILE : "0.800000",
+    TIMEOUT_RATE : "0.021127",
+    CLOSE_MS : "60000",
+    CLOSE_RATE : "0.000000"
+  },
+  "clients_seen" : {
+    TimeStarted : "2023-03-13 09:00:00",
+    CountrySummary : "us=16,de=8,gb=8",
+    IPVersions : "v4=16,v6=40"
+  },
+  "network_liveness" : { Status : "UP" },
+  "transport_launched" : { Type : "client", Name : "obfs4", Address : "127.0.0.1", Port : "41255" },
+  "pt_log" : {
+    PT : "/usr/bin/obfs4proxy",
+    SEVERITY : "notice",
+    MESSAGE : "Connected to bridge 192.0.2.3:443"
+  },
+  "pt_status" : { PT : "/usr/bin/obfs4proxy", TRANSPORT : "obfs4", CONNECT : "Success" },
+  "debug" : {
+    Severity : "DEBUG",
+    Message : "conn_write_callback(): socket 12 wants to write."
+  },
+  "info" : {
+    Severity : "INFO",
+    Message : "circuit_finish_handshake(): Finished building circuit hop:"
+  },
+  "notice" : { Severity : "NOTICE", Message : "Bootstrapped 100% (done): Done" },
+  "warn" : {
+    Severity : "WARN",
+    Message : "Problem bootstrapping. Stuck at 10% (conn_done): Connected to a relay. (Connection refused; CONNECTREFUSED; count 3; recommendation ignore; host 7ED90E2833EE38A75795BA9237B0A4560E51E1A0 at 86.59.21.38:443)"
+  },
+  "warn multi-line" : {
+    Severity : "WARN",
+    Message : "Your system clock just jumped 3600 seconds forward;\nassuming established circuits no longer work."
+  },
+  "err" : { Severity : "ERR", Message : "Reading config failed--see warnings above." }
+};
+
+for (let [name, lines] of fixtures) {
+  test("parses " + name, function () {
+    let type = lines[0].match(/^650[ +-](\S+)/)[1];
+    assert.deepStrictEqual(event.messageToData(type, replyFromLines(lines)), expected[name]);
+  });
+}
+
+test("every event parser has a fixture", function () {
+  let types = new Set(Array.from(fixtures.values()).map(function (lines) {
+    return lines[0].match(/^650[ +-](\S+)/)[1].toLowerCase();
+  }));
+  for (let type of Object.keys(event.parsers)) {
+    assert.ok(types.has(type), "no fixture for " + type);
+  }
+  assert.deepStrictEqual(Object.keys(expected).sort(), Array.from(fixtures.keys()).sort());
+});
+
+test("events without a parser come back as text and body", function () {
+  assert.deepStrictEqual(event.messageToData("FUTURE_EVENT",
+                                             replyFromLines(["650 FUTURE_EVENT a b=c"])),
+                         { text : "a b=c", body : null });
+});
@@ -0,0 +1,52 @@
+// Helpers shared by the tests, which run with `npm test` (node --test).
+
+"use strict";
+
+let { controller } = require("../controlPort.js"),
+    { fakeControlPort } = require("../fakeControlPort.js");
+
+// __wait(ms)__.
+// Returns a promise that resolves after ms milliseconds.
+let wait = function (ms) {
+  return new Promise(function (resolve) { setTimeout(resolve, ms); });
+};
+
+// __waitFor(test, timeout)__.
+// Returns a promise that resolves once test() returns true, checking every
+// few milliseconds, or rejects after timeout milliseconds (default 2000).
+let waitFor = function (test, timeout) {
+  let deadline = Date.now() + (timeout || 2000);
+  return new Promise(function (resolve, reject) {
+    let check = function () {
+      if (test()) {
+        resolve();
+      } else if (Date.now() > deadline) {
+        reject(new Error("timed out waiting for " + test));
+      } else {
+        setTimeout(check, 5);
+      }
+    };
+    check();
+  });
+};
+
+// __startFakeTor(serverOptions, controllerOptions)__.
+// Starts a fake tor with serverOptions, and a controller for it with
+// controllerOptions. Returns a promise for `{ server, controller, errors,
+// stop() }`, where errors collects what the controller reports to onError.
+let startFakeTor = function (serverOptions, controllerOptions) {
+  let server = fakeControlPort(serverOptions);
+  return server.listen().then(function ([host, port]) {
+    let errors = [],
+        aController = controller(host, port, controllerOptions || null,
+                                 function (error) { errors.push(error); });
+    return { server : server, host : host, port : port,
+             controller : aController, errors : errors,
+             stop : function () {
+               aController.close();
+               return server.close();
+             } };
+  });
+};
+
+module.exports = { wait, waitFor, startFakeTor };
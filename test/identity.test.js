@@ -0,0 +1,44 @@
+// Tests of new identities (SIGNAL NEWNYM) against the fake ControlPort.
+
+"use strict";
+
+let test = require("node:test"),
+    assert = require("node:assert"),
+    { identity } = require("../controlPort.js"),
+    { startFakeTor } = require("./helpers.js");
+
+test("resolves once tor confirms the new identity", async function () {
+  let tor = await startFakeTor();
+  try {
+    assert.deepStrictEqual(await tor.controller.newIdentity(),
+                           { rateLimited : false, confirmed : true });
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("reports how long tor delays a rate-limited new identity", async function () {
+  let tor = await startFakeTor({ newnymInterval : 5000 });
+  try {
+    await tor.controller.newIdentity();
+    assert.deepStrictEqual(await tor.controller.newIdentity(),
+                           { rateLimited : true, confirmed : true, delay : 5 });
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("resolves as unconfirmed if tor reports neither switching nor a delay",
+     async function () {
+  let tor = await startFakeTor(),
+      rateLimitTimeout = identity.rateLimitTimeout;
+  identity.rateLimitTimeout = 50;
+  try {
+    tor.server.rule(/^signal newnym/i, "250 OK");
+    assert.deepStrictEqual(await tor.controller.newIdentity(),
+                           { rateLimited : false, confirmed : false });
+  } finally {
+    identity.rateLimitTimeout = rateLimitTimeout;
+    await tor.stop();
+  }
+});
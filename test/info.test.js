@@ -0,0 +1,105 @@
+// Tests of GETINFO key parsing.
+
+"use strict";
+
+let test = require("node:test"),
+    assert = require("node:assert"),
+    { info } = require("../controlPort.js");
+
+test("getParser finds the parser of a key or of its longest prefix", function () {
+  assert.strictEqual(info.getParser("version"), info.parsers.version);
+  assert.strictEqual(info.getParser("ns/id/20BC91DC525C3DC9974B29FBEAB51230DE024C44"),
+                     info.parsers["ns/id/"]);
+  assert.strictEqual(info.getParser("ip-to-country/1.2.3.4"), info.parsers["ip-to-country/"]);
+});
+
+test("getParser returns \"unknown\" for keys without a parser", function () {
+  for (let key of ["", "bogus", "bogus/x/y", "/", "/x", "//", "/ns/id/x", "x/",
+                   "constructor", "toString", "__proto__", "hasOwnProperty",
+                   "constructor/x", "bogus/toString"]) {
+    assert.strictEqual(info.getParser(key), "unknown", JSON.stringify(key));
+  }
+});
+
+let guard1 = "A1B2C3D4E5F60718293A4B5C6D7E8F9011223344",
+    guard2 = "B1B2C3D4E5F60718293A4B5C6D7E8F9011223344";
+
+// GETINFO values as tor sends them (after the data block is unstuffed), and
+// what their keys' parsers make of them.
+let parserCases = [
+  ["config/names", "SocksPort LineList\nBridge LineList\nUseBridges Boolean",
+   [{ name : "SocksPort", type : "LineList" }, { name : "Bridge", type : "LineList" },
+    { name : "UseBridges", type : "Boolean" }]],
+  ["events/names", "CIRC STREAM ORCONN", ["CIRC", "STREAM", "ORCONN"]],
+  ["dormant", "0", false],
+  ["traffic/read", "123456", 123456],
+  ["traffic/written", "0", 0],
+  ["net/listeners/socks", "\"127.0.0.1:9150\" \"unix:/run/tor/socks\"",
+   ["127.0.0.1:9150", "unix:/run/tor/socks"]],
+  ["entry-guards", "$" + guard1 + "~relay1 up\n$" + guard2 + "=relay2 down 2024-01-01 12:00:00",
+   [{ id : guard1, name : "relay1", status : "up", since : null },
+    { id : guard2, name : "relay2", status : "down", since : "2024-01-01 12:00:00" }]],
+  ["orconn-status", "$" + guard1 + "~relay1 CONNECTED\n$" + guard2 + "~relay2 LAUNCHED",
+   [{ Target : "$" + guard1 + "~relay1", ORStatus : "CONNECTED" },
+    { Target : "$" + guard2 + "~relay2", ORStatus : "LAUNCHED" }]],
+  ["address-mappings/all",
+   "example.com 93.184.216.34 \"2024-01-01 12:00:00\" EXPIRES=\"2024-01-01 11:00:00\" " +
+   "CACHED=\"NO\"\nwww.torproject.org 95.216.163.36 NEVER CACHED=\"YES\"",
+   [{ Address : "example.com", NewAddress : "93.184.216.34", Expiry : "2024-01-01 12:00:00",
+      EXPIRES : "2024-01-01 11:00:00", CACHED : "NO" },
+    { Address : "www.torproject.org", NewAddress : "95.216.163.36", Expiry : "NEVER",
+      CACHED : "YES" }]],
+  ["onions/current", "abcdefghij234567abcdefghij234567abcdefghij234567abcdefgh\n" +
+                     "bcdefghij234567abcdefghij234567abcdefghij234567abcdefghi",
+   ["abcdefghij234567abcdefghij234567abcdefghij234567abcdefgh",
+    "bcdefghij234567abcdefghij234567abcdefghij234567abcdefghi"]],
+  ["status/bootstrap-phase", "NOTICE BOOTSTRAP PROGRESS=100 TAG=done SUMMARY=\"Done\"",
+   { Severity : "NOTICE", Action : "BOOTSTRAP", PROGRESS : "100", TAG : "done",
+     SUMMARY : "Done" }],
+  ["status/circuit-established", "1", true],
+  ["status/enough-dir-info", "0", false],
+  ["status/reachability-succeeded", "OR=1 DIR=0", { OR : true, DIR : false }],
+  ["status/version/recommended", "0.4.7.16,0.4.8.9", ["0.4.7.16", "0.4.8.9"]],
+  ["status/clients-seen",
+   "TimeStarted=\"2024-01-01 00:00:00\" CountrySummary=us=16,de=8 IPVersions=v4=16,v6=8",
+   { TimeStarted : "2024-01-01 00:00:00", CountrySummary : "us=16,de=8",
+     IPVersions : "v4=16,v6=8" }],
+  ["status/version/current", "recommended", "recommended"],
+  ["accounting/enabled", "1", true],
+  ["accounting/bytes", "1024 2048", { read : 1024, written : 2048 }],
+  ["accounting/bytes-left", "4096 8192", { read : 4096, written : 8192 }],
+  ["accounting/hibernating", "awake", "awake"],
+  ["address", "1.2.3.4", "1.2.3.4"],
+  ["fingerprint", guard1, guard1],
+  ["ns/purpose/bridge",
+   "r bridge1 obLT2ZxYi6ba8y/QVc5xsTH6gBo Kg5wCaEgPdLY7Qjdc5LCLDeTH5c 2024-01-01 12:00:00 " +
+   "10.0.0.1 443 0\ns Fast Running Stable Valid\n" +
+   "r bridge2 x+UG1uLpGsgvBdVK8sBMLPcZ/8Y +Ycy6l8E9r0pJxC04Klg8QubRVg 2024-01-01 13:00:00 " +
+   "10.0.0.2 9001 0\ns Running Valid",
+   [{ orAddresses : [], nickname : "bridge1", identity : "obLT2ZxYi6ba8y/QVc5xsTH6gBo",
+      digest : "Kg5wCaEgPdLY7Qjdc5LCLDeTH5c", publicationDate : "2024-01-01",
+      publicationTime : "12:00:00", IP : "10.0.0.1", ORPort : "443", DirPort : "0",
+      statusFlags : ["Fast", "Running", "Stable", "Valid"] },
+    { orAddresses : [], nickname : "bridge2", identity : "x+UG1uLpGsgvBdVK8sBMLPcZ/8Y",
+      digest : "+Ycy6l8E9r0pJxC04Klg8QubRVg", publicationDate : "2024-01-01",
+      publicationTime : "13:00:00", IP : "10.0.0.2", ORPort : "9001", DirPort : "0",
+      statusFlags : ["Running", "Valid"] }]]
+];
+
+test("parses the values of GETINFO keys", function () {
+  for (let [key, value, expected] of parserCases) {
+    assert.deepStrictEqual(info.getParser(key)(value), expected, key);
+  }
+});
+
+test("registerParser adds parsers for keys and prefixes", function () {
+  let parser = function (text) { return text.split(":"); };
+  info.registerParser("test-only/", parser);
+  try {
+    assert.strictEqual(info.getParser("test-only/a/b"), parser);
+    assert.throws(function () { info.registerParser("test-only/x", "not a function"); },
+                  /expects a key string and a parser function/);
+  } finally {
+    delete info.parsers["test-only/"];
+  }
+});
@@ -0,0 +1,179 @@
+// Tests of reading tor's replies: splitting socket data into lines and lines
+// into replies, however the data arrives.
+
+"use strict";
+
+let test = require("node:test"),
+    assert = require("node:assert"),
+    { io } = require("../controlPort.js");
+
+// __readReplies(chunks)__.
+// Feeds chunks of socket data through io.onDataFromOnLine and
+// io.onLineFromOnReply, and returns the replies read.
+let readReplies = function (chunks) {
+  let replies = [],
+      onData = io.onDataFromOnLine(io.onLineFromOnReply(function (reply) {
+        replies.push(reply);
+      }));
+  for (let chunk of chunks) {
+    onData(chunk);
+  }
+  return replies;
+};
+
+// A session with mid-reply lines, data blocks with dot-stuffed lines and
+// lines that look like the end of a reply, an empty data block and events.
+let session = [
+  "250-version=0.4.8.9",
+  "250+config-text=",
+  "ControlPort 9151",
+  "250 OK",
+  "..hidden",
+  "...",
+  "..",
+  ".",
+  "250+onions/current=",
+  ".",
+  "250 OK",
+  "650 CIRC 5 BUILT $A~a,$B~b",
+  "650+NS",
+  "r relay1 AAAA BBBB 2014-10-29 16:00:00 1.2.3.4 9001 0",
+  ".",
+  "650 OK",
+  "552 Unrecognized key \"x\"",
+  ""
+].join("\r\n");
+
+let expected = [
+  { status : 250,
+    lines : [{ type : "-", text : "version=0.4.8.9", data : null },
+             { type : "+", text : "config-text=",
+               data : "ControlPort 9151\n250 OK\n.hidden\n..\n." },
+             { type : "+", text : "onions/current=", data : "" },
+             { type : " ", text : "OK", data : null }] },
+  { status : 650,
+    lines : [{ type : " ", text : "CIRC 5 BUILT $A~a,$B~b", data : null }] },
+  { status : 650,
+    lines : [{ type : "+", text : "NS",
+               data : "r relay1 AAAA BBBB 2014-10-29 16:00:00 1.2.3.4 9001 0" },
+             { type : " ", text : "OK", data : null }] },
+  { status : 552,
+    lines : [{ type : " ", text : "Unrecognized key \"x\"", data : null }] }
+];
+
+test("reads a session sent in one piece", function () {
+  assert.deepStrictEqual(readReplies([session]), expected);
+});
+
+test("reads a session split at every possible position", function () {
+  for (let i = 0; i <= session.length; ++i) {
+    assert.deepStrictEqual(readReplies([session.substring(0, i), session.substring(i)]),
+                           expected, "split at " + i);
+  }
+});
+
+test("reads a session split in three at CRLFs and dots", function () {
+  for (let i = 0; i < session.length; ++i) {
+    if ("\r\n.".indexOf(session[i]) === -1) {
+      continue;
+    }
+    for (let j of [i + 1, i + 2, i + 3]) {
+      assert.deepStrictEqual(readReplies([session.substring(0, i), session.substring(i, j),
+                                          session.substring(j)]),
+                             expected, "split at " + i + " and " + j);
+    }
+  }
+});
+
+test("reads a session arriving one character at a time", function () {
+  assert.deepStrictEqual(readReplies(session.split("")), expected);
+});
+
+test("holds back an unfinished line until its CRLF arrives", function () {
+  assert.deepStrictEqual(readReplies(["250 O", "K\r"]), []);
+  assert.deepStrictEqual(readReplies(["250 O", "K\r", "\n"]),
+                         [{ status : 250, lines : [{ type : " ", text : "OK", data : null }] }]);
+});
+
+test("holds back a reply until its final line", function () {
+  assert.deepStrictEqual(readReplies(["250-a=1\r\n250+b=\r\nx\r\n.\r\n"]), []);
+});
+
+test("throws on a malformed reply line", function () {
+  let onLine = io.onLineFromOnReply(function () { });
+  assert.throws(function () { onLine("25 OK"); }, /malformed reply line/);
+  assert.throws(function () { onLine("250_OK"); }, /malformed reply line/);
+});
+
+test("keeps reading after a reply callback throws", function () {
+  let replies = [],
+      onLine = io.onLineFromOnReply(function (reply) {
+        replies.push(reply);
+        if (replies.length === 1) {
+          throw new Error("callback failed");
+        }
+      });
+  onLine("250-a=1");
+  assert.throws(function () { onLine("250 OK"); }, /callback failed/);
+  onLine("250 OK");
+  assert.deepStrictEqual(replies[1], { status : 250,
+                                       lines : [{ type : " ", text : "OK", data : null }] });
+});
+
+// __fakeSendCommand()__.
+// A sendCommand for io.eventSubscriptions that records the commands and
+// leaves them pending until the test settles them.
+let fakeSendCommand = function () {
+  let sent = [],
+      sendCommand = function (command) {
+        return new Promise(function (resolve, reject) {
+          sent.push({ command : command, resolve : resolve, reject : reject });
+        });
+      };
+  sendCommand.sent = sent;
+  return sendCommand;
+};
+
+// __settle()__.
+// Returns a promise that resolves once pending promise callbacks have run.
+let settle = function () {
+  return new Promise(function (resolve) { setImmediate(resolve); });
+};
+
+test("eventSubscriptions sends SETEVENTS only when the set changes", async function () {
+  let sendCommand = fakeSendCommand(),
+      subscriptions = io.eventSubscriptions(sendCommand),
+      first = subscriptions.subscribe("circ"),
+      second = subscriptions.subscribe("CIRC");
+  await settle();
+  assert.deepStrictEqual(sendCommand.sent.map(function (s) { return s.command; }),
+                         ["setevents CIRC"]);
+  sendCommand.sent[0].resolve();
+  await Promise.all([first, second]);
+  subscriptions.unsubscribe("CIRC");
+  subscriptions.unsubscribe("CIRC");
+  await settle();
+  assert.strictEqual(sendCommand.sent.length, 2);
+  assert.strictEqual(sendCommand.sent[1].command, "setevents");
+});
+
+test("eventSubscriptions takes back every subscription to a set tor refused", async function () {
+  let sendCommand = fakeSendCommand(),
+      subscriptions = io.eventSubscriptions(sendCommand),
+      results = [subscriptions.subscribe("CIRC"), subscriptions.subscribe("CIRC")].map(
+        function (promise) { return promise.then(function () { return "ok"; }, function (error) {
+          return error.message;
+        }); });
+  await settle();
+  sendCommand.sent[0].reject(new Error("552 Unrecognized event"));
+  assert.deepStrictEqual(await Promise.all(results),
+                         ["552 Unrecognized event", "552 Unrecognized event"]);
+  // Nothing is left subscribed, so the next subscriber asks tor again.
+  subscriptions.subscribe("CIRC");
+  await settle();
+  assert.strictEqual(sendCommand.sent[1].command, "setevents CIRC");
+  sendCommand.sent[1].resolve();
+  subscriptions.resubscribe();
+  await settle();
+  assert.strictEqual(sendCommand.sent[2].command, "setevents CIRC");
+});
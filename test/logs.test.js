@@ -0,0 +1,152 @@
+// Tests of the log monitor, including the merging of repeated warnings,
+// against the fake ControlPort.
+
+"use strict";
+
+let test = require("node:test"),
+    assert = require("node:assert"),
+    { wait, waitFor, startFakeTor } = require("./helpers.js");
+
+// __summary(entries)__.
+// The severity, message and count of each log entry.
+let summary = function (entries) {
+  return entries.map(function ({ severity, message, count }) {
+    return [severity, message, count];
+  });
+};
+
+test("keeps messages of minSeverity and above, merging repeated warnings",
+     async function () {
+  let tor = await startFakeTor(),
+      monitor = tor.controller.logMonitor();
+  try {
+    await monitor.ready;
+    assert.deepStrictEqual(tor.server.commands.filter(function (command) {
+      return /^setevents/i.test(command);
+    }).pop().split(" ").slice(1).sort(), ["ERR", "NOTICE", "WARN"]);
+    tor.server.emit("650 NOTICE Bootstrapped 100% (done): Done");
+    tor.server.emit("650 WARN Clock skew detected");
+    tor.server.emit("650 NOTICE Bootstrapped 100% (done): Done");
+    tor.server.emit("650 ERR Out of memory");
+    tor.server.emit("650 WARN Clock skew detected");
+    tor.server.emit(["650+WARN", "Your system clock just jumped", "forward.", ".", "650 OK"]);
+    await waitFor(function () { return monitor.find().length === 5; });
+    assert.deepStrictEqual(summary(monitor.find()), [
+      ["NOTICE", "Bootstrapped 100% (done): Done", 1],
+      ["NOTICE", "Bootstrapped 100% (done): Done", 1],
+      ["ERR", "Out of memory", 1],
+      ["WARN", "Clock skew detected", 2],
+      ["WARN", "Your system clock just jumped\nforward.", 1]]);
+    let merged = monitor.find()[3];
+    assert.ok(merged.lastTime >= merged.time);
+  } finally {
+    await monitor.stop();
+    await tor.stop();
+  }
+});
+
+test("keeps at most maxEntries, dropping the oldest", async function () {
+  let tor = await startFakeTor(),
+      monitor = tor.controller.logMonitor({ minSeverity : "info", maxEntries : 2 });
+  try {
+    await monitor.ready;
+    for (let message of ["one", "two", "three"]) {
+      tor.server.emit("650 INFO " + message);
+    }
+    tor.server.emit("650 DEBUG too detailed");
+    await waitFor(function () {
+      return monitor.find().some(function ({ message }) { return message === "three"; });
+    });
+    await wait(20);
+    assert.deepStrictEqual(summary(monitor.find()), [["INFO", "two", 1], ["INFO", "three", 1]]);
+    monitor.clear();
+    assert.deepStrictEqual(monitor.find(), []);
+  } finally {
+    await monitor.stop();
+    await tor.stop();
+  }
+});
+
+test("finds entries by severity and time", async function () {
+  let tor = await startFakeTor(),
+      monitor = tor.controller.logMonitor();
+  try {
+    await monitor.ready;
+    tor.server.emit("650 WARN early warning");
+    tor.server.emit("650 NOTICE early notice");
+    await waitFor(function () { return monitor.find().length === 2; });
+    await wait(20);
+    let middle = Date.now();
+    await wait(20);
+    tor.server.emit("650 ERR late error");
+    await waitFor(function () { return monitor.find().length === 3; });
+    assert.deepStrictEqual(monitor.find({ minSeverity : "warn" }).map(function ({ message }) {
+      return message;
+    }), ["early warning", "late error"]);
+    assert.deepStrictEqual(monitor.find({ since : middle }).map(function ({ message }) {
+      return message;
+    }), ["late error"]);
+    assert.deepStrictEqual(monitor.find({ until : middle }).map(function ({ message }) {
+      return message;
+    }), ["early warning", "early notice"]);
+    // A warning repeated later counts as seen since then.
+    tor.server.emit("650 WARN early warning");
+    await waitFor(function () { return monitor.find({ since : middle }).length === 2; });
+    assert.throws(function () { monitor.find({ minSeverity : "LOUD" }); },
+                  /unknown log severity: LOUD/);
+  } finally {
+    await monitor.stop();
+    await tor.stop();
+  }
+});
+
+test("passes copies of new and merged entries to listeners", async function () {
+  let tor = await startFakeTor(),
+      monitor = tor.controller.logMonitor({ minSeverity : "WARN" }),
+      heard = [];
+  try {
+    await monitor.ready;
+    let removeListener = monitor.addListener(function (entry) {
+      heard.push(entry);
+      entry.count = 100;
+    });
+    tor.server.emit("650 WARN Clock skew detected");
+    tor.server.emit("650 WARN Clock skew detected");
+    await waitFor(function () { return heard.length === 2; });
+    assert.deepStrictEqual(summary(heard), [["WARN", "Clock skew detected", 100],
+                                            ["WARN", "Clock skew detected", 100]]);
+    assert.strictEqual(monitor.find()[0].count, 2);
+    removeListener();
+    tor.server.emit("650 ERR Out of memory");
+    await waitFor(function () { return monitor.find().length === 2; });
+    assert.strictEqual(heard.length, 2);
+  } finally {
+    await monitor.stop();
+    await tor.stop();
+  }
+});
+
+test("refuses an unknown minSeverity", async function () {
+  let tor = await startFakeTor();
+  try {
+    assert.throws(function () { tor.controller.logMonitor({ minSeverity : "LOUD" }); },
+                  /unknown log severity/);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("reports a failed subscription to onError and rejects ready", async function () {
+  let tor = await startFakeTor({ info : { "events/names" : "NOTICE WARN CIRC" } }),
+      monitor = tor.controller.logMonitor();
+  try {
+    await assert.rejects(monitor.ready, /unknown event type: ERR/);
+    await waitFor(function () { return tor.errors.length > 0; });
+    assert.ok(tor.errors.every(function (error) {
+      return /unknown event type: ERR/.test(error.message);
+    }));
+  } finally {
+    await monitor.stop();
+    await tor.stop();
+  }
+});
@@ -0,0 +1,166 @@
+// Tests of the onion service commands against the fake ControlPort.
+
+"use strict";
+
+let test = require("node:test"),
+    assert = require("node:assert"),
+    { waitFor, startFakeTor } = require("./helpers.js");
+
+// __sent(server, regex)__.
+// The commands the server received that match regex.
+let sent = function (server, regex) {
+  return server.commands.filter(function (command) { return regex.test(command); });
+};
+
+let address = "sp3k262uwy4r2k3ycr5awluarykdpag6a7y33jxop4cs2lu5uz5sseqd",
+    clientKey = "2HRBGTXZTL6LNF5JW2PTY4A3YCMEF5UQSMKKXNKLSXKW2EQXXOQA",
+    clientPublicKey = "K2NMZPWDAZVB6FBX3GYW6RJDPL6CGMEXY2F5IXFZ6ZFPA4OMD5TQ";
+
+test("addOnion starts a service with a new key", async function () {
+  let tor = await startFakeTor();
+  try {
+    let { serviceId, privateKey } = await tor.controller.addOnion({
+          ports : [80, "443,127.0.0.1:8443", { virtualPort : 8080, target : "unix:/tmp/s" }],
+          maxStreams : 10 });
+    assert.match(serviceId, /^[a-z2-7]{56}$/);
+    assert.match(privateKey, /^ED25519-V3:[A-Za-z0-9+\/]+=*$/);
+    assert.ok(tor.server.onions.has(serviceId));
+    assert.deepStrictEqual(sent(tor.server, /^add_onion/i),
+                           ["add_onion NEW:ED25519-V3 MaxStreams=10 Port=80 " +
+                            "Port=443,127.0.0.1:8443 Port=8080,unix:/tmp/s"]);
+    // Restarting the service from its key gives the same address, without
+    // tor sending the key back.
+    await tor.controller.delOnion(serviceId + ".onion");
+    assert.ok(!tor.server.onions.has(serviceId));
+    assert.deepStrictEqual(await tor.controller.addOnion({ ports : [80],
+                                                           privateKey : privateKey }),
+                           { serviceId : serviceId, privateKey : null });
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("addOnion passes flags and client authorization keys", async function () {
+  let tor = await startFakeTor();
+  try {
+    let { serviceId, privateKey } = await tor.controller.addOnion({
+          ports : [80], flags : ["Detach", "DiscardPK"], clientAuthV3 : [clientPublicKey] });
+    assert.strictEqual(privateKey, null);
+    assert.deepStrictEqual(tor.server.onions.get(serviceId).flags,
+                           ["Detach", "DiscardPK", "V3Auth"]);
+    assert.deepStrictEqual(sent(tor.server, /^add_onion/i),
+                           ["add_onion NEW:ED25519-V3 Flags=Detach,DiscardPK,V3Auth Port=80 " +
+                            "ClientAuthV3=" + clientPublicKey]);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("addOnion refuses bad options without sending anything", async function () {
+  let tor = await startFakeTor();
+  try {
+    let attempts = [
+      [{}, /needs at least one port/],
+      [{ ports : [80], flags : ["Detach", "Persistent"] }, /invalid onion service flag/],
+      [{ ports : ["80 Flags=Detach"] }, /invalid onion service port/],
+      [{ ports : ["80,127.0.0.1:8080\r\nSIGNAL HALT"] }, /invalid onion service port/],
+      [{ ports : [80], privateKey : "RSA1024:abc" }, /invalid onion service key/],
+      [{ ports : [80], maxStreams : "ten" }, /invalid MaxStreams/],
+      [{ ports : [80], clientAuthV3 : ["not a key"] }, /invalid client public key/]];
+    for (let [options, expected] of attempts) {
+      await assert.rejects(tor.controller.addOnion(options), expected);
+    }
+    assert.deepStrictEqual(sent(tor.server, /^add_onion/i), []);
+    await assert.rejects(tor.controller.delOnion("example.onion"), /invalid onion service ID/);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("addOnion waits for the descriptor upload when asked to", async function () {
+  let tor = await startFakeTor({ uploadDelay : 30 });
+  try {
+    let started = Date.now(),
+        { serviceId } = await tor.controller.addOnion({ ports : [80], waitForUpload : true });
+    assert.ok(Date.now() - started >= 25);
+    assert.ok(tor.server.onions.has(serviceId));
+    await assert.rejects(tor.controller.addOnion({ ports : [80], waitForUpload : 5 }),
+                         /onion service descriptor not uploaded/);
+    // Nothing is left watching HS_DESC.
+    await waitFor(function () {
+      return tor.server.commands[tor.server.commands.length - 1] === "setevents";
+    });
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("waitForOnionUpload resolves with the next upload of a service", async function () {
+  let tor = await startFakeTor({ uploadDelay : 30 });
+  try {
+    let { serviceId } = await tor.controller.addOnion({ ports : [80] }),
+        data = await tor.controller.waitForOnionUpload(serviceId, 1000);
+    assert.deepStrictEqual([data.Action, data.HSAddress], ["UPLOADED", serviceId]);
+    await assert.rejects(tor.controller.waitForOnionUpload(address, 20),
+                         /onion service descriptor not uploaded: sp3k/);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("delOnion rejects with tor's error for an unknown service", async function () {
+  let tor = await startFakeTor();
+  try {
+    await assert.rejects(tor.controller.delOnion(address), /552 Unknown Onion Service id/);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("adds, lists and removes client authorization keys", async function () {
+  let tor = await startFakeTor();
+  try {
+    assert.strictEqual(await tor.controller.onionClientAuthAdd(address + ".onion", clientKey,
+                                                               { clientName : "alice",
+                                                                 permanent : true }), 250);
+    assert.strictEqual(await tor.controller.onionClientAuthAdd(address,
+                                                               "x25519:" + clientKey,
+                                                               { clientName : "alice" }), 251);
+    assert.deepStrictEqual(sent(tor.server, /^onion_client_auth_add/i),
+                           ["onion_client_auth_add " + address + " x25519:" + clientKey +
+                            " ClientName=alice Flags=Permanent",
+                            "onion_client_auth_add " + address + " x25519:" + clientKey +
+                            " ClientName=alice"]);
+    assert.deepStrictEqual(await tor.controller.onionClientAuthView(),
+                           [{ address : address, privateKey : "x25519:" + clientKey,
+                              clientName : "alice", flags : [] }]);
+    assert.deepStrictEqual(await tor.controller.onionClientAuthView(address),
+                           await tor.controller.onionClientAuthView());
+    assert.strictEqual(await tor.controller.onionClientAuthRemove(address), 250);
+    assert.strictEqual(await tor.controller.onionClientAuthRemove(address), 251);
+    assert.deepStrictEqual(await tor.controller.onionClientAuthView(), []);
+    await assert.rejects(tor.controller.onionClientAuthAdd(address, "x25519:" + clientKey,
+                                                           { clientName : "alice bob" }),
+                         /invalid client name/);
+    await assert.rejects(tor.controller.onionClientAuthAdd(address, "secret"),
+                         /invalid client private key/);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("hsFetch asks for a descriptor, optionally from given HSDirs", async function () {
+  let tor = await startFakeTor();
+  try {
+    await tor.controller.hsFetch(address);
+    await tor.controller.hsFetch(address + ".onion", ["$" + "A".repeat(40), "hsdir2"]);
+    await assert.rejects(tor.controller.hsFetch(address, ["hsdir2 SERVER=x"]),
+                         /invalid HSDir server/);
+    assert.deepStrictEqual(sent(tor.server, /^hsfetch/i),
+                           ["hsfetch " + address,
+                            "hsfetch " + address + " SERVER=$" + "A".repeat(40) +
+                            " SERVER=hsdir2"]);
+  } finally {
+    await tor.stop();
+  }
+});
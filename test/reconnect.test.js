@@ -0,0 +1,198 @@
+// Tests of how the control socket survives losing its connection to tor.
+
+"use strict";
+
+let test = require("node:test"),
+    assert = require("node:assert"),
+    net = require("net"),
+    { io } = require("../controlPort.js"),
+    { fakeControlPort } = require("../fakeControlPort.js"),
+    { wait, waitFor } = require("./helpers.js");
+
+// __openSocket(serverOptions, reconnect)__.
+// Starts a fake tor and an io.controlSocket for it that reconnects with the
+// given options. Returns a promise for `{ server, socket, states, errors, stop() }`.
+let openSocket = function (serverOptions, reconnect) {
+  let server = fakeControlPort(serverOptions);
+  return server.listen().then(function ([host, port]) {
+    let states = [],
+        errors = [],
+        socket = io.controlSocket(host, port, { reconnect : reconnect },
+                                  function (error) { errors.push(error); });
+    socket.addStateListener(function (state) { states.push(state); });
+    return { server : server, socket : socket, states : states, errors : errors,
+             stop : function () {
+               socket.close();
+               return server.close();
+             } };
+  });
+};
+
+test("backoffDelay doubles up to maxDelay, with jitter", function () {
+  let options = { initialDelay : 100, maxDelay : 1000 };
+  for (let attempt = 0; attempt < 8; ++attempt) {
+    let full = Math.min(1000, 100 * Math.pow(2, attempt)),
+        delay = io.backoffDelay(attempt, options);
+    assert.ok(delay >= full / 2 && delay <= full, attempt + ": " + delay);
+  }
+});
+
+test("reconnectOptions fills in defaults, or turns reconnection off", function () {
+  assert.strictEqual(io.reconnectOptions(false), null);
+  assert.deepStrictEqual(io.reconnectOptions(undefined), io.defaultReconnectOptions);
+  assert.deepStrictEqual(io.reconnectOptions({ maxAttempts : 3 }),
+                         { initialDelay : 500, maxDelay : 30000, maxAttempts : 3,
+                           holdTimeout : 60000 });
+});
+
+test("fails commands in flight when the connection drops, then reconnects", async function () {
+  let tor = await openSocket({ writeDelay : 50 }, { initialDelay : 10, maxDelay : 20 }),
+      { server, socket, states } = tor;
+  try {
+    await socket.sendCommand("getinfo version");
+    let inFlight = socket.sendCommand("getinfo version");
+    await waitFor(function () { return server.commands.length === 4; });
+    server.disconnect();
+    await assert.rejects(inFlight, function (error) {
+      return error.connectionLost === true && /connection lost/.test(error.message);
+    });
+    let reply = await socket.sendCommand("getinfo version");
+    assert.strictEqual(reply.lines[0].text, "version=0.4.8.9");
+    // The socket was "connecting" before we could listen.
+    assert.deepStrictEqual(states, ["authenticated", "reconnecting",
+                                    "connecting", "authenticated"]);
+    assert.strictEqual(server.commands.filter(function (command) {
+      return /^PROTOCOLINFO/.test(command);
+    }).length, 2);
+    assert.deepStrictEqual(tor.errors, []);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("holds commands sent while reconnecting until it is authenticated", async function () {
+  let tor = await openSocket(null, { initialDelay : 40, maxDelay : 40 }),
+      { server, socket, states } = tor;
+  try {
+    await socket.sendCommand("getinfo version");
+    server.disconnect();
+    await waitFor(function () { return socket.getState() === "reconnecting"; });
+    let held = socket.sendCommand("getinfo version");
+    await wait(5);
+    // Nothing reaches tor before we have logged in again.
+    assert.strictEqual(server.commands.slice(-1)[0], "getinfo version");
+    assert.strictEqual(server.commands.length, 3);
+    assert.strictEqual((await held).status, 250);
+    assert.deepStrictEqual(server.commands.slice(3),
+                           ["PROTOCOLINFO 1", "AUTHENTICATE", "getinfo version"]);
+    assert.strictEqual(states.slice(-1)[0], "authenticated");
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("restores event subscriptions after reconnecting", async function () {
+  let tor = await openSocket(null, { initialDelay : 10, maxDelay : 20 }),
+      { server, socket } = tor,
+      events = [];
+  try {
+    socket.addNotificationCallback(/^650 CIRC\b/, function (reply) {
+      events.push(reply.lines[0].text);
+    });
+    await socket.subscribeEvent("CIRC");
+    let sent = server.commands.length;
+    server.disconnect();
+    await waitFor(function () {
+      return server.commands.slice(sent).indexOf("setevents CIRC") !== -1;
+    });
+    await wait(10);
+    server.emit("650 CIRC 5 BUILT $A~a");
+    await waitFor(function () { return events.length === 1; });
+    assert.deepStrictEqual(events, ["CIRC 5 BUILT $A~a"]);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("closes for good after maxAttempts failed reconnections", async function () {
+  let tor = await openSocket(null, { initialDelay : 5, maxDelay : 10, maxAttempts : 2 }),
+      { server, socket, states, errors } = tor;
+  try {
+    await socket.sendCommand("getinfo version");
+    await server.close();
+    await waitFor(function () { return socket.getState() === "closed"; });
+    // Two attempts, each connecting and then dropping again.
+    assert.deepStrictEqual(states, ["authenticated",
+                                    "reconnecting", "connecting",
+                                    "reconnecting", "connecting", "closed"]);
+    assert.ok(errors.some(function (error) { return error.connectionLost; }));
+    await assert.rejects(socket.sendCommand("getinfo version"), /connection is closed/);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("closes at once without reconnect, failing held commands", async function () {
+  let tor = await openSocket({ writeDelay : 30 }, false),
+      { server, socket, errors } = tor;
+  try {
+    await socket.sendCommand("getinfo version");
+    let inFlight = socket.sendCommand("getinfo version");
+    await waitFor(function () { return server.commands.length === 4; });
+    server.disconnect();
+    await assert.rejects(inFlight, function (error) { return error.connectionLost === true; });
+    await waitFor(function () { return socket.getState() === "closed"; });
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0].message, /connection lost/);
+  } finally {
+    await tor.stop();
+  }
+});
+
+// __closedPort()__.
+// Returns a promise for a local port that nothing listens on.
+let closedPort = function () {
+  let server = net.createServer();
+  return new Promise(function (resolve) {
+    server.listen(0, "127.0.0.1", function () {
+      let port = server.address().port;
+      server.close(function () { resolve(port); });
+    });
+  });
+};
+
+test("reports each failed attempt while it keeps trying to connect", async function () {
+  let port = await closedPort(),
+      errors = [],
+      socket = io.controlSocket("127.0.0.1", port,
+                                { reconnect : { initialDelay : 5, maxDelay : 10 } },
+                                function (error) { errors.push(error); });
+  try {
+    await waitFor(function () { return errors.length >= 3; });
+    for (let error of errors) {
+      assert.strictEqual(error.connectionLost, true);
+      assert.match(error.message, /connection failed: ECONNREFUSED/);
+    }
+    assert.notStrictEqual(socket.getState(), "closed");
+  } finally {
+    socket.close();
+  }
+});
+
+test("fails held commands after holdTimeout", async function () {
+  let port = await closedPort(),
+      socket = io.controlSocket("127.0.0.1", port,
+                                { reconnect : { initialDelay : 5, maxDelay : 10,
+                                                holdTimeout : 50 } },
+                                function () { });
+  try {
+    let started = Date.now();
+    await assert.rejects(socket.sendCommand("getinfo version"), function (error) {
+      return error.connectionLost === true && /not connected after 50 ms/.test(error.message);
+    });
+    assert.ok(Date.now() - started >= 45);
+    assert.notStrictEqual(socket.getState(), "closed");
+  } finally {
+    socket.close();
+  }
+});
@@ -0,0 +1,83 @@
+// Tests of the relay cache against the fake ControlPort.
+
+"use strict";
+
+let test = require("node:test"),
+    assert = require("node:assert"),
+    { wait, startFakeTor } = require("./helpers.js");
+
+// __relayInfo__.
+// GETINFO values for relays by ID and by name.
+let relayInfo = {
+  "ns/id/" : function (key) {
+    let id = key.substring("ns/id/".length);
+    return "r relay" + id + " " + id + " D 2014-10-29 17:00:00 10.0.0.1 9001 0";
+  },
+  "ns/name/relayB2" : "r relayB2 B2 D 2014-10-29 17:00:00 10.0.0.2 9001 0",
+  "ip-to-country/" : "de"
+};
+
+test("batches lookups made together into the same commands", async function () {
+  let tor = await startFakeTor({ info : relayInfo }),
+      cache = tor.controller.relayCache();
+  try {
+    let [a, b] = await Promise.all([cache.lookUp("$a1"), cache.lookUp(null, "relayB2")]);
+    assert.deepStrictEqual(a, { id : "A1", name : "relayA1", ip : "10.0.0.1", country : "de" });
+    assert.strictEqual(b.name, "relayB2");
+    assert.strictEqual(cache.getStats().batches, 1);
+    await cache.lookUp("A1");
+    assert.strictEqual(cache.getStats().hits, 1);
+  } finally {
+    await cache.stop();
+    await tor.stop();
+  }
+});
+
+test("fails only the lookups of IDs or names that can't be sent to tor", async function () {
+  let tor = await startFakeTor({ info : relayInfo }),
+      cache = tor.controller.relayCache();
+  try {
+    let results = await Promise.allSettled([cache.lookUp("A1"),
+                                            cache.lookUp(null, "relay \"B2\""),
+                                            cache.lookUp(null, "relayB2")]);
+    assert.deepStrictEqual(results.map(function (result) { return result.status; }),
+                           ["fulfilled", "rejected", "fulfilled"]);
+    assert.match(results[1].reason.message, /invalid command argument/);
+    assert.strictEqual(results[2].value.ip, "10.0.0.2");
+    assert.strictEqual(cache.getStats().size, 2);
+  } finally {
+    await cache.stop();
+    await tor.stop();
+  }
+});
+
+test("rejects lookups of IDs that aren't strings instead of throwing", async function () {
+  let tor = await startFakeTor({ info : relayInfo }),
+      cache = tor.controller.relayCache();
+  try {
+    let results = await Promise.allSettled([cache.lookUp(42), cache.lookUp(["$A1", "a"]),
+                                            cache.lookUp("A1")]);
+    assert.deepStrictEqual(results.map(function (result) { return result.status; }),
+                           ["rejected", "rejected", "fulfilled"]);
+    assert.match(results[0].reason.message, /relay ID is not a string/);
+    assert.strictEqual(cache.getStats().size, 1);
+  } finally {
+    await cache.stop();
+    await tor.stop();
+  }
+});
+
+test("stop() cancels the pending batch", async function () {
+  let tor = await startFakeTor({ info : relayInfo }),
+      cache = tor.controller.relayCache({ batchDelay : 20 });
+  try {
+    let lookup = cache.lookUp("A1");
+    await cache.stop();
+    await assert.rejects(lookup, /relay cache stopped/);
+    await wait(40);
+    assert.strictEqual(cache.getStats().batches, 0);
+    assert.ok(!tor.server.commands.some(function (command) { return /ns\/id/.test(command); }));
+  } finally {
+    await tor.stop();
+  }
+});
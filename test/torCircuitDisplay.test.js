@@ -0,0 +1,291 @@
+// Tests of the circuit display, run against the fake ControlPort with just
+// enough of the browser's DOM and services stubbed to load it.
+
+"use strict";
+
+let test = require("node:test"),
+    assert = require("node:assert"),
+    fs = require("fs"),
+    path = require("path"),
+    vm = require("vm"),
+    { waitFor, startFakeTor } = require("./helpers.js");
+
+let source = fs.readFileSync(path.join(__dirname, "..", "torCircuitDisplay.js"), "utf8");
+
+// __textNode(parent, y)__.
+// A stub of a `text.node` element of the circuit display's SVG.
+let textNode = function (parent, y) {
+  return { innerHTML : "", attributes : { y : String(y) }, parentNode : parent,
+           getAttribute : function (name) { return this.attributes[name]; },
+           setAttribute : function (name, value) { this.attributes[name] = String(value); },
+           cloneNode : function () { return textNode(parent, this.attributes.y); },
+           get nextSibling() {
+             return parent.children[parent.children.indexOf(this) + 1] || null;
+           } };
+};
+
+// __loadDisplay(host)__.
+// Loads torCircuitDisplay.js in a fresh context whose selected tab shows
+// host. Returns `{ context, page }`, where page holds the stubbed elements,
+// the reloaded tabs and the reported errors.
+let loadDisplay = function (host) {
+  let parent = { children : [],
+                 insertBefore : function (node, reference) {
+                   let index = reference ? this.children.indexOf(reference) :
+                                           this.children.length;
+                   this.children.splice(index, 0, node);
+                 },
+                 removeChild : function (node) {
+                   this.children.splice(this.children.indexOf(node), 1);
+                 } },
+      page = { host : host, parent : parent, domain : { innerHTML : "" },
+               svg : { style : {} }, notice : { textContent : "" },
+               traffic : { textContent : "" }, buttons : {},
+               reloads : [], errors : [] },
+      button = function (id) {
+        let listeners = [];
+        page.buttons[id] = { click : function () {
+                               for (let listener of listeners) {
+                                 listener();
+                               }
+                             },
+                             addEventListener : function (type, listener) {
+                               listeners.push(listener);
+                             } };
+        return page.buttons[id];
+      },
+      elements = { "svg#tor-circuit text#domain" : page.domain,
+                   "svg#tor-circuit" : page.svg,
+                   "#tor-circuit-notice" : page.notice,
+                   "#tor-circuit-traffic" : page.traffic,
+                   "#tor-circuit-new-circuit" : button("new-circuit"),
+                   "#tor-circuit-new-identity" : button("new-identity") };
+  for (let i = 0; i < 5; ++i) {
+    parent.children.push(textNode(parent, 10 + 20 * i));
+  }
+  let context = vm.createContext({
+    Components : {
+      classes : {
+        "@mozilla.org/intl/stringbundle;1" : { getService : function () {
+          return { createBundle : function () {
+            return { GetStringFromName : function (code) { return "Country " + code; } };
+          } };
+        } },
+        "@mozilla.org/network/effective-tld-service;1" : { getService : function () {
+          return { getBaseDomain : function (uri) { return uri.host.replace(/^www\./, ""); },
+                   // Like Firefox, refuse IP addresses.
+                   getBaseDomainFromHost : function (host) {
+                     if (/^[\d.]+$|:/.test(host)) {
+                       throw new Error("NS_ERROR_HOST_IS_IP_ADDRESS");
+                     }
+                     return host.split(".").slice(-2).join(".");
+                   } };
+        } }
+      },
+      interfaces : {},
+      utils : { reportError : function (error) { page.errors.push(error); } }
+    },
+    document : {
+      querySelector : function (selector) { return elements[selector] || null; },
+      querySelectorAll : function () { return parent.children.slice(); }
+    },
+    gBrowser : {
+      selectedTab : "selected tab",
+      reloadTab : function (tab) { page.reloads.push(tab); },
+      selectedBrowser : { get currentURI() { return { host : page.host }; } },
+      tabContainer : { addEventListener : function () { } },
+      addTabsProgressListener : function () { }
+    }
+  });
+  vm.runInContext(source + "\nthis.runTorStatusDisplay = runTorStatusDisplay;", context);
+  return { context : context, page : page };
+};
+
+// __nodeTexts(page)__.
+// The lines of the circuit diagram.
+let nodeTexts = function (page) {
+  return page.parent.children.map(function (node) { return node.innerHTML; });
+};
+
+// __relayInfo__.
+// GETINFO values for relays $A1, $B2, ... with IP addresses 10.0.0.1, 10.0.0.2, ...
+let relayInfo = {
+  "circuit-status" : "", "stream-status" : "",
+  "ns/id/" : function (key) {
+    let id = key.substring("ns/id/".length);
+    return "r relay" + id + " " + id + " D 2014-10-29 17:00:00 10.0.0." + id.slice(-1) + " 9001 0";
+  },
+  "ip-to-country/" : "de"
+};
+
+// __startDisplay(serverOptions, host)__.
+// Starts a fake tor and the circuit display on a controller for it.
+let startDisplay = function (serverOptions, host) {
+  return startFakeTor(serverOptions, { reconnect : false }).then(function (tor) {
+    let { context, page } = loadDisplay(host);
+    context.runTorStatusDisplay(tor.controller);
+    tor.page = page;
+    tor.context = context;
+    // Wait until the display knows tor's circuits and watches its traffic.
+    return vm.runInContext("Promise.all([circuitStore.ready, trafficAccountant.ready])",
+                           context).then(function () { return tor; });
+  });
+};
+
+test("shows the circuit of the selected tab's first party", async function () {
+  let tor = await startDisplay({ info : relayInfo, conf : { UseBridges : "0", Bridge : null } },
+                               "www.example.com"),
+      { page, server } = tor;
+  try {
+    assert.strictEqual(page.svg.style.display, "none");
+    server.emit("650 CIRC 5 BUILT $A1~a,$B2~b,$C3~c");
+    server.emit("650 STREAM 1 SENTCONNECT 5 cdn.example.net:443 " +
+                "SOCKS_USERNAME=\"example.com\" SOCKS_PASSWORD=\"n1\"");
+    await waitFor(function () { return page.svg.style.display === "block"; });
+    assert.strictEqual(page.domain.innerHTML, "(example.com):");
+    assert.deepStrictEqual(nodeTexts(page),
+                           ["This browser", "Country de (10.0.0.1)", "Country de (10.0.0.2)",
+                            "Country de (10.0.0.3)", "Internet"]);
+    // Streams of other first parties don't change the display.
+    server.emit("650 CIRC 6 BUILT $D4~d,$E5~e,$F6~f");
+    server.emit("650 STREAM 2 SUCCEEDED 6 other.org:443 SOCKS_USERNAME=\"other.org\"");
+    server.emit("650 STREAM_BW 1 120 3400 2024-01-01T00:00:00.000000");
+    await waitFor(function () { return page.traffic.textContent !== ""; });
+    assert.strictEqual(page.traffic.textContent, "Sent 120 B, received 3.3 KB");
+    assert.strictEqual(nodeTexts(page)[1], "Country de (10.0.0.1)");
+    // Once the circuit closes, there is nothing to show.
+    server.emit("650 CIRC 5 CLOSED $A1~a REASON=FINISHED");
+    await waitFor(function () { return page.svg.style.display === "none"; });
+    assert.deepStrictEqual(page.errors, []);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("shows the circuits of streams without isolation credentials", async function () {
+  let tor = await startDisplay({ info : relayInfo, conf : { UseBridges : "0", Bridge : null } },
+                               "www.example.com"),
+      { page, server, context } = tor;
+  try {
+    server.emit("650 CIRC 5 BUILT $A1~a,$B2~b,$C3~c");
+    server.emit("650 STREAM 1 SUCCEEDED 5 www.example.com:443");
+    await waitFor(function () { return page.svg.style.display === "block"; });
+    assert.strictEqual(page.domain.innerHTML, "(example.com):");
+    // IPv6 targets keep their whole address.
+    server.emit("650 CIRC 6 BUILT $D4~d,$E5~e,$F6~f");
+    server.emit("650 STREAM 2 SUCCEEDED 6 [2001:db8::1]:443");
+    await waitFor(function () {
+      return vm.runInContext("firstPartyToCircuitMap['2001:db8::1']", context) !== undefined;
+    });
+    assert.deepStrictEqual(
+      Object.keys(vm.runInContext("firstPartyToCircuitMap", context)).sort(),
+      ["2001:db8::1", "example.com"]);
+    assert.deepStrictEqual(page.errors, []);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("reports events it can't watch", async function () {
+  let names = "CIRC CIRC_MINOR STREAM STREAM_BW CIRC_BW BW",
+      tor = await startDisplay({ info : Object.assign({ "events/names" : names }, relayInfo),
+                                 conf : { UseBridges : "0", Bridge : null } },
+                               "www.example.com"),
+      { page } = tor;
+  try {
+    await waitFor(function () { return page.errors.length === 2; });
+    assert.deepStrictEqual(page.errors.map(function (error) { return error.message; }),
+                           ["unknown event type: CONF_CHANGED", "unknown event type: SIGNAL"]);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("shows bridges, longer circuits and onion destinations", async function () {
+  let bridgeID = "A".repeat(40),
+      tor = await startDisplay({
+        info : relayInfo,
+        conf : { UseBridges : "1",
+                 Bridge : ["obfs4 1.2.3.4:443 " + bridgeID + " cert=x iat-mode=0"] }
+      }, "abcdefghij234567.onion"),
+      { page, server } = tor;
+  try {
+    server.emit("650 CIRC 5 BUILT $" + bridgeID + "~br,$B2~b,$C3~c,$D4~d " +
+                "PURPOSE=HS_CLIENT_REND REND_QUERY=abcdefghij234567");
+    server.emit("650 STREAM 1 SENTCONNECT 5 abcdefghij234567.onion:80 " +
+                "SOCKS_USERNAME=\"abcdefghij234567.onion\"");
+    await waitFor(function () { return page.svg.style.display === "block"; });
+    assert.deepStrictEqual(nodeTexts(page),
+                           ["This browser", "Bridge (obfs4)", "Country de (10.0.0.2)",
+                            "Country de (10.0.0.3)", "Country de (10.0.0.4)",
+                            "abcdefghij234567.onion"]);
+    // The added node is spaced like the others.
+    assert.strictEqual(page.parent.children[5].getAttribute("y"), "110");
+    assert.deepStrictEqual(page.errors, []);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("new circuit for this site closes the site's circuits and reloads", async function () {
+  let tor = await startDisplay({ info : relayInfo, conf : { UseBridges : "0", Bridge : null } },
+                               "www.example.com"),
+      { page, server } = tor;
+  try {
+    server.emit("650 CIRC 5 BUILT $A1~a,$B2~b,$C3~c SOCKS_USERNAME=\"example.com\"");
+    server.emit("650 STREAM 1 SUCCEEDED 5 example.com:443 SOCKS_USERNAME=\"example.com\"");
+    server.emit("650 CIRC 6 BUILT $D4~d,$E5~e,$F6~f SOCKS_USERNAME=\"other.org\"");
+    await waitFor(function () { return page.svg.style.display === "block"; });
+    // Tor has forgotten circuit 5 already; that is no error.
+    server.rule(/^closecircuit 5/i, "552 Unknown circuit \"5\"");
+    page.buttons["new-circuit"].click();
+    await waitFor(function () { return page.reloads.length === 1; });
+    assert.deepStrictEqual(server.commands.filter(function (command) {
+      return /^closecircuit/i.test(command);
+    }), ["closecircuit 5"]);
+    assert.deepStrictEqual(page.reloads, ["selected tab"]);
+    assert.strictEqual(page.svg.style.display, "none");
+    assert.deepStrictEqual(page.errors, []);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("new identity waits for tor, then reloads the tab", async function () {
+  let tor = await startDisplay({ info : relayInfo, conf : { UseBridges : "0", Bridge : null },
+                                 newnymInterval : 300 }, "www.example.com"),
+      { page, server } = tor;
+  try {
+    // The first NEWNYM goes through right away.
+    page.buttons["new-identity"].click();
+    await waitFor(function () { return page.reloads.length === 1; });
+    // A second one soon after is delayed, and the user is told.
+    page.buttons["new-identity"].click();
+    await waitFor(function () { return page.notice.textContent !== ""; });
+    assert.strictEqual(page.notice.textContent,
+                       "Tor will switch to a new identity in 1 second.");
+    assert.strictEqual(page.reloads.length, 1);
+    await waitFor(function () { return page.reloads.length === 2; });
+    assert.strictEqual(page.notice.textContent, "");
+    assert.deepStrictEqual(page.errors, []);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("reports a failed new identity", async function () {
+  let tor = await startDisplay({ info : relayInfo, conf : { UseBridges : "0", Bridge : null } },
+                               "www.example.com"),
+      { page, server } = tor;
+  try {
+    server.rule(/^signal newnym/i, "552 Unrecognized signal");
+    page.buttons["new-identity"].click();
+    await waitFor(function () { return page.errors.length > 0; });
+    assert.strictEqual(page.notice.textContent, "Tor could not switch to a new identity.");
+    assert.strictEqual(page.errors.length, 1);
+    assert.strictEqual(page.errors[0].code, 552);
+    assert.strictEqual(vm.runInContext("newIdentityRequested", tor.context), false);
+  } finally {
+    await tor.stop();
+  }
+});
@@ -0,0 +1,171 @@
+// Tests of trace recording: that secrets never reach a trace, that the ring
+// buffer keeps the latest lines, and that traces replay in the fake ControlPort.
+
+"use strict";
+
+let test = require("node:test"),
+    assert = require("node:assert"),
+    fs = require("fs"),
+    os = require("os"),
+    path = require("path"),
+    { controller, trace, utils } = require("../controlPort.js"),
+    { fakeControlPort } = require("../fakeControlPort.js"),
+    { startFakeTor } = require("./helpers.js");
+
+// __lines(recorder)__.
+// The text of every line a recorder holds, in order.
+let lines = function (recorder) {
+  return recorder.entries().map(function ({ direction, line }) {
+    return (direction === "sent" ? "C: " : "S: ") + line;
+  });
+};
+
+// __assertNoSecret(recorder, secret)__.
+// Checks that no form of secret appears in the recorder's transcript.
+let assertNoSecret = function (recorder, secret) {
+  let transcript = recorder.toTranscript();
+  for (let form of [secret, utils.quote(secret).slice(1, -1)]) {
+    assert.ok(!transcript.includes(form), "found " + JSON.stringify(form) + " in\n" +
+                                          transcript);
+  }
+};
+
+test("redactLine hides secrets and keeps everything else", function () {
+  let cases = [
+    ["sent", "AUTHENTICATE \"secret\"", "AUTHENTICATE [REDACTED]"],
+    ["sent", "authenticate 0A1B2C", "authenticate [REDACTED]"],
+    ["sent", "AUTHENTICATE", "AUTHENTICATE"],
+    ["sent", "AUTHCHALLENGE SAFECOOKIE 0A1B", "AUTHCHALLENGE SAFECOOKIE [REDACTED]"],
+    ["sent", "add_onion ED25519-V3:c2VjcmV0 Port=80", "add_onion ED25519-V3:[REDACTED] Port=80"],
+    ["sent", "add_onion NEW:ED25519-V3 Port=80", "add_onion NEW:ED25519-V3 Port=80"],
+    ["sent", "onion_client_auth_add abc x25519:SECRET ClientName=a",
+     "onion_client_auth_add abc x25519:[REDACTED] ClientName=a"],
+    ["sent", "getinfo version", "getinfo version"],
+    ["received", "250 AUTHCHALLENGE SERVERHASH=AB SERVERNONCE=CD",
+     "250 AUTHCHALLENGE [REDACTED]"],
+    ["received", "250-PrivateKey=ED25519-V3:c2VjcmV0", "250-PrivateKey=ED25519-V3:[REDACTED]"],
+    ["received", "250-CLIENT abc x25519:SECRET Flags=Permanent",
+     "250-CLIENT abc x25519:[REDACTED] Flags=Permanent"],
+    ["received", "250-ServiceID=abc", "250-ServiceID=abc"],
+    // A command echoed in a reply isn't treated as one we sent.
+    ["received", "AUTHENTICATE x", "AUTHENTICATE x"]];
+  for (let [direction, line, expected] of cases) {
+    assert.strictEqual(trace.redactLine(direction, line), expected);
+  }
+});
+
+test("keeps passwords out of a recorded session", async function () {
+  let password = "pass \"word\" \\ secret",
+      recorder = trace.recorder(),
+      tor = await startFakeTor({ authMethods : ["HASHEDPASSWORD"], password : password },
+                               { password : password, trace : recorder });
+  try {
+    await tor.controller.getInfo("version");
+    assert.deepStrictEqual(lines(recorder).slice(0, 6), [
+      "C: PROTOCOLINFO 1", "S: 250-PROTOCOLINFO 1", "S: 250-AUTH METHODS=HASHEDPASSWORD",
+      "S: 250-VERSION Tor=\"0.4.8.9\"", "S: 250 OK", "C: AUTHENTICATE [REDACTED]"]);
+    assert.deepStrictEqual(lines(recorder).slice(-3),
+                           ["C: getinfo version", "S: 250-version=0.4.8.9", "S: 250 OK"]);
+    assertNoSecret(recorder, password);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("keeps cookies and SAFECOOKIE hashes out of a recorded session", async function () {
+  let directory = fs.mkdtempSync(path.join(os.tmpdir(), "fake-tor-")),
+      cookieFile = path.join(directory, "cookie"),
+      recorder = trace.recorder(),
+      tor = await startFakeTor({ authMethods : ["SAFECOOKIE"], cookieFile : cookieFile },
+                               { trace : recorder });
+  try {
+    await tor.controller.getInfo("version");
+    let cookie = utils.bytesToHex(Array.from(fs.readFileSync(cookieFile)));
+    assert.ok(lines(recorder).includes("C: AUTHCHALLENGE SAFECOOKIE [REDACTED]"));
+    assert.ok(lines(recorder).includes("S: 250 AUTHCHALLENGE [REDACTED]"));
+    assert.ok(lines(recorder).includes("C: AUTHENTICATE [REDACTED]"));
+    assertNoSecret(recorder, cookie);
+    assertNoSecret(recorder, "SERVERHASH");
+    assertNoSecret(recorder, "SERVERNONCE");
+    // The nonce and hash the controller sent aren't in the trace either.
+    for (let command of tor.server.commands) {
+      let match = command.match(/^(?:AUTHCHALLENGE SAFECOOKIE|AUTHENTICATE) (\S+)$/);
+      if (match) {
+        assertNoSecret(recorder, match[1]);
+      }
+    }
+  } finally {
+    await tor.stop();
+    fs.rmSync(directory, { recursive : true });
+  }
+});
+
+test("keeps onion service and client authorization keys out of a recorded session",
+     async function () {
+  let recorder = trace.recorder(),
+      tor = await startFakeTor(null, { trace : recorder }),
+      address = "sp3k262uwy4r2k3ycr5awluarykdpag6a7y33jxop4cs2lu5uz5sseqd",
+      clientKey = "2HRBGTXZTL6LNF5JW2PTY4A3YCMEF5UQSMKKXNKLSXKW2EQXXOQA",
+      serviceKey = "A".repeat(86) + "==";
+  try {
+    let { privateKey } = await tor.controller.addOnion({ ports : [80] });
+    await tor.controller.addOnion({ ports : [81], privateKey : "ED25519-V3:" + serviceKey });
+    await tor.controller.onionClientAuthAdd(address, clientKey);
+    assert.deepStrictEqual(await tor.controller.onionClientAuthView(),
+                           [{ address : address, privateKey : "x25519:" + clientKey,
+                              clientName : null, flags : [] }]);
+    assert.ok(lines(recorder).includes("C: add_onion NEW:ED25519-V3 Port=80"));
+    assert.ok(lines(recorder).includes("S: 250-PrivateKey=ED25519-V3:[REDACTED]"));
+    assert.ok(lines(recorder).includes("C: add_onion ED25519-V3:[REDACTED] Port=81"));
+    assert.ok(lines(recorder).includes("C: onion_client_auth_add " + address +
+                                       " x25519:[REDACTED]"));
+    assert.ok(lines(recorder).includes("S: 250-CLIENT " + address + " x25519:[REDACTED]"));
+    assertNoSecret(recorder, privateKey.substring("ED25519-V3:".length));
+    assertNoSecret(recorder, serviceKey);
+    assertNoSecret(recorder, clientKey);
+  } finally {
+    await tor.stop();
+  }
+});
+
+test("keeps the latest maxEntries lines and counts the dropped ones", function () {
+  let recorder = trace.recorder({ maxEntries : 3 });
+  assert.deepStrictEqual(recorder.entries(), []);
+  for (let i = 1; i <= 5; ++i) {
+    recorder.record("sent", "getinfo line/" + i);
+  }
+  assert.deepStrictEqual(lines(recorder),
+                         ["C: getinfo line/3", "C: getinfo line/4", "C: getinfo line/5"]);
+  assert.strictEqual(recorder.dropped(), 2);
+  assert.match(recorder.toTranscript(), /^\d{4}-\d\d-\d\dT[\d:.]+Z C: getinfo line\/3\n/);
+  recorder.clear();
+  assert.deepStrictEqual(recorder.entries(), []);
+  assert.strictEqual(recorder.dropped(), 0);
+  assert.notStrictEqual(trace.recorder().id, recorder.id);
+});
+
+test("replays a recorded session in the fake ControlPort", async function () {
+  let recorder = trace.recorder(),
+      tor = await startFakeTor({ authMethods : ["HASHEDPASSWORD"], password : "secret",
+                                 info : { "status/circuit-established" : "1" } },
+                               { password : "secret", trace : recorder });
+  try {
+    await tor.controller.getInfo("status/circuit-established");
+  } finally {
+    await tor.stop();
+  }
+  let server = fakeControlPort();
+  server.replay(recorder.toTranscript());
+  let [host, port] = await server.listen(),
+      errors = [],
+      replayed = controller(host, port, "another password",
+                            function (error) { errors.push(error); });
+  try {
+    assert.strictEqual(await replayed.getInfo("status/circuit-established"), true);
+    assert.deepStrictEqual(server.errors, []);
+    assert.deepStrictEqual(errors, []);
+  } finally {
+    replayed.close();
+    await server.close();
+  }
+});
@@ -0,0 +1,56 @@
+// Tests of splitting and quoting control-spec strings.
+
+"use strict";
+
+let test = require("node:test"),
+    assert = require("node:assert"),
+    { utils } = require("../controlPort.js");
+
+test("splitAtSpaces splits at runs of whitespace", function () {
+  assert.deepStrictEqual(utils.splitAtSpaces("a b  c\td"), ["a", "b", "c", "d"]);
+  assert.deepStrictEqual(utils.splitAtSpaces("  a  "), ["a"]);
+  assert.deepStrictEqual(utils.splitAtSpaces(""), []);
+  assert.deepStrictEqual(utils.splitAtSpaces("   "), []);
+});
+
+test("splitAtSpaces keeps quoted spaces and escaped quotes in one chunk", function () {
+  assert.deepStrictEqual(utils.splitAtSpaces("A=\"x y\" B=2"), ["A=\"x y\"", "B=2"]);
+  assert.deepStrictEqual(utils.splitAtSpaces("K=\"a \\\"b\\\" c\" L"),
+                         ["K=\"a \\\"b\\\" c\"", "L"]);
+  assert.deepStrictEqual(utils.splitAtSpaces("K=\"a\\\\\" L"), ["K=\"a\\\\\"", "L"]);
+  assert.deepStrictEqual(utils.splitAtSpaces("\"\" x"), ["\"\"", "x"]);
+});
+
+test("splitAtSpaces keeps an unterminated quote to the end", function () {
+  assert.deepStrictEqual(utils.splitAtSpaces("A=\"x y"), ["A=\"x y"]);
+});
+
+test("dequote unescapes a QuotedString", function () {
+  assert.strictEqual(utils.dequote("\"C:\\\\tor\\\\cookie\""), "C:\\tor\\cookie");
+  assert.strictEqual(utils.dequote("\"say \\\"hi\\\"\""), "say \"hi\"");
+  assert.strictEqual(utils.dequote("\"a\\nb\\r\\tc\""), "a\nb\r\tc");
+  assert.strictEqual(utils.dequote("\"\\101\\7x\""), "A\u0007x");
+  assert.strictEqual(utils.dequote("\"it\\'s\""), "it's");
+  assert.strictEqual(utils.dequote("\"\""), "");
+});
+
+test("dequote leaves strings without surrounding quotes unchanged", function () {
+  assert.strictEqual(utils.dequote("plain"), "plain");
+  assert.strictEqual(utils.dequote("\"half"), "\"half");
+  assert.strictEqual(utils.dequote("a\\nb"), "a\\nb");
+});
+
+test("dequote undoes quote", function () {
+  for (let string of ["", "plain", "with space", "quote \" and \\ backslash",
+                      "lines\r\nand\ttabs", "C:\\tor\\cookie"]) {
+    assert.strictEqual(utils.dequote(utils.quote(string)), string);
+  }
+});
+
+test("keywordArgument splits and unquotes KEY=VALUE chunks", function () {
+  assert.deepStrictEqual(utils.keywordArgument("PURPOSE=GENERAL"), ["PURPOSE", "GENERAL"]);
+  assert.deepStrictEqual(utils.keywordArgument("SOCKS_USERNAME=\"a b\""),
+                         ["SOCKS_USERNAME", "a b"]);
+  assert.deepStrictEqual(utils.keywordArgument("EMPTY="), ["EMPTY", ""]);
+  assert.strictEqual(utils.keywordArgument("BUILT"), null);
+});
@@ -3,43 +3,145 @@
 /* global document, gBrowser, Components */
 "use strict";
 
-// __circuits, domains__.
-// Storage for all observed circuits and domains.
-let circuitData = {}, circuitIdToDomainMap = {}, domainToNodeDataMap = {};
+// __circuitStore, relayCache, firstPartyToCircuitMap, circuitIdToNodeDataMap__.
+// The controller's live store of circuits; its cache of relay data; for each
+// first-party domain, the isolation credentials and circuit of its latest
+// stream; and, for each circuit, `{ pathLength, nodeData }`, where nodeData
+// is null until fetched.
+let circuitStore = null, relayCache = null,
+    firstPartyToCircuitMap = {}, circuitIdToNodeDataMap = {};
+
+// __trafficAccountant__.
+// Counts the bytes tor carries for each first-party domain.
+let trafficAccountant = null;
+
+// __newIdentityRequested__.
+// True from when the user asks for a new identity until tor carries it out.
+let newIdentityRequested = false;
 
 let bundleService = Components.classes["@mozilla.org/intl/stringbundle;1"]
                                     .getService(Components.interfaces.nsIStringBundleService),
     regionBundle = bundleService.createBundle(
-                     "chrome://global/locale/regionNames.properties");
-
-// nodeDataForID(controller, id, onResult)__.
-// Requests the IP, country code, and name of a node with given ID.
-// Returns result via onResult.
-// Example: nodeData(["20BC91DC525C3DC9974B29FBEAB51230DE024C44"], show);
-let nodeDataForID = function (controller, ids, onResult) {
-  let idRequests = ids.map(function (id) { return "ns/id/" + id; });
-  controller.getInfoMultiple(idRequests, function (statusMaps) {
-    let IPs = statusMaps.map(function (statusMap) { return statusMap.IP; }),
-        countryRequests = IPs.map(function (ip) { return "ip-to-country/" + ip; });
-    controller.getInfoMultiple(countryRequests, function (countries) {
-      let results = [];
-      for (let i = 0; i < ids.length; ++i) {
-        results.push({ name : statusMaps[i].nickname, id : ids[i] ,
-                       ip : statusMaps[i].IP , country : countries[i] });
-      }
-      onResult(results);
-    });
+                     "chrome://global/locale/regionNames.properties"),
+    tldService = Components.classes["@mozilla.org/network/effective-tld-service;1"]
+                           .getService(Components.interfaces.nsIEffectiveTLDService);
+
+// __reportError(error)__.
+// Reports an unexpected error to the browser's error console.
+let reportError = function (error) {
+  Components.utils.reportError(error);
+};
+
+// __bridgeSettingsPromise__.
+// A promise for the current bridge settings, or null if we need to fetch them.
+let bridgeSettingsPromise = null;
+
+// __bridgeLineData(line)__.
+// Parses a Bridge setting such as `obfs4 12.34.56.78:443 A1B2... cert=...`
+// or `12.34.56.78:9001 A1B2...` to `{ transport : "obfs4", fingerprint : "A1B2..." }`.
+// transport and fingerprint may be null.
+let bridgeLineData = function (line) {
+  let words = line.trim().split(/\s+/),
+      transport = words[0].match(/^[A-Za-z_][A-Za-z0-9_]*$/) ? words.shift() : null,
+      fingerprint = (words[1] && words[1].match(/^[0-9A-Fa-f]{40}$/)) ?
+                    words[1].toUpperCase() : null;
+  return { transport : transport, fingerprint : fingerprint };
+};
+
+// __bridgeSettings(controller)__.
+// Returns a promise for `{ useBridges, bridges }`, where bridges is an array
+// of bridgeLineData results for tor's Bridge settings. If tor's configuration
+// can't be read, we assume there are no bridges.
+let bridgeSettings = function (controller) {
+  if (!bridgeSettingsPromise) {
+    bridgeSettingsPromise = controller.getConf(["UseBridges", "Bridge"]).then(
+      function ({ UseBridges, Bridge }) {
+        return { useBridges : UseBridges === true,
+                 bridges : (Bridge || []).map(bridgeLineData) };
+      }, function (error) {
+        reportError(error);
+        return { useBridges : false, bridges : [] };
+      });
+  }
+  return bridgeSettingsPromise;
+};
+
+// __bridgeDataForID(id, settings)__.
+// If tor uses bridges, returns node data for the first hop with given ID,
+// marked as a bridge, with the pluggable transport of its Bridge line (when we
+// can tell which one it is). Bridges aren't in the consensus, and we don't
+// reveal their addresses. Returns null if tor doesn't use bridges.
+let bridgeDataForID = function (id, settings) {
+  if (!settings.useBridges) {
+    return null;
+  }
+  let bridge = settings.bridges.find(function (bridge) {
+        return id && bridge.fingerprint === id.toUpperCase();
+      }),
+      transports = settings.bridges.map(function (bridge) { return bridge.transport; });
+  // If all bridges use the same transport, this one does too.
+  let transport = bridge ? bridge.transport :
+                  transports.every(function (t) { return t === transports[0]; }) ?
+                  (transports[0] || null) : null;
+  return { id : id, name : null, ip : null, country : null,
+           bridge : true, transport : transport };
+};
+
+// __nodeDataForID(id, name)__.
+// Looks up the IP, country code, and name of the relay with given ID (or, if
+// we only have its name, with that name) in the relay cache, which falls
+// back to the relay's descriptor if it has no consensus entry. Returns a
+// promise that resolves with `{ id, name, ip, country, bridge : false }`;
+// whatever can't be looked up is null, so the promise doesn't reject.
+// Example: nodeDataForID("20BC91DC525C3DC9974B29FBEAB51230DE024C44").then(show);
+let nodeDataForID = function (id, name) {
+  let result = { id : id, name : name || null, ip : null, country : null, bridge : false };
+  return relayCache.lookUp(id, name).then(function (relay) {
+    return relay ? { id : relay.id, name : relay.name || result.name, ip : relay.ip,
+                     country : relay.country, bridge : false } : result;
+  }, function (error) {
+    reportError(error);
+    return result;
   });
 };
 
-// __nodeDataForCircuit(controller, circuitData, onResult)__.
-// Gets the information for a circuit.
-let nodeDataForCircuit = function (controller, circuitData, onResult) {
-  let ids = [];
-  for (var i = 0; i < 3; ++i) {
-    ids.push(circuitData.circuit[i][0]);
+// __hopIDAndName(hop)__.
+// Takes a hop of a circuit path, such as `["$A1B2...", "relay1"]` or
+// `["relay1"]`, and returns `[id, name]`, where id has no "$" and either may
+// be undefined.
+let hopIDAndName = function ([first, second]) {
+  return (first && first.startsWith("$")) ? [first.substring(1), second] :
+                                            [undefined, first];
+};
+
+// __onionDestination(circuit)__.
+// Returns the onion address that a circuit leads to, such as
+// `"abcdefghij234567.onion"`, or null if it is not an onion-service client
+// circuit.
+let onionDestination = function (circuit) {
+  if (!(circuit.purpose || "").startsWith("HS_CLIENT")) {
+    return null;
   }
-  nodeDataForID(controller, ids, onResult);
+  return circuit.rendQuery ? circuit.rendQuery + ".onion" : "Onion site";
+};
+
+// __nodeDataForCircuit(controller, circuit)__.
+// Gets the information for a circuit record from the circuit store, which may
+// have any number of hops (fewer while it is being built). Returns a promise
+// that resolves with `{ hops, destination }`, where hops has node data for
+// each hop, with the first hop marked as a bridge if tor uses bridges, and
+// destination is an onion address or null.
+let nodeDataForCircuit = function (controller, circuit) {
+  return bridgeSettings(controller).then(function (settings) {
+    return Promise.all(circuit.path.map(function (hop, i) {
+      let [id, name] = hopIDAndName(hop),
+          bridgeData = i === 0 ? bridgeDataForID(id, settings) : null;
+      return bridgeData ? Promise.resolve(bridgeData) :
+                          nodeDataForID(id, name);
+    }));
+  }).then(function (hops) {
+    return { hops : hops, destination : onionDestination(circuit) };
+  });
 };
 
 // __localizedCountryNameFromCode(countryCode)__.
@@ -53,107 +155,369 @@ let localizedCountryNameFromCode = function (countryCode) {
   }
 };
 
+// __nodeLine(hop)__.
+// Converts the node data of a hop to text, such as `"France (12.34.56.78)"`,
+// `"Bridge (obfs4)"`, or, if we couldn't look it up, just its name.
+let nodeLine = function ({ name, ip, country, bridge, transport }) {
+  if (bridge) {
+    return transport ? "Bridge (" + transport + ")" : "Bridge";
+  }
+  if (ip) {
+    return (country ? localizedCountryNameFromCode(country) : "Unknown country") +
+           " (" + ip + ")";
+  }
+  return name || "Unknown relay";
+};
+
 // __nodeLines(nodeData)__.
-// Takes a nodeData array of three items each like
-// `{ ip : "12.34.56.67", country : "fr" }`
-// and converts each node data to text.
-// `"France (12.34.56.78)"`.
-let nodeLines = function (nodeData) {
-  let result = ["This browser"];
-  for (let {ip, country} of nodeData) {
-    result.push(localizedCountryNameFromCode(country) + " (" + ip + ")");
-  }
-  result.push("Internet");
-  return result;
-};
-
-// __updateCircuitDisplay__.
-// Updates the Tor circuit display SVG, showing the current domain
-// and the relay nodes for that domain.
-let updateCircuitDisplay = function () {
-  let URI = gBrowser.selectedBrowser.currentURI,
-      domain = null,
-      nodeData = null;
-  // Try to get a domain for this URI. Otherwise it remains null.
+// Takes the node data of a circuit, `{ hops, destination }`, with any number
+// of hops each like `{ ip : "12.34.56.67", country : "fr" }`, and converts it
+// to lines of text for the display, from "This browser" to "Internet" (or,
+// for an onion site, its address).
+let nodeLines = function ({ hops, destination }) {
+  return ["This browser"].concat(hops.map(nodeLine), [destination || "Internet"]);
+};
+
+// __diagramNodes(count)__.
+// Returns the text nodes of the circuit display, adding or removing nodes so
+// there are exactly count of them. New nodes are copies of the last one,
+// spaced like the first two.
+let diagramNodes = function (count) {
+  let nodes = Array.from(document.querySelectorAll("svg#tor-circuit text.node"));
+  if (nodes.length === 0) {
+    return nodes;
+  }
+  let last = nodes[nodes.length - 1],
+      spacing = nodes.length > 1 ? Number(nodes[1].getAttribute("y")) -
+                                   Number(nodes[0].getAttribute("y")) : 0;
+  while (nodes.length < count) {
+    let node = last.cloneNode(true);
+    node.setAttribute("y", Number(last.getAttribute("y")) + spacing);
+    last.parentNode.insertBefore(node, last.nextSibling);
+    nodes.push(node);
+    last = node;
+  }
+  // Keep the first three nodes, which the display's layout expects.
+  while (nodes.length > Math.max(count, 3)) {
+    let node = nodes.pop();
+    node.parentNode.removeChild(node);
+  }
+  return nodes;
+};
+
+// __firstPartyDomain(URI)__.
+// Returns the first-party domain that Tor Browser isolates URI's tab under
+// (its base domain, such as `example.co.uk` for `www.example.co.uk`), or
+// null if URI has no host.
+let firstPartyDomain = function (URI) {
   try {
-    domain = URI.host;
-  } catch (e) { }
+    return tldService.getBaseDomain(URI);
+  } catch (e) {
+    // IP addresses and single-label hosts have no base domain.
+    try {
+      return URI.host || null;
+    } catch (e2) {
+      return null;
+    }
+  }
+};
+
+// __streamFirstParty(record)__.
+// Returns the first-party domain that a stream (a circuit store record)
+// counts for: its SOCKS_USERNAME or, for a stream without isolation
+// credentials, the base domain of its target host, such as `"example.com"`
+// for `"www.example.com:443"`. The host is split from the port the way
+// bandwidth.streamDomain does it, so `"[2001:db8::1]:443"` gives
+// `"2001:db8::1"`. Returns null if the stream has neither.
+let streamFirstParty = function (record) {
+  if (record.socksUsername) {
+    return record.socksUsername;
+  }
+  let host = record.target ?
+             record.target.replace(/:\d+$/, "").replace(/^\[(.*)\]$/, "$1") : null;
+  if (!host) {
+    return null;
+  }
+  try {
+    return tldService.getBaseDomainFromHost(host);
+  } catch (e) {
+    // As in firstPartyDomain, IP addresses and single-label hosts stand for
+    // themselves.
+    return host;
+  }
+};
+
+// __nodeDataForFirstParty(aController, domain)__.
+// Returns the node data of the circuit currently used by the first-party
+// domain, or null if we don't know it (yet). If the circuit is known but its
+// node data isn't, fetches the node data and updates the display when it arrives.
+let nodeDataForFirstParty = function (aController, domain) {
+  let entry = firstPartyToCircuitMap[domain],
+      circuit = entry ? circuitStore.getCircuit(entry.circuitID) : null;
+  if (!circuit || circuit.path.length === 0) {
+    return null;
+  }
+  let cached = circuitIdToNodeDataMap[circuit.id];
+  // Fetch node data for new circuits, and again whenever a circuit that is
+  // still being built gets another hop.
+  if (!cached || cached.pathLength !== circuit.path.length) {
+    // Record the request as pending, so we only make it once.
+    cached = { pathLength : circuit.path.length, nodeData : null };
+    circuitIdToNodeDataMap[circuit.id] = cached;
+    nodeDataForCircuit(aController, circuit).then(function (nodeData) {
+      if (circuitIdToNodeDataMap[circuit.id] === cached) {
+        cached.nodeData = nodeData;
+        // We now have new node data; show it in display.
+        updateCircuitDisplay(aController);
+      }
+    }, function (error) {
+      if (circuitIdToNodeDataMap[circuit.id] === cached) {
+        delete circuitIdToNodeDataMap[circuit.id];
+      }
+      reportError(error);
+    });
+  }
+  return cached.nodeData;
+};
+
+// __updateCircuitDisplay(aController)__.
+// Updates the Tor circuit display SVG, showing the selected tab's first-party
+// domain and the relay nodes of the circuit that tab is using.
+let updateCircuitDisplay = function (aController) {
+  let domain = firstPartyDomain(gBrowser.selectedBrowser.currentURI),
+      nodeData = null;
   if (domain) {
   // Check if we have anything to show for this domain.
-    nodeData = domainToNodeDataMap[domain];
+    nodeData = nodeDataForFirstParty(aController, domain);
     if (nodeData) {   
       // Update the displayed domain.
 	  document.querySelector("svg#tor-circuit text#domain").innerHTML = "(" + domain + "):";
 	  // Update the display information for the relay nodes.
-      let diagramNodes = document.querySelectorAll("svg#tor-circuit text.node"),
-      lines = nodeLines(nodeData);       
-      for (let i = 0; i < diagramNodes.length; ++i) {
-        diagramNodes[i].innerHTML = lines[i];
+      let lines = nodeLines(nodeData),
+          nodes = diagramNodes(lines.length);
+      for (let i = 0; i < nodes.length; ++i) {
+        nodes[i].innerHTML = lines[i] || "";
       }
     }
   }
   // Only show the Tor circuit if we have a domain and node data.
   document.querySelector("svg#tor-circuit").style.display = (domain && nodeData) ?
                                                             'block' : 'none';
+  updateTrafficDisplay();
+};
+
+// __byteCountText(bytes)__.
+// Converts a byte count to short text, such as `"512 B"`, `"3.4 KB"` or `"12 MB"`.
+let byteCountText = function (bytes) {
+  let units = ["B", "KB", "MB", "GB"],
+      i = 0;
+  while (bytes >= 1024 && i < units.length - 1) {
+    bytes /= 1024;
+    ++i;
+  }
+  return (i === 0 || bytes >= 10 ? Math.round(bytes) : bytes.toFixed(1)) + " " + units[i];
 };
 
-// __collectBuiltCircuitData(aController)__.
-// Watches for CIRC BUILT events and records their data in the circuitData map.
-let collectBuiltCircuitData = function (aController) {
-  aController.watchEvent("CIRC", function (data) { return data.status === "BUILT"; },
-                         function (data) {
-                           circuitData[data.id] = data;
-                         });
-};
-
-// __assignCircuitsForDomains__.
-// Watches STREAM events. Whenever a new circuit gets its first STREAM SENTCONNECT event,
-// assign the domain to the circuit ID and record circuit data for that domain.
-let assignCircuitsForDomains = function (aController) {
-  aController.watchEvent("STREAM",
-                         // Only look at SENTCONNECT events.
-                         function ({ StreamStatus }) { return StreamStatus === "SENTCONNECT"; },
-                         // Record the first domain for any new circuit, and 
-                         // assign the node data for that circuit to the domain.
-                         // Display anything new.
-                         function ({ Target, CircuitID }) {
-                           let domain = Target.split(":")[0];
-                           if (circuitIdToDomainMap[CircuitID] === undefined) {
-                             circuitIdToDomainMap[CircuitID] = domain;
-                             nodeDataForCircuit(aController, circuitData[CircuitID],
-                               function (nodeData) {
-                                 domainToNodeDataMap[domain] = nodeData;
-                                 // We now have new node data; show it in display.
-                                 updateCircuitDisplay();
-                               });
+// __updateTrafficDisplay()__.
+// Shows how much the selected tab's first-party domain has sent and
+// received through tor, if the panel has a place for it.
+let updateTrafficDisplay = function () {
+  let element = document.querySelector("#tor-circuit-traffic"),
+      domain = firstPartyDomain(gBrowser.selectedBrowser.currentURI),
+      record = (domain && trafficAccountant) ? trafficAccountant.getDomain(domain) : null;
+  if (element) {
+    element.textContent = record ? "Sent " + byteCountText(record.written) +
+                                   ", received " + byteCountText(record.read) : "";
+  }
+};
+
+// __forgetCircuit(circuitID)__.
+// Drops everything we know about a circuit that tor has closed.
+let forgetCircuit = function (circuitID) {
+  delete circuitIdToNodeDataMap[circuitID];
+  for (let domain of Object.keys(firstPartyToCircuitMap)) {
+    if (firstPartyToCircuitMap[domain].circuitID === circuitID) {
+      delete firstPartyToCircuitMap[domain];
+    }
+  }
+};
+
+// __assignCircuitsForFirstParties(aController)__.
+// Starts the controller's circuit store and watches its streams. Tor Browser
+// isolates streams by first party, passing the first-party domain as
+// SOCKS_USERNAME (and a nonce, changed by New Identity, as SOCKS_PASSWORD).
+// Whenever a stream is attached to a circuit, that circuit becomes the
+// current one for the stream's first-party domain (see streamFirstParty).
+// Mappings are dropped when their circuit closes, and all of them when tor
+// gets a NEWNYM signal. Failures to watch tor's events are reported.
+let assignCircuitsForFirstParties = function (aController) {
+  circuitStore = aController.circuitStore();
+  relayCache = aController.relayCache();
+  circuitStore.addListener(function ({ kind, change, record }) {
+    if (kind === "circuit" && change === "removed") {
+      forgetCircuit(record.id);
+      updateCircuitDisplay(aController);
+    } else if (kind === "circuit" && circuitIdToNodeDataMap[record.id]) {
+      // A circuit we are showing may have been extended.
+      updateCircuitDisplay(aController);
+    } else if (kind === "stream" && record.circuitID && record.circuitID !== "0" &&
+               ["SENTCONNECT", "SENTRESOLVE", "SUCCEEDED"].indexOf(record.status) !== -1) {
+      let domain = streamFirstParty(record),
+          entry = domain ? firstPartyToCircuitMap[domain] : null;
+      if (domain && (!entry || entry.circuitID !== record.circuitID ||
+                     entry.socksPassword !== record.socksPassword)) {
+        firstPartyToCircuitMap[domain] = { circuitID : record.circuitID,
+                                           socksPassword : record.socksPassword };
+        updateCircuitDisplay(aController);
+      }
+    }
+  });
+  // Look up the bridge settings again whenever they change.
+  aController.watchEvent("CONF_CHANGED",
+                         function (data) { return "Bridge" in data || "UseBridges" in data; },
+                         function () { bridgeSettingsPromise = null; })
+             .subscribed.catch(reportError);
+  // After a new identity, no old circuit will be used again. If the user
+  // asked for it, reload the tab so it gets a new circuit right away.
+  aController.watchEvent("SIGNAL", function ({ Signal }) { return Signal === "NEWNYM"; },
+                         function () {
+                           firstPartyToCircuitMap = {};
+                           circuitIdToNodeDataMap = {};
+                           updateCircuitDisplay(aController);
+                           if (newIdentityRequested) {
+                             newIdentityRequested = false;
+                             showCircuitNotice(null);
+                             gBrowser.reloadTab(gBrowser.selectedTab);
                            }
-                         });
+                         })
+             .subscribed.catch(reportError);
+};
+
+// __countTrafficForFirstParties(aController)__.
+// Starts counting the traffic of each first-party domain, and keeps the
+// selected tab's totals up to date.
+let countTrafficForFirstParties = function (aController) {
+  trafficAccountant = aController.bandwidthAccountant();
+  trafficAccountant.addListener(function ({ kind, record }) {
+    if (kind === "domain" &&
+        record.domain === firstPartyDomain(gBrowser.selectedBrowser.currentURI)) {
+      updateTrafficDisplay();
+    }
+  });
+};
+
+// __showCircuitNotice(text)__.
+// Shows a short message next to the circuit display, or clears it if text
+// is null. Panels without a place for notices don't show them.
+let showCircuitNotice = function (text) {
+  let notice = document.querySelector("#tor-circuit-notice");
+  if (notice) {
+    notice.textContent = text || "";
+  }
+};
+
+// __newCircuitForSelectedSite(aController)__.
+// Closes every circuit used under the selected tab's first-party domain:
+// those carrying its isolation credentials, those its streams are attached
+// to, and the one we are showing for it. Then reloads the tab, so its next
+// requests build a fresh circuit, which the display shows once it is BUILT.
+// Returns a promise.
+let newCircuitForSelectedSite = function (aController) {
+  let domain = firstPartyDomain(gBrowser.selectedBrowser.currentURI);
+  if (!domain || !circuitStore) {
+    return Promise.resolve();
+  }
+  let circuitIDs = new Set(),
+      entry = firstPartyToCircuitMap[domain];
+  for (let circuit of circuitStore.getCircuits(function (circuit) {
+         return circuit.socksUsername === domain;
+       })) {
+    circuitIDs.add(circuit.id);
+  }
+  for (let stream of circuitStore.getStreams(function (stream) {
+         return stream.socksUsername === domain && stream.circuitID !== "0";
+       })) {
+    circuitIDs.add(stream.circuitID);
+  }
+  if (entry) {
+    circuitIDs.add(entry.circuitID);
+  }
+  delete firstPartyToCircuitMap[domain];
+  updateCircuitDisplay(aController);
+  return Promise.all(Array.from(circuitIDs).map(function (circuitID) {
+    // The circuit may have closed already (tor then replies 552); that's fine.
+    return aController.closeCircuit(circuitID).catch(function (error) {
+      if (error.code !== 552) {
+        reportError(error);
+      }
+    });
+  })).then(function () {
+    gBrowser.reloadTab(gBrowser.selectedTab);
+  });
+};
+
+// __newIdentity(aController)__.
+// Asks tor for a new identity (SIGNAL NEWNYM). The display switches to the
+// new circuits when tor carries it out (see assignCircuitsForFirstParties).
+// If tor rate-limits the signal, tells the user how long it will take.
+// Returns a promise.
+let newIdentity = function (aController) {
+  newIdentityRequested = true;
+  return aController.newIdentity().then(function ({ rateLimited, delay }) {
+    if (rateLimited) {
+      showCircuitNotice("Tor will switch to a new identity in " + delay +
+                        (delay === 1 ? " second." : " seconds."));
+    }
+  }, function (error) {
+    newIdentityRequested = false;
+    showCircuitNotice("Tor could not switch to a new identity.");
+    reportError(error);
+  });
+};
+
+// __bindCircuitActions(aController)__.
+// Connects the "New circuit for this site" and "New identity" buttons next to
+// the circuit display, if the panel has them.
+let bindCircuitActions = function (aController) {
+  let newCircuitButton = document.querySelector("#tor-circuit-new-circuit"),
+      newIdentityButton = document.querySelector("#tor-circuit-new-identity");
+  if (newCircuitButton) {
+    newCircuitButton.addEventListener("click", function () {
+      newCircuitForSelectedSite(aController);
+    });
+  }
+  if (newIdentityButton) {
+    newIdentityButton.addEventListener("click", function () {
+      newIdentity(aController);
+    });
+  }
 };
 
 // __syncDisplayWithSelectedTab()__.
 // We may have multiple tabs, but there is only one instance of TorButton's popup
 // panel for displaying the Tor circuit UI. Therefore we need to update the display
 // to show the currently selected tab at its current location.
-let syncDisplayWithSelectedTab = function () {
+let syncDisplayWithSelectedTab = function (aController) {
   // Whenever a different tab is selected, change the circuit display
   // to show the circuit for that tab's domain.
   gBrowser.tabContainer.addEventListener("TabSelect", function (event) {
-    updateCircuitDisplay();
+    updateCircuitDisplay(aController);
   });
   // If the currently selected tab has been sent to a new location,
   // update the circuit to reflect that.
   gBrowser.addTabsProgressListener({ onLocationChange : function (aBrowser) {
     if (aBrowser == gBrowser.selectedBrowser) {
-      updateCircuitDisplay();
+      updateCircuitDisplay(aController);
     }
   } });
   // Get started with a correct display.
-  updateCircuitDisplay();
+  updateCircuitDisplay(aController);
 };
 
 // __runTorStatusDisplay(controller)__.
 let runTorStatusDisplay = function (controller) {
-  syncDisplayWithSelectedTab();
-  collectBuiltCircuitData(controller);
-  assignCircuitsForDomains(controller);
+  assignCircuitsForFirstParties(controller);
+  countTrafficForFirstParties(controller);
+  syncDisplayWithSelectedTab(controller);
+  bindCircuitActions(controller);
 };
\ No newline at end of file